@@ -0,0 +1,14 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "reservedStock" INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill reservations for orders that are still open
+UPDATE "Product" p
+SET "reservedStock" = r."quantity"
+FROM (
+    SELECT oi."productId", SUM(oi."quantity") AS "quantity"
+    FROM "OrderItem" oi
+    JOIN "Order" o ON o."id" = oi."orderId"
+    WHERE o."status" IN ('PENDING', 'PAYMENT_UPLOADED', 'PAYMENT_VERIFIED')
+    GROUP BY oi."productId"
+) r
+WHERE p."id" = r."productId";
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "PaymentMethodSetting" ADD COLUMN     "pendingTimeoutMinutes" INTEGER;
+
+-- Default timeouts for methods that wait on a payment proof
+UPDATE "PaymentMethodSetting" SET "pendingTimeoutMinutes" = 1440 WHERE "method" = 'BANK_TRANSFER';
+UPDATE "PaymentMethodSetting" SET "pendingTimeoutMinutes" = 30 WHERE "method" = 'QRIS';
@@ -0,0 +1,23 @@
+-- AlterEnum
+ALTER TYPE "OrderStatus" ADD VALUE 'PAYMENT_REJECTED' AFTER 'PAYMENT_UPLOADED';
+
+-- CreateEnum
+CREATE TYPE "PaymentProofStatus" AS ENUM ('SUBMITTED', 'ACCEPTED', 'REJECTED');
+
+-- DropIndex
+DROP INDEX "PaymentProof_orderId_key";
+
+-- AlterTable
+ALTER TABLE "PaymentProof" ADD COLUMN     "rejectionReason" TEXT,
+ADD COLUMN     "reviewedAt" TIMESTAMP(3),
+ADD COLUMN     "status" "PaymentProofStatus" NOT NULL DEFAULT 'SUBMITTED';
+
+-- CreateIndex
+CREATE INDEX "PaymentProof_orderId_idx" ON "PaymentProof"("orderId");
+
+-- Proofs of orders that were already verified have been accepted
+UPDATE "PaymentProof" pp
+SET "status" = 'ACCEPTED', "reviewedAt" = o."updatedAt"
+FROM "Order" o
+WHERE o."id" = pp."orderId"
+  AND o."status" IN ('PAYMENT_VERIFIED', 'COMPLETED');
@@ -0,0 +1,53 @@
+-- AlterTable
+ALTER TABLE "OrderItem" ADD COLUMN     "returnedQuantity" INTEGER NOT NULL DEFAULT 0;
+
+-- CreateTable
+CREATE TABLE "OrderReturn" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "refundAmount" DOUBLE PRECISION NOT NULL,
+    "refundMethod" "PaymentMethod" NOT NULL,
+    "reason" TEXT NOT NULL,
+    "adminId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OrderReturn_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "OrderReturnItem" (
+    "id" SERIAL NOT NULL,
+    "orderReturnId" INTEGER NOT NULL,
+    "orderItemId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "refundAmount" DOUBLE PRECISION NOT NULL,
+    "restock" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "OrderReturnItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrderReturn_orderId_idx" ON "OrderReturn"("orderId");
+
+-- CreateIndex
+CREATE INDEX "OrderReturn_createdAt_idx" ON "OrderReturn"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "OrderReturnItem_orderReturnId_idx" ON "OrderReturnItem"("orderReturnId");
+
+-- CreateIndex
+CREATE INDEX "OrderReturnItem_orderItemId_idx" ON "OrderReturnItem"("orderItemId");
+
+-- AddForeignKey
+ALTER TABLE "OrderReturn" ADD CONSTRAINT "OrderReturn_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderReturn" ADD CONSTRAINT "OrderReturn_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderReturnItem" ADD CONSTRAINT "OrderReturnItem_orderReturnId_fkey" FOREIGN KEY ("orderReturnId") REFERENCES "OrderReturn"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderReturnItem" ADD CONSTRAINT "OrderReturnItem_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "OrderItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
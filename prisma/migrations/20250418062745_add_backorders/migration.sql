@@ -0,0 +1,39 @@
+-- CreateEnum
+CREATE TYPE "BackorderStatus" AS ENUM ('OPEN', 'FULFILLED');
+
+-- CreateTable
+CREATE TABLE "Backorder" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "orderItemId" INTEGER NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "status" "BackorderStatus" NOT NULL DEFAULT 'OPEN',
+    "adminId" INTEGER,
+    "fulfilledAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Backorder_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Backorder_orderId_idx" ON "Backorder"("orderId");
+
+-- CreateIndex
+CREATE INDEX "Backorder_productId_idx" ON "Backorder"("productId");
+
+-- CreateIndex
+CREATE INDEX "Backorder_status_idx" ON "Backorder"("status");
+
+-- AddForeignKey
+ALTER TABLE "Backorder" ADD CONSTRAINT "Backorder_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Backorder" ADD CONSTRAINT "Backorder_orderItemId_fkey" FOREIGN KEY ("orderItemId") REFERENCES "OrderItem"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Backorder" ADD CONSTRAINT "Backorder_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "Backorder" ADD CONSTRAINT "Backorder_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,31 @@
+-- Money is stored as whole rupiah. Existing amounts are rounded to the nearest rupiah.
+
+-- AlterTable
+ALTER TABLE "Product" ALTER COLUMN "price" SET DATA TYPE INTEGER USING ROUND("price")::INTEGER;
+
+-- AlterTable
+ALTER TABLE "Order" ALTER COLUMN "subtotalAmount" SET DATA TYPE INTEGER USING ROUND("subtotalAmount")::INTEGER,
+ALTER COLUMN "discountAmount" SET DATA TYPE INTEGER USING ROUND("discountAmount")::INTEGER,
+ALTER COLUMN "taxAmount" SET DATA TYPE INTEGER USING ROUND("taxAmount")::INTEGER,
+ALTER COLUMN "serviceChargeAmount" SET DATA TYPE INTEGER USING ROUND("serviceChargeAmount")::INTEGER,
+ALTER COLUMN "totalAmount" SET DATA TYPE INTEGER USING ROUND("totalAmount")::INTEGER;
+
+-- AlterTable
+ALTER TABLE "OrderItem" ALTER COLUMN "subtotal" SET DATA TYPE INTEGER USING ROUND("subtotal")::INTEGER,
+ALTER COLUMN "discountAmount" SET DATA TYPE INTEGER USING ROUND("discountAmount")::INTEGER,
+ALTER COLUMN "taxAmount" SET DATA TYPE INTEGER USING ROUND("taxAmount")::INTEGER;
+
+-- AlterTable
+ALTER TABLE "Promotion" ALTER COLUMN "minSubtotal" SET DATA TYPE INTEGER USING ROUND("minSubtotal")::INTEGER;
+
+-- Fixed amount promotions are whole rupiah as well
+UPDATE "Promotion" SET "value" = ROUND("value") WHERE "type" = 'FIXED_AMOUNT';
+
+-- AlterTable
+ALTER TABLE "OrderDiscount" ALTER COLUMN "amount" SET DATA TYPE INTEGER USING ROUND("amount")::INTEGER;
+
+-- AlterTable
+ALTER TABLE "OrderReturn" ALTER COLUMN "refundAmount" SET DATA TYPE INTEGER USING ROUND("refundAmount")::INTEGER;
+
+-- AlterTable
+ALTER TABLE "OrderReturnItem" ALTER COLUMN "refundAmount" SET DATA TYPE INTEGER USING ROUND("refundAmount")::INTEGER;
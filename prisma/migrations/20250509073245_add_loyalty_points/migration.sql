@@ -0,0 +1,50 @@
+-- CreateEnum
+CREATE TYPE "LoyaltyTransactionType" AS ENUM ('EARN', 'REDEEM', 'REVERSAL', 'ADJUSTMENT', 'EXPIRY');
+
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN     "pointsBalance" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "pointsDiscountAmount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "pointsEarned" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "pointsRedeemed" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "ProductCategory" ADD COLUMN     "pointsMultiplier" DOUBLE PRECISION NOT NULL DEFAULT 1;
+
+-- AlterTable
+ALTER TABLE "StoreSetting" ADD COLUMN     "loyaltyEnabled" BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN     "pointValue" INTEGER NOT NULL DEFAULT 100,
+ADD COLUMN     "pointsEarnAmount" INTEGER NOT NULL DEFAULT 10000,
+ADD COLUMN     "pointsExpiryDays" INTEGER;
+
+-- CreateTable
+CREATE TABLE "LoyaltyTransaction" (
+    "id" SERIAL NOT NULL,
+    "customerId" INTEGER NOT NULL,
+    "orderId" INTEGER,
+    "type" "LoyaltyTransactionType" NOT NULL,
+    "points" INTEGER NOT NULL,
+    "remainingPoints" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3),
+    "reason" TEXT,
+    "adminId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LoyaltyTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "LoyaltyTransaction_customerId_createdAt_idx" ON "LoyaltyTransaction"("customerId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LoyaltyTransaction_expiresAt_idx" ON "LoyaltyTransaction"("expiresAt");
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyTransaction" ADD CONSTRAINT "LoyaltyTransaction_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyTransaction" ADD CONSTRAINT "LoyaltyTransaction_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "LoyaltyTransaction" ADD CONSTRAINT "LoyaltyTransaction_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,72 @@
+-- AlterEnum
+ALTER TYPE "PaymentMethod" ADD VALUE 'STORE_CREDIT';
+
+-- CreateEnum
+CREATE TYPE "GiftCardType" AS ENUM ('GIFT_CARD', 'STORE_CREDIT');
+
+-- CreateEnum
+CREATE TYPE "GiftCardStatus" AS ENUM ('ACTIVE', 'VOIDED');
+
+-- CreateEnum
+CREATE TYPE "GiftCardTransactionType" AS ENUM ('ISSUE', 'TOP_UP', 'REDEEM', 'REFUND', 'VOID');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "giftCardId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "GiftCard" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "type" "GiftCardType" NOT NULL DEFAULT 'GIFT_CARD',
+    "status" "GiftCardStatus" NOT NULL DEFAULT 'ACTIVE',
+    "initialBalance" INTEGER NOT NULL,
+    "balance" INTEGER NOT NULL,
+    "customerId" INTEGER,
+    "expiresAt" TIMESTAMP(3),
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "GiftCard_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "GiftCardTransaction" (
+    "id" SERIAL NOT NULL,
+    "giftCardId" INTEGER NOT NULL,
+    "type" "GiftCardTransactionType" NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "balanceAfter" INTEGER NOT NULL,
+    "orderId" INTEGER,
+    "reason" TEXT,
+    "adminId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "GiftCardTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "GiftCard_code_key" ON "GiftCard"("code");
+
+-- CreateIndex
+CREATE INDEX "GiftCardTransaction_giftCardId_createdAt_idx" ON "GiftCardTransaction"("giftCardId", "createdAt");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_giftCardId_fkey" FOREIGN KEY ("giftCardId") REFERENCES "GiftCard"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GiftCard" ADD CONSTRAINT "GiftCard_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GiftCardTransaction" ADD CONSTRAINT "GiftCardTransaction_giftCardId_fkey" FOREIGN KEY ("giftCardId") REFERENCES "GiftCard"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GiftCardTransaction" ADD CONSTRAINT "GiftCardTransaction_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "GiftCardTransaction" ADD CONSTRAINT "GiftCardTransaction_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Payment method setting for store credit; no proof, paid from the card balance
+INSERT INTO "PaymentMethodSetting" ("method", "name", "description", "isEnabled", "requiresProof", "sortOrder", "updatedAt")
+VALUES ('STORE_CREDIT', 'Store Credit / Gift Card', 'Pay with a gift card or store credit code', true, false, 4, CURRENT_TIMESTAMP)
+ON CONFLICT ("method") DO NOTHING;
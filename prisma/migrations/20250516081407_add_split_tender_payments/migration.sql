@@ -0,0 +1,70 @@
+-- CreateEnum
+CREATE TYPE "OrderPaymentStatus" AS ENUM ('PENDING', 'UPLOADED', 'VERIFIED', 'REJECTED');
+
+-- CreateTable
+CREATE TABLE "OrderPayment" (
+    "id" SERIAL NOT NULL,
+    "orderId" INTEGER NOT NULL,
+    "method" "PaymentMethod" NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "status" "OrderPaymentStatus" NOT NULL DEFAULT 'PENDING',
+    "giftCardId" INTEGER,
+    "verifiedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OrderPayment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "OrderPayment_orderId_idx" ON "OrderPayment"("orderId");
+
+-- AddForeignKey
+ALTER TABLE "OrderPayment" ADD CONSTRAINT "OrderPayment_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderPayment" ADD CONSTRAINT "OrderPayment_giftCardId_fkey" FOREIGN KEY ("giftCardId") REFERENCES "GiftCard"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill: every existing order becomes a single payment line for its total.
+-- Cancelled orders that had been paid keep a verified line.
+INSERT INTO "OrderPayment" ("orderId", "method", "amount", "status", "giftCardId", "verifiedAt", "createdAt", "updatedAt")
+SELECT
+    o."id",
+    o."paymentMethod",
+    o."totalAmount",
+    CASE
+        WHEN o."status" IN ('PAYMENT_VERIFIED', 'COMPLETED') THEN 'VERIFIED'
+        WHEN o."status" = 'PAYMENT_UPLOADED' THEN 'UPLOADED'
+        WHEN o."status" = 'PAYMENT_REJECTED' THEN 'REJECTED'
+        WHEN o."status" = 'CANCELLED' AND EXISTS (
+            SELECT 1 FROM "OrderStatusEvent" e
+            WHERE e."orderId" = o."id" AND e."toStatus" = 'PAYMENT_VERIFIED'
+        ) THEN 'VERIFIED'
+        ELSE 'PENDING'
+    END::"OrderPaymentStatus",
+    o."giftCardId",
+    CASE WHEN o."status" IN ('PAYMENT_VERIFIED', 'COMPLETED') THEN o."updatedAt" END,
+    o."createdAt",
+    o."updatedAt"
+FROM "Order" o;
+
+-- Attach existing proofs to the order's payment line
+ALTER TABLE "PaymentProof" ADD COLUMN "paymentId" INTEGER;
+
+UPDATE "PaymentProof" p
+SET "paymentId" = op."id"
+FROM "OrderPayment" op
+WHERE op."orderId" = p."orderId";
+
+ALTER TABLE "PaymentProof" ALTER COLUMN "paymentId" SET NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "PaymentProof_paymentId_idx" ON "PaymentProof"("paymentId");
+
+-- AddForeignKey
+ALTER TABLE "PaymentProof" ADD CONSTRAINT "PaymentProof_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "OrderPayment"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- The charged gift card now lives on the payment line
+ALTER TABLE "Order" DROP CONSTRAINT "Order_giftCardId_fkey";
+
+ALTER TABLE "Order" DROP COLUMN "giftCardId";
@@ -0,0 +1,67 @@
+-- CreateEnum
+CREATE TYPE "CashShiftStatus" AS ENUM ('OPEN', 'CLOSED');
+
+-- CreateEnum
+CREATE TYPE "CashMovementType" AS ENUM ('CASH_IN', 'CASH_OUT');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "cashShiftId" INTEGER;
+
+-- AlterTable
+ALTER TABLE "OrderReturn" ADD COLUMN     "cashShiftId" INTEGER;
+
+-- CreateTable
+CREATE TABLE "CashShift" (
+    "id" SERIAL NOT NULL,
+    "adminId" INTEGER,
+    "status" "CashShiftStatus" NOT NULL DEFAULT 'OPEN',
+    "openingFloat" INTEGER NOT NULL,
+    "openingNote" TEXT,
+    "expectedCash" INTEGER,
+    "countedCash" INTEGER,
+    "difference" INTEGER,
+    "closingNote" TEXT,
+    "openedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "closedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CashShift_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CashMovement" (
+    "id" SERIAL NOT NULL,
+    "shiftId" INTEGER NOT NULL,
+    "type" "CashMovementType" NOT NULL,
+    "amount" INTEGER NOT NULL,
+    "reason" TEXT NOT NULL,
+    "adminId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CashMovement_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CashShift_adminId_status_idx" ON "CashShift"("adminId", "status");
+
+-- CreateIndex
+CREATE INDEX "CashShift_openedAt_idx" ON "CashShift"("openedAt");
+
+-- CreateIndex
+CREATE INDEX "CashMovement_shiftId_idx" ON "CashMovement"("shiftId");
+
+-- AddForeignKey
+ALTER TABLE "Order" ADD CONSTRAINT "Order_cashShiftId_fkey" FOREIGN KEY ("cashShiftId") REFERENCES "CashShift"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "OrderReturn" ADD CONSTRAINT "OrderReturn_cashShiftId_fkey" FOREIGN KEY ("cashShiftId") REFERENCES "CashShift"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CashShift" ADD CONSTRAINT "CashShift_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CashMovement" ADD CONSTRAINT "CashMovement_shiftId_fkey" FOREIGN KEY ("shiftId") REFERENCES "CashShift"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "CashMovement" ADD CONSTRAINT "CashMovement_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
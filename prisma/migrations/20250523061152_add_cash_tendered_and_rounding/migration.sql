@@ -0,0 +1,11 @@
+-- CreateEnum
+CREATE TYPE "CashRoundingMode" AS ENUM ('NEAREST', 'DOWN', 'UP');
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "cashRoundingAmount" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "cashTendered" INTEGER,
+ADD COLUMN     "changeAmount" INTEGER;
+
+-- AlterTable
+ALTER TABLE "StoreSetting" ADD COLUMN     "cashRoundingMode" "CashRoundingMode" NOT NULL DEFAULT 'NEAREST',
+ADD COLUMN     "cashRoundingUnit" INTEGER NOT NULL DEFAULT 1;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "StoreSetting" ADD COLUMN     "receiptFooter" TEXT,
+ADD COLUMN     "receiptHeader" TEXT,
+ADD COLUMN     "shopAddress" TEXT,
+ADD COLUMN     "shopName" TEXT NOT NULL DEFAULT 'TCG Shop',
+ADD COLUMN     "shopPhone" TEXT;
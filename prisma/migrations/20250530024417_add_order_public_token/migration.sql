@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "publicToken" TEXT;
+
+-- Backfill a random token for existing orders (32 hex characters, like the
+-- tokens generated by the application)
+UPDATE "Order" SET "publicToken" = replace(gen_random_uuid()::text, '-', '');
+
+ALTER TABLE "Order" ALTER COLUMN "publicToken" SET NOT NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Order_publicToken_key" ON "Order"("publicToken");
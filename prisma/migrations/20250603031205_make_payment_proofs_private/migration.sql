@@ -0,0 +1,12 @@
+-- Payment proofs are no longer served from /uploads, so only the file name is
+-- kept and the API builds the protected URL
+
+-- AlterTable
+ALTER TABLE "PaymentProof" ADD COLUMN     "fileName" TEXT;
+
+-- Backfill from the old public URLs, e.g. /uploads/payment-proofs/payment-proof-1.jpg
+UPDATE "PaymentProof" SET "fileName" = regexp_replace("fileUrl", '^.*/', '');
+
+ALTER TABLE "PaymentProof" ALTER COLUMN "fileName" SET NOT NULL;
+
+ALTER TABLE "PaymentProof" DROP COLUMN "fileUrl";
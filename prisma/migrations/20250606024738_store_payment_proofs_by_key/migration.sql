@@ -0,0 +1,11 @@
+-- Payment proofs are read through the storage driver, which addresses files
+-- by key (folder and file name)
+
+-- AlterTable
+ALTER TABLE "PaymentProof" ADD COLUMN     "fileKey" TEXT;
+
+UPDATE "PaymentProof" SET "fileKey" = 'payment-proofs/' || "fileName";
+
+ALTER TABLE "PaymentProof" ALTER COLUMN "fileKey" SET NOT NULL;
+
+ALTER TABLE "PaymentProof" DROP COLUMN "fileName";
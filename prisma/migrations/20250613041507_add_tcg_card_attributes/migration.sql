@@ -0,0 +1,20 @@
+-- CreateEnum
+CREATE TYPE "CardFinish" AS ENUM ('NONFOIL', 'FOIL', 'ETCHED');
+
+-- CreateEnum
+CREATE TYPE "CardCondition" AS ENUM ('NEAR_MINT', 'LIGHTLY_PLAYED', 'MODERATELY_PLAYED', 'HEAVILY_PLAYED', 'DAMAGED');
+
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "collectorNumber" TEXT,
+ADD COLUMN     "condition" "CardCondition",
+ADD COLUMN     "finish" "CardFinish",
+ADD COLUMN     "game" TEXT,
+ADD COLUMN     "language" TEXT,
+ADD COLUMN     "rarity" TEXT,
+ADD COLUMN     "setCode" TEXT;
+
+-- CreateIndex
+CREATE INDEX "Product_setCode_collectorNumber_idx" ON "Product"("setCode", "collectorNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Product_game_setCode_collectorNumber_language_finish_condit_key" ON "Product"("game", "setCode", "collectorNumber", "language", "finish", "condition");
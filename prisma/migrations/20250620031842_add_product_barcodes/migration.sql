@@ -0,0 +1,31 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "sku" TEXT;
+
+-- CreateTable
+CREATE TABLE "ProductBarcode" (
+    "id" SERIAL NOT NULL,
+    "code" TEXT NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "variantId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ProductBarcode_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ProductBarcode_code_key" ON "ProductBarcode"("code");
+
+-- CreateIndex
+CREATE INDEX "ProductBarcode_productId_idx" ON "ProductBarcode"("productId");
+
+-- CreateIndex
+CREATE INDEX "ProductBarcode_variantId_idx" ON "ProductBarcode"("variantId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Product_sku_key" ON "Product"("sku");
+
+-- AddForeignKey
+ALTER TABLE "ProductBarcode" ADD CONSTRAINT "ProductBarcode_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "ProductBarcode" ADD CONSTRAINT "ProductBarcode_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant"("id") ON DELETE CASCADE ON UPDATE CASCADE;
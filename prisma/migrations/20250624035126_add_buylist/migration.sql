@@ -0,0 +1,72 @@
+-- AlterTable
+ALTER TABLE "Product" ADD COLUMN     "buyPrice" INTEGER,
+ADD COLUMN     "buylistEnabled" BOOLEAN NOT NULL DEFAULT false;
+
+-- AlterTable
+ALTER TABLE "StoreSetting" ADD COLUMN     "buylistCreditBonus" DOUBLE PRECISION NOT NULL DEFAULT 20,
+ADD COLUMN     "buylistRate" DOUBLE PRECISION NOT NULL DEFAULT 50;
+
+-- CreateTable
+CREATE TABLE "BuyTransaction" (
+    "id" SERIAL NOT NULL,
+    "customerId" INTEGER,
+    "sellerName" TEXT,
+    "payoutMethod" "PaymentMethod" NOT NULL,
+    "totalAmount" INTEGER NOT NULL,
+    "giftCardId" INTEGER,
+    "notes" TEXT,
+    "adminId" INTEGER,
+    "cashShiftId" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "BuyTransaction_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "BuyTransactionItem" (
+    "id" SERIAL NOT NULL,
+    "buyTransactionId" INTEGER NOT NULL,
+    "productId" INTEGER NOT NULL,
+    "variantId" INTEGER,
+    "condition" "CardCondition",
+    "quantity" INTEGER NOT NULL,
+    "unitPrice" INTEGER NOT NULL,
+    "subtotal" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BuyTransactionItem_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BuyTransaction_customerId_idx" ON "BuyTransaction"("customerId");
+
+-- CreateIndex
+CREATE INDEX "BuyTransaction_createdAt_idx" ON "BuyTransaction"("createdAt");
+
+-- CreateIndex
+CREATE INDEX "BuyTransactionItem_buyTransactionId_idx" ON "BuyTransactionItem"("buyTransactionId");
+
+-- CreateIndex
+CREATE INDEX "BuyTransactionItem_productId_idx" ON "BuyTransactionItem"("productId");
+
+-- AddForeignKey
+ALTER TABLE "BuyTransaction" ADD CONSTRAINT "BuyTransaction_customerId_fkey" FOREIGN KEY ("customerId") REFERENCES "Customer"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BuyTransaction" ADD CONSTRAINT "BuyTransaction_giftCardId_fkey" FOREIGN KEY ("giftCardId") REFERENCES "GiftCard"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BuyTransaction" ADD CONSTRAINT "BuyTransaction_adminId_fkey" FOREIGN KEY ("adminId") REFERENCES "Admin"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BuyTransaction" ADD CONSTRAINT "BuyTransaction_cashShiftId_fkey" FOREIGN KEY ("cashShiftId") REFERENCES "CashShift"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BuyTransactionItem" ADD CONSTRAINT "BuyTransactionItem_buyTransactionId_fkey" FOREIGN KEY ("buyTransactionId") REFERENCES "BuyTransaction"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BuyTransactionItem" ADD CONSTRAINT "BuyTransactionItem_productId_fkey" FOREIGN KEY ("productId") REFERENCES "Product"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "BuyTransactionItem" ADD CONSTRAINT "BuyTransactionItem_variantId_fkey" FOREIGN KEY ("variantId") REFERENCES "ProductVariant"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
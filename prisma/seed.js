@@ -45,6 +45,30 @@ async function main() {
     }
   }
 
+  // Create the PPN tax rate if it doesn't exist; it only applies once it is
+  // assigned to a category or product, or made the default
+  const ppnExists = await prisma.taxRate.findUnique({
+    where: { name: 'PPN 11%' }
+  });
+
+  if (!ppnExists) {
+    await prisma.taxRate.create({
+      data: {
+        name: 'PPN 11%',
+        rate: 11,
+        isInclusive: false
+      }
+    });
+    console.log('Tax rate PPN 11% created.');
+  }
+
+  // Create the store settings row (service charge off)
+  await prisma.storeSetting.upsert({
+    where: { id: 1 },
+    update: {},
+    create: { id: 1 }
+  });
+
   // Create default payment methods if they don't exist
   const paymentMethods = [
     { 
@@ -53,7 +77,8 @@ async function main() {
       description: 'Transfer payment to our bank account',
       isEnabled: true,
       requiresProof: true,
-      sortOrder: 1
+      sortOrder: 1,
+      pendingTimeoutMinutes: 24 * 60
     },
     { 
       method: 'CASH', 
@@ -69,7 +94,16 @@ async function main() {
       description: 'Pay with QRIS',
       isEnabled: true,
       requiresProof: true,
-      sortOrder: 3
+      sortOrder: 3,
+      pendingTimeoutMinutes: 30
+    },
+    { 
+      method: 'STORE_CREDIT', 
+      name: 'Store Credit / Gift Card', 
+      description: 'Pay with a gift card or store credit code',
+      isEnabled: true,
+      requiresProof: false,
+      sortOrder: 4
     },
   ];
 
@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 
 // Application configuration
 const config = {
@@ -14,17 +15,38 @@ const config = {
     expiresIn: process.env.JWT_EXPIRES_IN || '24h',
   },
 
-  // Upload directories
+  // Upload folders (storage key prefixes)
   uploads: {
-    dir: process.env.UPLOAD_DIR || 'uploads',
-    paymentProofs: '/payment-proofs',
-    products: '/products',
-    qris: '/qris',
+    paymentProofs: 'payment-proofs',
+    products: 'products',
+    qris: 'qris',
     maxSize: {
       paymentProof: 5 * 1024 * 1024, // 5MB
       productImage: 2 * 1024 * 1024, // 2MB
       qrisImage: 2 * 1024 * 1024, // 2MB
     },
+    maxProductImages: 10, // Files per product image upload
+  },
+
+  // File storage: "local" disk or an S3-compatible bucket (AWS S3, MinIO, ...)
+  storage: {
+    driver: process.env.STORAGE_DRIVER || 'local',
+    signedUrlExpiresIn: parseInt(process.env.STORAGE_SIGNED_URL_EXPIRES_IN, 10) || 5 * 60, // seconds
+    local: {
+      dir: path.resolve(__dirname, '../..', process.env.UPLOAD_DIR || 'uploads'),
+      publicBaseUrl: '/uploads',
+      // Signs the temporary links to private files
+      signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'your_jwt_secret_key',
+    },
+    s3: {
+      endpoint: process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO; empty for AWS
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+      publicBaseUrl: process.env.S3_PUBLIC_URL, // Defaults to the bucket URL on the endpoint
+    },
   },
 
   // Cors options
@@ -34,6 +56,62 @@ const config = {
     allowedHeaders: ['Content-Type', 'Authorization'],
   },
 
+  // Printed receipts
+  receipts: {
+    timeZone: process.env.RECEIPT_TIME_ZONE || 'Asia/Jakarta',
+  },
+
+  // Product labels. Sizes are in millimetres; sheet templates place rows and
+  // columns of labels on a page, roll templates print one label per page.
+  labels: {
+    defaultTemplate: process.env.LABEL_TEMPLATE || 'roll-50x30',
+    zplDotsPerMm: parseInt(process.env.LABEL_ZPL_DOTS_PER_MM, 10) || 8, // 8 = 203 dpi, 12 = 300 dpi
+    maxLabels: 1000, // Labels per request
+    templates: {
+      'roll-50x30': { width: 50, height: 30 },
+      'roll-40x25': { width: 40, height: 25 },
+      // Avery L7160
+      'a4-3x7': {
+        width: 63.5,
+        height: 38.1,
+        sheet: { width: 210, height: 297, columns: 3, rows: 7, marginTop: 15.15, marginLeft: 7.2, gapX: 2.5, gapY: 0 },
+      },
+      // Avery L7654
+      'a4-4x10': {
+        width: 48.5,
+        height: 25.4,
+        sheet: { width: 210, height: 297, columns: 4, rows: 10, marginTop: 21.5, marginLeft: 8, gapX: 0, gapY: 0 },
+      },
+    },
+  },
+
+  // Price-embedded EAN-13 barcodes for weighed or loose items:
+  // prefix + product ID + value + check digit
+  barcodes: {
+    embedded: {
+      prefix: process.env.EMBEDDED_BARCODE_PREFIX || '2',
+      itemDigits: 6,
+      valueDigits: 5,
+      value: process.env.EMBEDDED_BARCODE_VALUE || 'price', // "price" in rupiah or "weight" in grams
+      // Rupiah or grams per step of the value; the five value digits hold up
+      // to 99999 steps, e.g. Rp 99.999 with 1 or Rp 9.999.900 with 100
+      valueUnit: parseInt(process.env.EMBEDDED_BARCODE_VALUE_UNIT, 10) || 1,
+    },
+  },
+
+  // Background jobs
+  jobs: {
+    enabled: process.env.JOBS_ENABLED !== 'false',
+    // How long a run may hold its lock; at least twice the job's interval
+    lockTimeoutMs: parseInt(process.env.JOB_LOCK_TIMEOUT_MS, 10) || 30 * 60 * 1000, // 30 minutes
+    expirePendingOrders: {
+      intervalMs: parseInt(process.env.EXPIRE_PENDING_ORDERS_INTERVAL_MS, 10) || 60 * 1000, // 1 minute
+    },
+    expireLoyaltyPoints: {
+      intervalMs: parseInt(process.env.EXPIRE_LOYALTY_POINTS_INTERVAL_MS, 10) || 60 * 60 * 1000, // 1 hour
+    },
+  },
+
   // Validation
   validation: {
     password: {
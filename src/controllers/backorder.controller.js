@@ -0,0 +1,77 @@
+// src/controllers/backorder.controller.js
+const backorderService = require('../services/backorder.service');
+
+/**
+ * Controller to get backorders
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllBackorders = async (req, res) => {
+  try {
+    const queryParams = req.query;
+    
+    // Call service to get backorders
+    const backorders = await backorderService.getAllBackorders(queryParams);
+    
+    res.status(200).json({
+      success: true,
+      data: backorders
+    });
+  } catch (error) {
+    console.error('Error getting backorders:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get backorders',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to fulfill a backorder
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const fulfillBackorder = async (req, res) => {
+  try {
+    const backorderId = req.params.id;
+    
+    // Call service to fulfill backorder
+    const backorder = await backorderService.fulfillBackorder(backorderId);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Backorder fulfilled successfully',
+      data: backorder
+    });
+  } catch (error) {
+    console.error('Error fulfilling backorder:', error);
+    
+    if (error.message === 'Backorder not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Only open backorders') ||
+        error.message.includes('Insufficient stock')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fulfill backorder',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAllBackorders,
+  fulfillBackorder
+};
@@ -0,0 +1,160 @@
+// src/controllers/buylist.controller.js
+const buylistService = require('../services/buylist.service');
+
+/**
+ * Send the response for a buylist error, if it is one
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @returns {boolean} True if a response was sent
+ */
+const handleBuylistError = (res, error) => {
+  if (error.message.includes('not found')) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.message.startsWith('Invalid') ||
+      error.message.startsWith('Insufficient cash') ||
+      error.message.includes('at least one item')) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Controller to get the buylist with buy prices
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBuylist = async (req, res) => {
+  try {
+    const queryParams = req.query;
+
+    const result = await buylistService.getBuylist(queryParams);
+
+    res.status(200).json({
+      success: true,
+      data: result.products,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error getting buylist:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get buylist',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to record cards bought from a customer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createBuyTransaction = async (req, res) => {
+  try {
+    const buyData = req.body;
+
+    // Validate required fields
+    if (!buyData.items) {
+      return res.status(400).json({
+        success: false,
+        message: 'Items are required'
+      });
+    }
+
+    const buyTransaction = await buylistService.createBuyTransaction(buyData, req.admin.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Buy transaction recorded successfully',
+      data: buyTransaction
+    });
+  } catch (error) {
+    console.error('Error recording buy transaction:', error);
+
+    if (handleBuylistError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record buy transaction',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get all buy transactions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllBuyTransactions = async (req, res) => {
+  try {
+    const queryParams = req.query;
+
+    const result = await buylistService.getAllBuyTransactions(queryParams);
+
+    res.status(200).json({
+      success: true,
+      data: result.buyTransactions,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error getting buy transactions:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get buy transactions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get a buy transaction
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getBuyTransactionById = async (req, res) => {
+  try {
+    const buyTransactionId = req.params.id;
+
+    const buyTransaction = await buylistService.getBuyTransactionById(buyTransactionId);
+
+    res.status(200).json({
+      success: true,
+      data: buyTransaction
+    });
+  } catch (error) {
+    console.error('Error getting buy transaction:', error);
+
+    if (handleBuylistError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get buy transaction',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getBuylist,
+  createBuyTransaction,
+  getAllBuyTransactions,
+  getBuyTransactionById
+};
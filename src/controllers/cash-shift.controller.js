@@ -0,0 +1,262 @@
+// src/controllers/cash-shift.controller.js
+const cashShiftService = require('../services/cash-shift.service');
+
+/**
+ * Send the response for a cash shift error, if it is one
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @returns {boolean} True if a response was sent
+ */
+const handleCashShiftError = (res, error) => {
+  if (error.message === 'Shift not found') {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.message.startsWith('Access denied')) {
+    res.status(403).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.message.includes('already open') ||
+      error.message.includes('already closed')) {
+    res.status(409).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.message.startsWith('Invalid') ||
+      error.message.startsWith('Insufficient cash')) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Controller to open a cash shift
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const openShift = async (req, res) => {
+  try {
+    const shiftData = req.body;
+
+    // Validate required fields
+    if (shiftData.openingFloat === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Opening float is required'
+      });
+    }
+
+    const shift = await cashShiftService.openShift(req.admin, shiftData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Shift opened successfully',
+      data: shift
+    });
+  } catch (error) {
+    console.error('Error opening shift:', error);
+
+    if (handleCashShiftError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to open shift',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get the open shift of the logged in cashier
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCurrentShift = async (req, res) => {
+  try {
+    const result = await cashShiftService.getCurrentShift(req.admin);
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'No open shift for this cashier'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error getting current shift:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get current shift',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get all shifts
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllShifts = async (req, res) => {
+  try {
+    const queryParams = req.query;
+
+    const result = await cashShiftService.getAllShifts(queryParams);
+
+    res.status(200).json({
+      success: true,
+      data: result.shifts,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error getting shifts:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get shifts',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get a shift with its X or Z report
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getShiftReport = async (req, res) => {
+  try {
+    const shiftId = req.params.id;
+
+    const result = await cashShiftService.getShiftReport(shiftId);
+
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error getting shift report:', error);
+
+    if (handleCashShiftError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get shift report',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to record cash put into or taken out of the drawer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const addCashMovement = async (req, res) => {
+  try {
+    const shiftId = req.params.id;
+    const movementData = req.body;
+
+    // Validate required fields
+    if (!movementData.type || movementData.amount === undefined || !movementData.reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Type, amount and reason are required'
+      });
+    }
+
+    const movement = await cashShiftService.addCashMovement(shiftId, movementData, req.admin);
+
+    res.status(201).json({
+      success: true,
+      message: 'Cash movement recorded successfully',
+      data: movement
+    });
+  } catch (error) {
+    console.error('Error recording cash movement:', error);
+
+    if (handleCashShiftError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record cash movement',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to close a shift with the counted cash
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const closeShift = async (req, res) => {
+  try {
+    const shiftId = req.params.id;
+    const closeData = req.body;
+
+    // Validate required fields
+    if (closeData.countedCash === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Counted cash is required'
+      });
+    }
+
+    const result = await cashShiftService.closeShift(shiftId, closeData, req.admin);
+
+    res.status(200).json({
+      success: true,
+      message: 'Shift closed successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error closing shift:', error);
+
+    if (handleCashShiftError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close shift',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  openShift,
+  getCurrentShift,
+  getAllShifts,
+  getShiftReport,
+  addCashMovement,
+  closeShift
+};
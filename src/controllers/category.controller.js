@@ -64,7 +64,7 @@ const getCategoryById = async (req, res) => {
  */
 const createCategory = async (req, res) => {
   try {
-    const { name } = req.body;
+    const { name, taxRateId, pointsMultiplier } = req.body;
     
     // Validate input
     if (!name) {
@@ -75,7 +75,7 @@ const createCategory = async (req, res) => {
     }
     
     // Call service to create category
-    const newCategory = await categoryService.createCategory({ name });
+    const newCategory = await categoryService.createCategory({ name, taxRateId, pointsMultiplier });
     
     res.status(201).json({
       success: true,
@@ -92,6 +92,14 @@ const createCategory = async (req, res) => {
       });
     }
     
+    if (error.message === 'Selected tax rate does not exist' ||
+        error.message.startsWith('Invalid points multiplier')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Failed to create category',
@@ -108,7 +116,7 @@ const createCategory = async (req, res) => {
 const updateCategory = async (req, res) => {
   try {
     const categoryId = req.params.id;
-    const { name } = req.body;
+    const { name, taxRateId, pointsMultiplier } = req.body;
     
     // Validate input
     if (!name) {
@@ -119,7 +127,7 @@ const updateCategory = async (req, res) => {
     }
     
     // Call service to update category
-    const updatedCategory = await categoryService.updateCategory(categoryId, { name });
+    const updatedCategory = await categoryService.updateCategory(categoryId, { name, taxRateId, pointsMultiplier });
     
     res.status(200).json({
       success: true,
@@ -143,6 +151,14 @@ const updateCategory = async (req, res) => {
       });
     }
     
+    if (error.message === 'Selected tax rate does not exist' ||
+        error.message.startsWith('Invalid points multiplier')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Failed to update category',
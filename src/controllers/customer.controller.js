@@ -0,0 +1,240 @@
+// src/controllers/customer.controller.js
+const customerService = require('../services/customer.service');
+
+/**
+ * Send the response for a customer validation error, if it is one
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @returns {boolean} True if a response was sent
+ */
+const handleCustomerError = (res, error) => {
+  if (error.message === 'Customer not found') {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.message.includes('already exists')) {
+    res.status(409).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.message.startsWith('Invalid')) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Controller to create a customer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createCustomer = async (req, res) => {
+  try {
+    const customerData = req.body;
+
+    // Validate required fields
+    if (!customerData.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Customer name is required'
+      });
+    }
+
+    const newCustomer = await customerService.createCustomer(customerData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Customer created successfully',
+      data: newCustomer
+    });
+  } catch (error) {
+    console.error('Error creating customer:', error);
+
+    if (handleCustomerError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create customer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to search customers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllCustomers = async (req, res) => {
+  try {
+    const queryParams = req.query;
+
+    const result = await customerService.getAllCustomers(queryParams);
+
+    res.status(200).json({
+      success: true,
+      data: result.customers,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error getting customers:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get customers',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get a customer by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCustomerById = async (req, res) => {
+  try {
+    const customerId = req.params.id;
+
+    const customer = await customerService.getCustomerById(customerId);
+
+    res.status(200).json({
+      success: true,
+      data: customer
+    });
+  } catch (error) {
+    console.error('Error getting customer:', error);
+
+    if (handleCustomerError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get customer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to update a customer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateCustomer = async (req, res) => {
+  try {
+    const customerId = req.params.id;
+    const updateData = req.body;
+
+    const updatedCustomer = await customerService.updateCustomer(customerId, updateData);
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer updated successfully',
+      data: updatedCustomer
+    });
+  } catch (error) {
+    console.error('Error updating customer:', error);
+
+    if (handleCustomerError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update customer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to delete a customer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteCustomer = async (req, res) => {
+  try {
+    const customerId = req.params.id;
+
+    const deletedCustomer = await customerService.deleteCustomer(customerId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Customer deleted successfully',
+      data: deletedCustomer
+    });
+  } catch (error) {
+    console.error('Error deleting customer:', error);
+
+    if (handleCustomerError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete customer',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get the order history and lifetime spend of a customer
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCustomerOrders = async (req, res) => {
+  try {
+    const customerId = req.params.id;
+    const queryParams = req.query;
+
+    const result = await customerService.getCustomerOrders(customerId, queryParams);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer: result.customer,
+        summary: result.summary,
+        orders: result.orders
+      },
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error getting customer orders:', error);
+
+    if (handleCustomerError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get customer orders',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createCustomer,
+  getAllCustomers,
+  getCustomerById,
+  updateCustomer,
+  deleteCustomer,
+  getCustomerOrders
+};
@@ -0,0 +1,49 @@
+// src/controllers/file.controller.js
+const storage = require('../storage');
+
+/**
+ * Controller to send a private file through a signed link made by the local
+ * storage driver
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSignedFile = async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+
+    if (!storage.verifySignedUrl(key, expires, signature)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Invalid or expired file link'
+      });
+    }
+
+    const file = await storage.getFile(key);
+
+    res.set({
+      'Content-Type': file.contentType,
+      'Cache-Control': 'private, no-store'
+    });
+    res.status(200).send(file.body);
+  } catch (error) {
+    console.error('Error getting file:', error);
+
+    if (error.message.startsWith('File not found')) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get file',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSignedFile
+};
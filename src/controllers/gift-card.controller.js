@@ -0,0 +1,279 @@
+// src/controllers/gift-card.controller.js
+const giftCardService = require('../services/gift-card.service');
+
+/**
+ * Send the response for a gift card error, if it is one
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @returns {boolean} True if a response was sent
+ */
+const handleGiftCardError = (res, error) => {
+  if (error.message === 'Gift card not found' || error.message === 'Customer not found') {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.message.startsWith('Invalid') ||
+      error.message.includes('Insufficient gift card balance') ||
+      error.message.includes('voided') ||
+      error.message.includes('reason is required')) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Controller to issue a gift card or store credit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const issueGiftCard = async (req, res) => {
+  try {
+    const cardData = req.body;
+
+    // Validate required fields
+    if (cardData.amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount is required'
+      });
+    }
+
+    const giftCard = await giftCardService.issueGiftCard(cardData, req.admin.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Gift card issued successfully',
+      data: giftCard
+    });
+  } catch (error) {
+    console.error('Error issuing gift card:', error);
+
+    if (handleGiftCardError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to issue gift card',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get all gift cards
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllGiftCards = async (req, res) => {
+  try {
+    const queryParams = req.query;
+
+    const result = await giftCardService.getAllGiftCards(queryParams);
+
+    res.status(200).json({
+      success: true,
+      data: result.giftCards,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error getting gift cards:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get gift cards',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get a gift card with its ledger
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getGiftCardById = async (req, res) => {
+  try {
+    const giftCardId = req.params.id;
+
+    const giftCard = await giftCardService.getGiftCardById(giftCardId);
+
+    res.status(200).json({
+      success: true,
+      data: giftCard
+    });
+  } catch (error) {
+    console.error('Error getting gift card:', error);
+
+    if (handleGiftCardError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get gift card',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to look up a gift card by code
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getGiftCardByCode = async (req, res) => {
+  try {
+    const { code } = req.params;
+
+    const giftCard = await giftCardService.getGiftCardByCode(code);
+
+    res.status(200).json({
+      success: true,
+      data: giftCard
+    });
+  } catch (error) {
+    console.error('Error looking up gift card:', error);
+
+    if (handleGiftCardError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up gift card',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to add value to a gift card
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const topUpGiftCard = async (req, res) => {
+  try {
+    const giftCardId = req.params.id;
+    const { amount, reason } = req.body;
+
+    // Validate required fields
+    if (amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount is required'
+      });
+    }
+
+    const giftCard = await giftCardService.topUpGiftCard(giftCardId, { amount, reason }, req.admin.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Gift card topped up successfully',
+      data: giftCard
+    });
+  } catch (error) {
+    console.error('Error topping up gift card:', error);
+
+    if (handleGiftCardError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to top up gift card',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to redeem an amount from a gift card outside an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const redeemGiftCard = async (req, res) => {
+  try {
+    const giftCardId = req.params.id;
+    const { amount, reason } = req.body;
+
+    // Validate required fields
+    if (amount === undefined || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount and reason are required'
+      });
+    }
+
+    const giftCard = await giftCardService.redeemGiftCard(giftCardId, { amount, reason }, req.admin.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Gift card redeemed successfully',
+      data: giftCard
+    });
+  } catch (error) {
+    console.error('Error redeeming gift card:', error);
+
+    if (handleGiftCardError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to redeem gift card',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to void a gift card
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const voidGiftCard = async (req, res) => {
+  try {
+    const giftCardId = req.params.id;
+    const { reason } = req.body;
+
+    const giftCard = await giftCardService.voidGiftCard(giftCardId, reason, req.admin.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Gift card voided successfully',
+      data: giftCard
+    });
+  } catch (error) {
+    console.error('Error voiding gift card:', error);
+
+    if (handleGiftCardError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to void gift card',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  issueGiftCard,
+  getAllGiftCards,
+  getGiftCardById,
+  getGiftCardByCode,
+  topUpGiftCard,
+  redeemGiftCard,
+  voidGiftCard
+};
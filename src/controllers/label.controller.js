@@ -0,0 +1,48 @@
+// src/controllers/label.controller.js
+const labelService = require('../services/label.service');
+
+/**
+ * Controller to render printable labels for a selection of products
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createLabels = async (req, res) => {
+  try {
+    const { format, template, items } = req.body;
+
+    const labels = await labelService.renderLabels({ format, template, items });
+
+    res.set({
+      'Content-Type': labels.contentType,
+      'Content-Length': labels.content.length,
+      'Content-Disposition': `inline; filename="${labels.filename}"`
+    });
+    res.status(200).send(labels.content);
+  } catch (error) {
+    console.error('Error rendering labels:', error);
+
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render labels',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createLabels
+};
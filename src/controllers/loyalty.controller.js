@@ -0,0 +1,97 @@
+// src/controllers/loyalty.controller.js
+const loyaltyService = require('../services/loyalty.service');
+
+/**
+ * Controller to get a customer's points balance and ledger
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getCustomerPoints = async (req, res) => {
+  try {
+    const customerId = req.params.id;
+    const queryParams = req.query;
+
+    const result = await loyaltyService.getCustomerPoints(customerId, queryParams);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        customer: result.customer,
+        nextExpiry: result.nextExpiry,
+        transactions: result.transactions
+      },
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error getting customer points:', error);
+
+    if (error.message === 'Customer not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get customer points',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to adjust a customer's points by hand
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const adjustPoints = async (req, res) => {
+  try {
+    const customerId = req.params.id;
+    const { points, reason } = req.body;
+
+    // Validate required fields
+    if (points === undefined || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Points and reason are required'
+      });
+    }
+
+    const result = await loyaltyService.adjustPoints(customerId, { points, reason }, req.admin.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Points adjusted successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error adjusting points:', error);
+
+    if (error.message === 'Customer not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.includes('Invalid points adjustment') ||
+        error.message.includes('Insufficient loyalty points')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust points',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCustomerPoints,
+  adjustPoints
+};
@@ -11,16 +11,20 @@ const createOrder = async (req, res) => {
   try {
     const orderData = req.body;
     
-    // Validate required fields
-    if (!orderData.customerName || !orderData.items || orderData.items.length === 0) {
+    const adminId = req.admin ? req.admin.id : null;
+    
+    // Validate required fields; a customer account linked by staff supplies the name
+    if ((!orderData.customerName && !(adminId && orderData.customerId)) || !orderData.items || orderData.items.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Customer name and items are required'
+        message: adminId
+          ? 'Customer name (or customer ID) and items are required'
+          : 'Customer name and items are required'
       });
     }
     
     // Call service to create order
-    const newOrder = await orderService.createOrder(orderData);
+    const newOrder = await orderService.createOrder(orderData, adminId);
     
     res.status(201).json({
       success: true,
@@ -31,7 +35,25 @@ const createOrder = async (req, res) => {
     console.error('Error creating order:', error);
     
     // Handle specific errors
-    if (error.message.includes('not found') || error.message.includes('Insufficient stock')) {
+    if (error.message.includes('not found') || 
+        error.message.includes('Insufficient stock') ||
+        error.message.includes('Invalid quantity') ||
+        error.message.includes('Customer name is required') ||
+        error.message.includes('Invalid variant') ||
+        error.message.includes('Invalid barcode') ||
+        error.message.includes('Invalid phone number') ||
+        error.message.includes('Invalid email address') ||
+        error.message.includes('Invalid coupon code') ||
+        error.message.includes('Invalid points redemption') ||
+        error.message.includes('Insufficient loyalty points') ||
+        error.message.includes('Gift card code is required') ||
+        error.message.includes('Invalid payment') ||
+        error.message.includes('Invalid cash tendered') ||
+        error.message.includes('Invalid money amount') ||
+        error.message.includes('is not available') ||
+        error.message.includes('Insufficient gift card balance') ||
+        error.message.includes('not valid at this time') ||
+        error.message.includes('Usage limit reached')) {
       return res.status(400).json({
         success: false,
         message: error.message
@@ -53,7 +75,6 @@ const createOrder = async (req, res) => {
  */
 const uploadPaymentProof = async (req, res) => {
   try {
-    const orderId = req.params.id;
     const fileInfo = req.file;
     
     // Validate file upload
@@ -64,8 +85,11 @@ const uploadPaymentProof = async (req, res) => {
       });
     }
     
+    // Customers identify the order by its public token
+    const orderId = await orderService.resolveOrderId(req.params.id, { allowId: Boolean(req.admin) });
+    
     // Call service to upload payment proof
-    const updatedOrder = await orderService.uploadPaymentProof(orderId, fileInfo);
+    const updatedOrder = await orderService.uploadPaymentProof(orderId, fileInfo, req.body.paymentId);
     
     res.status(200).json({
       success: true,
@@ -82,14 +106,23 @@ const uploadPaymentProof = async (req, res) => {
       });
     }
     
-    if (error.message.includes('can only be uploaded for pending orders') || 
-        error.message.includes('not required for')) {
+    if (error.message.includes('Invalid status transition') || 
+        error.message.includes('not required for') ||
+        error.message.includes('Invalid payment') ||
+        error.message.includes('not found in this order')) {
       return res.status(400).json({
         success: false,
         message: error.message
       });
     }
     
+    if (error.message.includes('please retry')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Failed to upload payment proof',
@@ -108,7 +141,7 @@ const verifyPayment = async (req, res) => {
     const orderId = req.params.id;
     
     // Call service to verify payment
-    const updatedOrder = await orderService.verifyPayment(orderId);
+    const updatedOrder = await orderService.verifyPayment(orderId, req.admin.id, req.body.paymentId);
     
     res.status(200).json({
       success: true,
@@ -125,16 +158,24 @@ const verifyPayment = async (req, res) => {
       });
     }
     
-    if (error.message.includes('Only orders with uploaded payment') ||
+    if (error.message.includes('Invalid status transition') ||
         error.message.includes('No payment proof found') ||
-        error.message.includes('Only pending or already verified') ||
-        error.message.includes('Cannot verify payment')) {
+        error.message.includes('Cannot verify payment') ||
+        error.message.includes('Invalid payment') ||
+        error.message.includes('not found in this order')) {
       return res.status(400).json({
         success: false,
         message: error.message
       });
     }
     
+    if (error.message.includes('please retry')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Failed to verify payment',
@@ -143,6 +184,67 @@ const verifyPayment = async (req, res) => {
   }
 };
 
+/**
+ * Controller to reject an uploaded payment proof
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const rejectPayment = async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    const { reason } = req.body;
+    
+    // Validate input
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection reason is required'
+      });
+    }
+    
+    // Call service to reject payment
+    const updatedOrder = await orderService.rejectPayment(orderId, req.admin.id, reason.trim(), req.body.paymentId);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Payment rejected successfully',
+      data: updatedOrder
+    });
+  } catch (error) {
+    console.error('Error rejecting payment:', error);
+    
+    if (error.message === 'Order not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Invalid status transition') ||
+        error.message.includes('No payment proof found') ||
+        error.message.includes('Invalid payment') ||
+        error.message.includes('not found in this order')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('please retry')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reject payment',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Controller to complete an order
  * @param {Object} req - Express request object
@@ -151,9 +253,11 @@ const verifyPayment = async (req, res) => {
 const completeOrder = async (req, res) => {
   try {
     const orderId = req.params.id;
+    const allowBackorder = req.body.allowBackorder === true || req.body.allowBackorder === 'true';
+    const { cashTendered } = req.body;
     
     // Call service to complete order
-    const completedOrder = await orderService.completeOrder(orderId);
+    const completedOrder = await orderService.completeOrder(orderId, req.admin.id, { allowBackorder, cashTendered });
     
     res.status(200).json({
       success: true,
@@ -163,6 +267,17 @@ const completeOrder = async (req, res) => {
   } catch (error) {
     console.error('Error completing order:', error);
     
+    // Stock ran short since the order was placed; the admin may retry with allowBackorder
+    if (error.shortages) {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        data: {
+          shortages: error.shortages
+        }
+      });
+    }
+    
     if (error.message === 'Order not found') {
       return res.status(404).json({
         success: false,
@@ -170,13 +285,22 @@ const completeOrder = async (req, res) => {
       });
     }
     
-    if (error.message.includes('Only verified orders')) {
+    if (error.message.includes('Invalid status transition') ||
+        error.message.includes('Invalid cash tendered') ||
+        error.message.includes('Invalid money amount')) {
       return res.status(400).json({
         success: false,
         message: error.message
       });
     }
     
+    if (error.message.includes('please retry')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Failed to complete order',
@@ -193,9 +317,18 @@ const completeOrder = async (req, res) => {
 const cancelOrder = async (req, res) => {
   try {
     const orderId = req.params.id;
+    const { reason } = req.body;
+    
+    // Validate input
+    if (typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Cancellation reason is required'
+      });
+    }
     
     // Call service to cancel order
-    const cancelledOrder = await orderService.cancelOrder(orderId);
+    const cancelledOrder = await orderService.cancelOrder(orderId, req.admin.id, reason.trim());
     
     res.status(200).json({
       success: true,
@@ -212,13 +345,20 @@ const cancelOrder = async (req, res) => {
       });
     }
     
-    if (error.message.includes('can be cancelled')) {
+    if (error.message.includes('Invalid status transition')) {
       return res.status(400).json({
         success: false,
         message: error.message
       });
     }
     
+    if (error.message.includes('please retry')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Failed to cancel order',
@@ -256,13 +396,14 @@ const getAllOrders = async (req, res) => {
 };
 
 /**
- * Controller to get an order by ID
+ * Controller to get an order by its public token (or ID, for staff)
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const getOrderById = async (req, res) => {
   try {
-    const orderId = req.params.id;
+    // Customers identify the order by its public token
+    const orderId = await orderService.resolveOrderId(req.params.id, { allowId: Boolean(req.admin) });
     
     // Call service to get order by ID
     const order = await orderService.getOrderById(orderId);
@@ -289,6 +430,72 @@ const getOrderById = async (req, res) => {
   }
 };
 
+/**
+ * Controller to send staff, or the customer holding the order token, to a
+ * payment proof image of the order through a short-lived signed link
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPaymentProof = async (req, res) => {
+  try {
+    const orderId = await orderService.resolveOrderId(req.params.id, { allowId: Boolean(req.admin) });
+    const url = await orderService.getPaymentProofUrl(orderId, req.query.proofId);
+    
+    // Proofs show account details, so the link must not be kept in shared caches
+    res.set('Cache-Control', 'private, no-store');
+    res.redirect(302, url);
+  } catch (error) {
+    console.error('Error getting payment proof:', error);
+    
+    if (error.message === 'Order not found' || error.message === 'Payment proof not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get payment proof',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get the status history of an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrderHistory = async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    
+    // Call service to get order history
+    const history = await orderService.getOrderHistory(orderId);
+    
+    res.status(200).json({
+      success: true,
+      data: history
+    });
+  } catch (error) {
+    console.error('Error getting order history:', error);
+    
+    if (error.message === 'Order not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get order history',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Controller to get pending orders count for notifications
  * @param {Object} req - Express request object
@@ -437,10 +644,13 @@ module.exports = {
   createOrder,
   uploadPaymentProof,
   verifyPayment,
+  rejectPayment,
   completeOrder,
   cancelOrder,
   getAllOrders,
   getOrderById,
+  getPaymentProof,
+  getOrderHistory,
   getPendingOrdersCount,
   getSalesSummary,
   getDailySalesReport,
@@ -52,6 +52,13 @@ const updatePaymentMethodSetting = async (req, res) => {
       });
     }
     
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Failed to update payment method setting',
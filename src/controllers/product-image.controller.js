@@ -0,0 +1,168 @@
+// src/controllers/product-image.controller.js
+const productImageService = require('../services/product-image.service');
+
+/**
+ * Send the response for a product image error, if it is one
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @returns {boolean} True if a response was sent
+ */
+const handleProductImageError = (res, error) => {
+  if (error.message.includes('not found')) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.message.startsWith('Invalid')) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Controller to add uploaded images to a product
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const addProductImages = async (req, res) => {
+  try {
+    const productId = req.params.id;
+    const { altText, makePrimary } = req.body;
+
+    // Call service to add the images
+    const images = await productImageService.addProductImages(productId, req.files, {
+      altText: altText || null,
+      makePrimary: String(makePrimary) === 'true'
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Product images uploaded successfully',
+      data: images
+    });
+  } catch (error) {
+    console.error('Error uploading product images:', error);
+
+    if (handleProductImageError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload product images',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to update the alt text, position or primary flag of a product image
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateProductImage = async (req, res) => {
+  try {
+    const { id: productId, imageId } = req.params;
+
+    // Call service to update the image
+    const images = await productImageService.updateProductImage(productId, imageId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Product image updated successfully',
+      data: images
+    });
+  } catch (error) {
+    console.error('Error updating product image:', error);
+
+    if (handleProductImageError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update product image',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to put the images of a product in a new order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const reorderProductImages = async (req, res) => {
+  try {
+    const productId = req.params.id;
+    const { imageIds } = req.body;
+
+    // Call service to reorder the images
+    const images = await productImageService.reorderProductImages(productId, imageIds);
+
+    res.status(200).json({
+      success: true,
+      message: 'Product images reordered successfully',
+      data: images
+    });
+  } catch (error) {
+    console.error('Error reordering product images:', error);
+
+    if (handleProductImageError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder product images',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to delete a product image
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteProductImage = async (req, res) => {
+  try {
+    const { id: productId, imageId } = req.params;
+
+    // Call service to delete the image
+    const images = await productImageService.deleteProductImage(productId, imageId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Product image deleted successfully',
+      data: images
+    });
+  } catch (error) {
+    console.error('Error deleting product image:', error);
+
+    if (handleProductImageError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete product image',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  addProductImages,
+  updateProductImage,
+  reorderProductImages,
+  deleteProductImage
+};
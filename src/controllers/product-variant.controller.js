@@ -0,0 +1,140 @@
+// src/controllers/product-variant.controller.js
+const productVariantService = require('../services/product-variant.service');
+
+/**
+ * Send the response for a product variant error, if it is one
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @returns {boolean} True if a response was sent
+ */
+const handleProductVariantError = (res, error) => {
+  if (error.message.includes('not found')) {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.message.includes('already exists') ||
+      error.message.includes('already used') ||
+      error.message.startsWith('Cannot delete')) {
+    res.status(409).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.message.startsWith('Invalid')) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Controller to add a variant to a product
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createProductVariant = async (req, res) => {
+  try {
+    const productId = req.params.id;
+
+    // Call service to create the variant
+    const variants = await productVariantService.createProductVariant(productId, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Product variant created successfully',
+      data: variants
+    });
+  } catch (error) {
+    console.error('Error creating product variant:', error);
+
+    if (handleProductVariantError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create product variant',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to update a product variant
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateProductVariant = async (req, res) => {
+  try {
+    const { id: productId, variantId } = req.params;
+
+    // Call service to update the variant
+    const variants = await productVariantService.updateProductVariant(productId, variantId, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'Product variant updated successfully',
+      data: variants
+    });
+  } catch (error) {
+    console.error('Error updating product variant:', error);
+
+    if (handleProductVariantError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update product variant',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to delete a product variant
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteProductVariant = async (req, res) => {
+  try {
+    const { id: productId, variantId } = req.params;
+
+    // Call service to delete the variant
+    const variants = await productVariantService.deleteProductVariant(productId, variantId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Product variant deleted successfully',
+      data: variants
+    });
+  } catch (error) {
+    console.error('Error deleting product variant:', error);
+
+    if (handleProductVariantError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete product variant',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant
+};
@@ -29,6 +29,26 @@ const createProduct = async (req, res) => {
   } catch (error) {
     console.error('Error creating product:', error);
     
+    if (error.message.includes('already exists') ||
+        error.message.includes('already used')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('does not exist') ||
+        error.message.includes('Invalid money amount') ||
+        error.message.startsWith('Invalid images') ||
+        error.message.startsWith('Invalid card') ||
+        error.message.startsWith('Invalid barcode') ||
+        error.message.startsWith('Invalid buy price')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Failed to create product',
@@ -57,6 +77,14 @@ const getAllProducts = async (req, res) => {
   } catch (error) {
     console.error('Error getting products:', error);
     
+    if (error.message.includes('Invalid money amount') ||
+        error.message.startsWith('Invalid card')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Failed to get products',
@@ -99,6 +127,47 @@ const getProductById = async (req, res) => {
   }
 };
 
+/**
+ * Controller to find the product for a scanned barcode or SKU
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const lookupProduct = async (req, res) => {
+  try {
+    const { code } = req.query;
+    
+    // Call service to look up the code
+    const result = await productService.lookupProduct(code);
+    
+    res.status(200).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error looking up product:', error);
+    
+    if (error.message.includes('not found')) {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message.startsWith('Invalid barcode')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to look up product',
+      error: error.message
+    });
+  }
+};
+
 /**
  * Controller to update a product
  * @param {Object} req - Express request object
@@ -128,6 +197,27 @@ const updateProduct = async (req, res) => {
       });
     }
     
+    if (error.message.includes('already exists') ||
+        error.message.includes('already used')) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('does not exist') ||
+        error.message.includes('Invalid money amount') ||
+        error.message.startsWith('Invalid images') ||
+        error.message.startsWith('Invalid card') ||
+        error.message.startsWith('Invalid barcode') ||
+        error.message.startsWith('Invalid buy price') ||
+        error.message.startsWith('Invalid stock')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     res.status(500).json({
       success: false,
       message: 'Failed to update product',
@@ -175,6 +265,7 @@ module.exports = {
   createProduct,
   getAllProducts,
   getProductById,
+  lookupProduct,
   updateProduct,
   deleteProduct
 };
\ No newline at end of file
@@ -0,0 +1,195 @@
+// src/controllers/promotion.controller.js
+const promotionService = require('../services/promotion.service');
+
+/**
+ * Send the response for a promotion validation error, if it is one
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @returns {boolean} True if a response was sent
+ */
+const handlePromotionError = (res, error) => {
+  if (error.message === 'Promotion not found') {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+  
+  if (error.message.includes('already exists')) {
+    res.status(409).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+  
+  if (error.message.startsWith('Invalid promotion') ||
+      error.message.startsWith('Invalid money amount')) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+  
+  return false;
+};
+
+/**
+ * Controller to create a promotion
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createPromotion = async (req, res) => {
+  try {
+    const promotionData = req.body;
+    
+    // Validate required fields
+    if (!promotionData.name || !promotionData.type || promotionData.value === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name, type, and value are required'
+      });
+    }
+    
+    // Call service to create promotion
+    const newPromotion = await promotionService.createPromotion(promotionData);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Promotion created successfully',
+      data: newPromotion
+    });
+  } catch (error) {
+    console.error('Error creating promotion:', error);
+    
+    if (handlePromotionError(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create promotion',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get all promotions
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllPromotions = async (req, res) => {
+  try {
+    const promotions = await promotionService.getAllPromotions(req.query);
+    
+    res.status(200).json({
+      success: true,
+      data: promotions
+    });
+  } catch (error) {
+    console.error('Error getting promotions:', error);
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get promotions',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get a promotion by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPromotionById = async (req, res) => {
+  try {
+    const promotion = await promotionService.getPromotionById(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      data: promotion
+    });
+  } catch (error) {
+    console.error('Error getting promotion:', error);
+    
+    if (handlePromotionError(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get promotion',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to update a promotion
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updatePromotion = async (req, res) => {
+  try {
+    const updatedPromotion = await promotionService.updatePromotion(req.params.id, req.body);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Promotion updated successfully',
+      data: updatedPromotion
+    });
+  } catch (error) {
+    console.error('Error updating promotion:', error);
+    
+    if (handlePromotionError(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update promotion',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to delete a promotion
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deletePromotion = async (req, res) => {
+  try {
+    const deletedPromotion = await promotionService.deletePromotion(req.params.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Promotion deleted successfully',
+      data: deletedPromotion
+    });
+  } catch (error) {
+    console.error('Error deleting promotion:', error);
+    
+    if (handlePromotionError(res, error)) {
+      return;
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete promotion',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createPromotion,
+  getAllPromotions,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion
+};
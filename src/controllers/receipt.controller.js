@@ -0,0 +1,49 @@
+// src/controllers/receipt.controller.js
+const receiptService = require('../services/receipt.service');
+
+/**
+ * Controller to get the printable receipt of an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getReceipt = async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    const { format, paper } = req.query;
+
+    const receipt = await receiptService.renderReceipt(orderId, { format, paper });
+
+    res.set({
+      'Content-Type': receipt.contentType,
+      'Content-Length': receipt.content.length,
+      'Content-Disposition': `inline; filename="${receipt.filename}"`
+    });
+    res.status(200).send(receipt.content);
+  } catch (error) {
+    console.error('Error rendering receipt:', error);
+
+    if (error.message === 'Order not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to render receipt',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getReceipt
+};
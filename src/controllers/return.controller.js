@@ -0,0 +1,96 @@
+// src/controllers/return.controller.js
+const returnService = require('../services/return.service');
+
+/**
+ * Controller to create a return for a completed order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createReturn = async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    const returnData = req.body;
+    
+    // Validate required fields
+    if (!returnData.reason || (!returnData.fullReturn && (!Array.isArray(returnData.items) || returnData.items.length === 0))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason and items (or fullReturn) are required'
+      });
+    }
+    
+    // Call service to create return
+    const newReturn = await returnService.createReturn(orderId, returnData, req.admin.id);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Return processed successfully',
+      data: newReturn
+    });
+  } catch (error) {
+    console.error('Error creating return:', error);
+    
+    if (error.message === 'Order not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.message.includes('Only completed orders') ||
+        error.message.includes('not found in this order') ||
+        error.message.includes('Cannot return more than purchased') ||
+        error.message.includes('at least one item') ||
+        error.message.includes('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to process return',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get all returns of an order
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getOrderReturns = async (req, res) => {
+  try {
+    const orderId = req.params.id;
+    
+    // Call service to get order returns
+    const returns = await returnService.getOrderReturns(orderId);
+    
+    res.status(200).json({
+      success: true,
+      data: returns
+    });
+  } catch (error) {
+    console.error('Error getting order returns:', error);
+    
+    if (error.message === 'Order not found') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get order returns',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createReturn,
+  getOrderReturns
+};
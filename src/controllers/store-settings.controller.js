@@ -0,0 +1,65 @@
+// src/controllers/store-settings.controller.js
+const storeSettingsService = require('../services/store-settings.service');
+
+/**
+ * Controller to get the store settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getStoreSettings = async (req, res) => {
+  try {
+    const settings = await storeSettingsService.getStoreSettings();
+
+    res.status(200).json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    console.error('Error getting store settings:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get store settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to update the store settings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateStoreSettings = async (req, res) => {
+  try {
+    const data = req.body;
+
+    const updatedSettings = await storeSettingsService.updateStoreSettings(data);
+
+    res.status(200).json({
+      success: true,
+      message: 'Store settings updated successfully',
+      data: updatedSettings
+    });
+  } catch (error) {
+    console.error('Error updating store settings:', error);
+
+    if (error.message.startsWith('Invalid')) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update store settings',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getStoreSettings,
+  updateStoreSettings
+};
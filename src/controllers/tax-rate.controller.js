@@ -0,0 +1,201 @@
+// src/controllers/tax-rate.controller.js
+const taxService = require('../services/tax.service');
+
+/**
+ * Send the response for a tax rate validation error, if it is one
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by the service
+ * @returns {boolean} True if a response was sent
+ */
+const handleTaxRateError = (res, error) => {
+  if (error.message === 'Tax rate not found') {
+    res.status(404).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.message.includes('already exists')) {
+    res.status(409).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  if (error.message.startsWith('Invalid tax rate')) {
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Controller to create a tax rate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createTaxRate = async (req, res) => {
+  try {
+    const taxRateData = req.body;
+
+    // Validate required fields
+    if (!taxRateData.name || taxRateData.rate === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'Name and rate are required'
+      });
+    }
+
+    // Call service to create tax rate
+    const newTaxRate = await taxService.createTaxRate(taxRateData);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tax rate created successfully',
+      data: newTaxRate
+    });
+  } catch (error) {
+    console.error('Error creating tax rate:', error);
+
+    if (handleTaxRateError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create tax rate',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get all tax rates
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getAllTaxRates = async (req, res) => {
+  try {
+    const taxRates = await taxService.getAllTaxRates();
+
+    res.status(200).json({
+      success: true,
+      data: taxRates
+    });
+  } catch (error) {
+    console.error('Error getting tax rates:', error);
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get tax rates',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to get a tax rate by ID
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTaxRateById = async (req, res) => {
+  try {
+    const taxRateId = req.params.id;
+
+    const taxRate = await taxService.getTaxRateById(taxRateId);
+
+    res.status(200).json({
+      success: true,
+      data: taxRate
+    });
+  } catch (error) {
+    console.error('Error getting tax rate:', error);
+
+    if (handleTaxRateError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get tax rate',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to update a tax rate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateTaxRate = async (req, res) => {
+  try {
+    const taxRateId = req.params.id;
+    const updateData = req.body;
+
+    const updatedTaxRate = await taxService.updateTaxRate(taxRateId, updateData);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate updated successfully',
+      data: updatedTaxRate
+    });
+  } catch (error) {
+    console.error('Error updating tax rate:', error);
+
+    if (handleTaxRateError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update tax rate',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Controller to delete a tax rate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteTaxRate = async (req, res) => {
+  try {
+    const taxRateId = req.params.id;
+
+    const deletedTaxRate = await taxService.deleteTaxRate(taxRateId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Tax rate deleted successfully',
+      data: deletedTaxRate
+    });
+  } catch (error) {
+    console.error('Error deleting tax rate:', error);
+
+    if (handleTaxRateError(res, error)) {
+      return;
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete tax rate',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createTaxRate,
+  getAllTaxRates,
+  getTaxRateById,
+  updateTaxRate,
+  deleteTaxRate
+};
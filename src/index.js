@@ -3,6 +3,7 @@ const cors = require('cors');
 const path = require('path');
 const { connectDB, disconnectDB } = require('./config/db');
 const config = require('./config/app');
+const { startJobs, stopJobs } = require('./jobs');
 
 // Import routes
 const adminRoutes = require('./routes/admin.routes');
@@ -10,6 +11,15 @@ const productRoutes = require('./routes/product.routes');
 const orderRoutes = require('./routes/order.routes');
 const categoryRoutes = require('./routes/category.routes');
 const paymentSettingsRoutes = require('./routes/payment-settings.routes');
+const backorderRoutes = require('./routes/backorder.routes');
+const promotionRoutes = require('./routes/promotion.routes');
+const taxRateRoutes = require('./routes/tax-rate.routes');
+const storeSettingsRoutes = require('./routes/store-settings.routes');
+const customerRoutes = require('./routes/customer.routes');
+const giftCardRoutes = require('./routes/gift-card.routes');
+const cashShiftRoutes = require('./routes/cash-shift.routes');
+const buylistRoutes = require('./routes/buylist.routes');
+const fileRoutes = require('./routes/file.routes');
 
 // Initialize Express app
 const app = express();
@@ -20,8 +30,13 @@ app.use(cors(config.cors));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Static files for uploads
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
+// Static files for public uploads kept on local disk. Payment proofs are
+// private and only served through GET /api/orders/:id/payment-proof
+if (config.storage.driver === 'local') {
+  [config.uploads.products, config.uploads.qris].forEach(folder => {
+    app.use(`${config.storage.local.publicBaseUrl}/${folder}`, express.static(path.join(config.storage.local.dir, folder)));
+  });
+}
 
 // Routes
 app.use('/api/admin', adminRoutes);
@@ -29,6 +44,15 @@ app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/payment-settings', paymentSettingsRoutes);
+app.use('/api/backorders', backorderRoutes);
+app.use('/api/promotions', promotionRoutes);
+app.use('/api/tax-rates', taxRateRoutes);
+app.use('/api/store-settings', storeSettingsRoutes);
+app.use('/api/customers', customerRoutes);
+app.use('/api/gift-cards', giftCardRoutes);
+app.use('/api/cash-shifts', cashShiftRoutes);
+app.use('/api/buylist', buylistRoutes);
+app.use('/api/files', fileRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -59,6 +83,9 @@ const startServer = async () => {
     app.listen(PORT, () => {
       console.log(`Server running in ${config.server.nodeEnv} mode on port ${PORT}`);
     });
+
+    // Start background jobs
+    startJobs();
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
@@ -69,11 +96,13 @@ startServer();
 
 // Handle cleanup
 process.on('SIGINT', async () => {
+  stopJobs();
   await disconnectDB();
   process.exit(0);
 });
 
 process.on('SIGTERM', async () => {
+  stopJobs();
   await disconnectDB();
   process.exit(0);
 });
\ No newline at end of file
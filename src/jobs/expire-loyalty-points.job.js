@@ -0,0 +1,23 @@
+// src/jobs/expire-loyalty-points.job.js
+const { createJob } = require('./job-runner');
+const loyaltyService = require('../services/loyalty.service');
+const config = require('../config/app');
+
+/**
+ * Remove loyalty points that passed the expiry configured in the store settings
+ */
+const expireLoyaltyPointsJob = createJob({
+  name: 'expire-loyalty-points',
+  intervalMs: config.jobs.expireLoyaltyPoints.intervalMs,
+  handler: async () => {
+    // Lots are expired in their own transactions; the job's transaction only
+    // holds the lock
+    const expired = await loyaltyService.expirePoints();
+
+    expired.forEach(lot => {
+      console.log(`[jobs] ${lot.points} loyalty points of customer #${lot.customerId} expired`);
+    });
+  }
+});
+
+module.exports = expireLoyaltyPointsJob;
@@ -0,0 +1,24 @@
+// src/jobs/expire-pending-orders.job.js
+const { createJob } = require('./job-runner');
+const orderService = require('../services/order.service');
+const config = require('../config/app');
+
+/**
+ * Cancel PENDING orders that never received a payment proof within the
+ * timeout configured on their payment method setting
+ */
+const expirePendingOrdersJob = createJob({
+  name: 'expire-pending-orders',
+  intervalMs: config.jobs.expirePendingOrders.intervalMs,
+  handler: async () => {
+    // Orders are expired in their own transactions; the job's transaction
+    // only holds the lock
+    const expiredOrders = await orderService.expirePendingOrders();
+
+    expiredOrders.forEach(order => {
+      console.log(`[jobs] Order #${order.orderId} cancelled: ${order.reason}`);
+    });
+  }
+});
+
+module.exports = expirePendingOrdersJob;
@@ -0,0 +1,36 @@
+// src/jobs/index.js
+const config = require('../config/app');
+const expirePendingOrdersJob = require('./expire-pending-orders.job');
+const expireLoyaltyPointsJob = require('./expire-loyalty-points.job');
+
+const jobs = [
+  expirePendingOrdersJob,
+  expireLoyaltyPointsJob
+];
+
+/**
+ * Start all background jobs (unless disabled through config)
+ */
+const startJobs = () => {
+  if (!config.jobs.enabled) {
+    console.log('Background jobs disabled');
+    return;
+  }
+
+  jobs.forEach(job => {
+    job.start();
+    console.log(`Background job started: ${job.name}`);
+  });
+};
+
+/**
+ * Stop all background jobs
+ */
+const stopJobs = () => {
+  jobs.forEach(job => job.stop());
+};
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
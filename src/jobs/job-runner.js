@@ -0,0 +1,96 @@
+// src/jobs/job-runner.js
+const { prisma } = require('../config/db');
+const config = require('../config/app');
+
+/**
+ * Run a job body while holding a Postgres advisory lock named after the job.
+ * When several backend replicas run the same schedule, only the one that gets
+ * the lock does the work; the others skip this tick.
+ * Work done through the transaction client is rolled back as a whole if the
+ * job fails or runs past the timeout, so batches that may be long should
+ * commit each item in its own transaction instead.
+ * @param {string} name - Job name, also used as the lock key
+ * @param {Function} handler - Async job body, receives the transaction client
+ * @param {number} timeout - Maximum time in ms the job may hold the lock
+ * @returns {Promise<boolean>} True if the job ran, false if another replica held the lock
+ */
+const runWithLock = async (name, handler, timeout) => {
+  return prisma.$transaction(async (tx) => {
+    const [{ locked }] = await tx.$queryRaw`
+      SELECT pg_try_advisory_xact_lock(hashtext(${name})) AS locked
+    `;
+
+    if (!locked) {
+      return false;
+    }
+
+    await handler(tx);
+    return true;
+  }, {
+    maxWait: 5000,
+    timeout
+  });
+};
+
+/**
+ * How long a run of a job may hold its lock. It is kept well past the
+ * interval: a run that overran would otherwise lose the lock while its
+ * queries are still going, and the next tick could start a second run.
+ * @param {number} intervalMs - Interval between runs in ms
+ * @returns {number} Lock timeout in ms
+ */
+const getLockTimeout = (intervalMs) => Math.max(config.jobs.lockTimeoutMs, intervalMs * 2);
+
+/**
+ * Create a scheduled job that runs on a fixed interval
+ * @param {Object} options - Job options
+ * @param {string} options.name - Job name
+ * @param {number} options.intervalMs - Interval between runs in ms
+ * @param {Function} options.handler - Async job body, receives the transaction client
+ * @returns {Object} Job with start and stop functions
+ */
+const createJob = ({ name, intervalMs, handler }) => {
+  let timer = null;
+  let running = false;
+
+  const tick = async () => {
+    // Skip the tick if the previous run in this process is still going
+    if (running) {
+      return;
+    }
+
+    running = true;
+    try {
+      // Another replica holding the lock is normal and not logged
+      await runWithLock(name, handler, getLockTimeout(intervalMs));
+    } catch (error) {
+      console.error(`[jobs] ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    name,
+    start: () => {
+      if (timer) {
+        return;
+      }
+      timer = setInterval(tick, intervalMs);
+      // Do not keep the process alive just for the scheduler
+      timer.unref();
+      tick();
+    },
+    stop: () => {
+      if (timer) {
+        clearInterval(timer);
+        timer = null;
+      }
+    }
+  };
+};
+
+module.exports = {
+  createJob,
+  runWithLock
+};
@@ -56,6 +56,44 @@ const authenticateAdmin = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to attach the admin when a valid token is sent, for public
+ * routes that staff also use. Requests without a token pass as customers.
+ */
+const identifyAdmin = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return next();
+    }
+
+    const decoded = verifyToken(authHeader.split(' ')[1]);
+    if (!decoded) {
+      return next();
+    }
+
+    const admin = await prisma.admin.findUnique({
+      where: { id: decoded.id }
+    });
+
+    if (admin) {
+      req.admin = {
+        id: admin.id,
+        username: admin.username,
+        role: admin.role
+      };
+    }
+
+    next();
+  } catch (error) {
+    console.error('Authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+};
+
 /**
  * Middleware to check if user is a master admin
  */
@@ -72,5 +110,6 @@ const requireMasterAdmin = (req, res, next) => {
 
 module.exports = {
   authenticateAdmin,
+  identifyAdmin,
   requireMasterAdmin
 };
\ No newline at end of file
@@ -2,9 +2,9 @@
 const { 
   uploadPaymentProof, 
   uploadProductImage, 
+  uploadProductImages,
   uploadQrisImage,
   compressPaymentProof, 
-  compressProductImage,
   compressQrisImage
 } = require('../utils/file-upload');
 
@@ -38,7 +38,8 @@ const handlePaymentProofUpload = (req, res, next) => {
 };
 
 /**
- * Middleware to handle product image uploads with compression
+ * Middleware to handle a product image upload. The image is stored in
+ * several sizes by the product image service, so it isn't compressed here.
  */
 const handleProductImageUpload = (req, res, next) => {
   const upload = uploadProductImage.single('productImage');
@@ -52,17 +53,26 @@ const handleProductImageUpload = (req, res, next) => {
       });
     }
     
-    // Proceed to compression middleware
-    compressProductImage(req, res, (err) => {
-      if (err) {
-        return res.status(500).json({
-          success: false,
-          message: 'Error compressing product image',
-          error: err.message
-        });
-      }
-      next();
-    });
+    next();
+  });
+};
+
+/**
+ * Middleware to handle uploads of several product images at once
+ */
+const handleProductImagesUpload = (req, res, next) => {
+  const upload = uploadProductImages.array('productImages');
+  
+  upload(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: 'Error uploading product images',
+        error: err.message
+      });
+    }
+    
+    next();
   });
 };
 
@@ -98,5 +108,6 @@ const handleQrisImageUpload = (req, res, next) => {
 module.exports = {
   handlePaymentProofUpload,
   handleProductImageUpload,
+  handleProductImagesUpload,
   handleQrisImageUpload
 };
\ No newline at end of file
@@ -0,0 +1,13 @@
+// src/routes/backorder.routes.js
+const express = require('express');
+const router = express.Router();
+const backorderController = require('../controllers/backorder.controller');
+const { authenticateAdmin } = require('../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticateAdmin);
+
+router.get('/', backorderController.getAllBackorders);
+router.post('/:id/fulfill', backorderController.fulfillBackorder);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// src/routes/buylist.routes.js
+const express = require('express');
+const router = express.Router();
+const buylistController = require('../controllers/buylist.controller');
+const { authenticateAdmin } = require('../middleware/auth.middleware');
+
+// Public route - the cards the shop buys and what it pays
+router.get('/', buylistController.getBuylist);
+
+// Buy transactions - only accessible by admin
+router.get('/transactions', authenticateAdmin, buylistController.getAllBuyTransactions);
+router.get('/transactions/:id', authenticateAdmin, buylistController.getBuyTransactionById);
+router.post('/transactions', authenticateAdmin, buylistController.createBuyTransaction);
+
+module.exports = router;
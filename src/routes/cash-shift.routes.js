@@ -0,0 +1,17 @@
+// src/routes/cash-shift.routes.js
+const express = require('express');
+const router = express.Router();
+const cashShiftController = require('../controllers/cash-shift.controller');
+const { authenticateAdmin } = require('../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticateAdmin);
+
+router.get('/', cashShiftController.getAllShifts);
+router.get('/current', cashShiftController.getCurrentShift);
+router.get('/:id', cashShiftController.getShiftReport);
+router.post('/open', cashShiftController.openShift);
+router.post('/:id/movements', cashShiftController.addCashMovement);
+router.post('/:id/close', cashShiftController.closeShift);
+
+module.exports = router;
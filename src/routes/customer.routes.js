@@ -0,0 +1,20 @@
+// src/routes/customer.routes.js
+const express = require('express');
+const router = express.Router();
+const customerController = require('../controllers/customer.controller');
+const loyaltyController = require('../controllers/loyalty.controller');
+const { authenticateAdmin } = require('../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticateAdmin);
+
+router.get('/', customerController.getAllCustomers);
+router.get('/:id', customerController.getCustomerById);
+router.get('/:id/orders', customerController.getCustomerOrders);
+router.get('/:id/points', loyaltyController.getCustomerPoints);
+router.post('/:id/points/adjust', loyaltyController.adjustPoints);
+router.post('/', customerController.createCustomer);
+router.put('/:id', customerController.updateCustomer);
+router.delete('/:id', customerController.deleteCustomer);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+// src/routes/file.routes.js
+const express = require('express');
+const router = express.Router();
+const fileController = require('../controllers/file.controller');
+
+// Public route - access is granted by the signature in the link
+router.get('/*', fileController.getSignedFile);
+
+module.exports = router;
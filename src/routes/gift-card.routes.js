@@ -0,0 +1,20 @@
+// src/routes/gift-card.routes.js
+const express = require('express');
+const router = express.Router();
+const giftCardController = require('../controllers/gift-card.controller');
+const { authenticateAdmin, requireMasterAdmin } = require('../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticateAdmin);
+
+router.get('/', giftCardController.getAllGiftCards);
+router.get('/code/:code', giftCardController.getGiftCardByCode);
+router.get('/:id', giftCardController.getGiftCardById);
+router.post('/', giftCardController.issueGiftCard);
+router.post('/:id/top-up', giftCardController.topUpGiftCard);
+router.post('/:id/redeem', giftCardController.redeemGiftCard);
+
+// Routes for master admin only
+router.post('/:id/void', requireMasterAdmin, giftCardController.voidGiftCard);
+
+module.exports = router;
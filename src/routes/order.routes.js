@@ -2,20 +2,29 @@
 const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/order.controller');
-const { authenticateAdmin } = require('../middleware/auth.middleware');
+const returnController = require('../controllers/return.controller');
+const receiptController = require('../controllers/receipt.controller');
+const { authenticateAdmin, identifyAdmin } = require('../middleware/auth.middleware');
 const { handlePaymentProofUpload } = require('../middleware/upload.middleware');
 
 // Public routes - accessible by customers
-router.post('/', orderController.createOrder);
-router.post('/:id/payment-proof', handlePaymentProofUpload, orderController.uploadPaymentProof);
-router.get('/:id', orderController.getOrderById);
+// Customers pass the order's public token as :id; staff may also use the order ID
+router.post('/', identifyAdmin, orderController.createOrder);
+router.post('/:id/payment-proof', identifyAdmin, handlePaymentProofUpload, orderController.uploadPaymentProof);
+router.get('/:id/payment-proof', identifyAdmin, orderController.getPaymentProof);
+router.get('/:id', identifyAdmin, orderController.getOrderById);
 router.get('/payment-methods/available', orderController.getPaymentMethods); // New endpoint
 
 // Protected routes - only accessible by admin
 router.get('/', authenticateAdmin, orderController.getAllOrders);
+router.get('/:id/history', authenticateAdmin, orderController.getOrderHistory);
+router.get('/:id/receipt', authenticateAdmin, receiptController.getReceipt);
 router.post('/:id/verify', authenticateAdmin, orderController.verifyPayment);
+router.post('/:id/reject-payment', authenticateAdmin, orderController.rejectPayment);
 router.post('/:id/complete', authenticateAdmin, orderController.completeOrder);
 router.post('/:id/cancel', authenticateAdmin, orderController.cancelOrder);
+router.get('/:id/returns', authenticateAdmin, returnController.getOrderReturns);
+router.post('/:id/returns', authenticateAdmin, returnController.createReturn);
 router.get('/notifications/pending-count', authenticateAdmin, orderController.getPendingOrdersCount);
 router.get('/analytics/sales-summary', authenticateAdmin, orderController.getSalesSummary);
 router.get('/analytics/daily-sales', authenticateAdmin, orderController.getDailySalesReport);
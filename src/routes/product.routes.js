@@ -1,11 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const productController = require('../controllers/product.controller');
+const productImageController = require('../controllers/product-image.controller');
+const productVariantController = require('../controllers/product-variant.controller');
+const labelController = require('../controllers/label.controller');
 const { authenticateAdmin } = require('../middleware/auth.middleware');
-const { handleProductImageUpload } = require('../middleware/upload.middleware');
+const { handleProductImageUpload, handleProductImagesUpload } = require('../middleware/upload.middleware');
 
 // Public routes - accessible by customers and admin
 router.get('/', productController.getAllProducts);
+router.get('/lookup', productController.lookupProduct);
 router.get('/:id', productController.getProductById);
 
 // Protected routes - only accessible by admin
@@ -13,4 +17,18 @@ router.post('/', authenticateAdmin, handleProductImageUpload, productController.
 router.put('/:id', authenticateAdmin, handleProductImageUpload, productController.updateProduct);
 router.delete('/:id', authenticateAdmin, productController.deleteProduct);
 
+// Printable labels (PDF or ZPL) - only accessible by admin
+router.post('/labels', authenticateAdmin, labelController.createLabels);
+
+// Product images - only accessible by admin
+router.post('/:id/images', authenticateAdmin, handleProductImagesUpload, productImageController.addProductImages);
+router.put('/:id/images/order', authenticateAdmin, productImageController.reorderProductImages);
+router.put('/:id/images/:imageId', authenticateAdmin, productImageController.updateProductImage);
+router.delete('/:id/images/:imageId', authenticateAdmin, productImageController.deleteProductImage);
+
+// Product variants - only accessible by admin
+router.post('/:id/variants', authenticateAdmin, productVariantController.createProductVariant);
+router.put('/:id/variants/:variantId', authenticateAdmin, productVariantController.updateProductVariant);
+router.delete('/:id/variants/:variantId', authenticateAdmin, productVariantController.deleteProductVariant);
+
 module.exports = router;
\ No newline at end of file
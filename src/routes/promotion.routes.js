@@ -0,0 +1,16 @@
+// src/routes/promotion.routes.js
+const express = require('express');
+const router = express.Router();
+const promotionController = require('../controllers/promotion.controller');
+const { authenticateAdmin } = require('../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticateAdmin);
+
+router.get('/', promotionController.getAllPromotions);
+router.get('/:id', promotionController.getPromotionById);
+router.post('/', promotionController.createPromotion);
+router.put('/:id', promotionController.updatePromotion);
+router.delete('/:id', promotionController.deletePromotion);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// src/routes/store-settings.routes.js
+const express = require('express');
+const router = express.Router();
+const storeSettingsController = require('../controllers/store-settings.controller');
+const { authenticateAdmin, requireMasterAdmin } = require('../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticateAdmin);
+
+router.get('/', storeSettingsController.getStoreSettings);
+
+// Routes for master admin only
+router.put('/', requireMasterAdmin, storeSettingsController.updateStoreSettings);
+
+module.exports = router;
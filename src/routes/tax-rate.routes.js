@@ -0,0 +1,18 @@
+// src/routes/tax-rate.routes.js
+const express = require('express');
+const router = express.Router();
+const taxRateController = require('../controllers/tax-rate.controller');
+const { authenticateAdmin, requireMasterAdmin } = require('../middleware/auth.middleware');
+
+// All routes require authentication
+router.use(authenticateAdmin);
+
+router.get('/', taxRateController.getAllTaxRates);
+router.get('/:id', taxRateController.getTaxRateById);
+
+// Routes for master admin only
+router.post('/', requireMasterAdmin, taxRateController.createTaxRate);
+router.put('/:id', requireMasterAdmin, taxRateController.updateTaxRate);
+router.delete('/:id', requireMasterAdmin, taxRateController.deleteTaxRate);
+
+module.exports = router;
@@ -0,0 +1,134 @@
+// src/services/backorder.service.js
+const { prisma } = require('../config/db');
+
+/**
+ * Service to get backorders
+ * @param {Object} queryParams - Query parameters for filtering
+ * @returns {Array} List of backorders
+ */
+const getAllBackorders = async (queryParams = {}) => {
+  const { status = 'OPEN', productId, variantId } = queryParams;
+  
+  // Build filter conditions
+  const where = {};
+  
+  if (status) {
+    where.status = status;
+  }
+  
+  if (productId) {
+    where.productId = parseInt(productId, 10);
+  }
+  
+  if (variantId) {
+    where.variantId = parseInt(variantId, 10);
+  }
+  
+  const backorders = await prisma.backorder.findMany({
+    where,
+    orderBy: {
+      createdAt: 'asc'
+    },
+    include: {
+      product: true,
+      variant: true,
+      order: {
+        select: {
+          id: true,
+          customerName: true
+        }
+      }
+    }
+  });
+  
+  return backorders;
+};
+
+/**
+ * Service to fulfill a backorder once stock has arrived
+ * @param {number} backorderId - Backorder ID
+ * @returns {Object} Updated backorder
+ */
+const fulfillBackorder = async (backorderId) => {
+  const backorder = await prisma.backorder.findUnique({
+    where: { id: parseInt(backorderId, 10) },
+    include: {
+      product: true,
+      variant: true
+    }
+  });
+  
+  if (!backorder) {
+    throw new Error('Backorder not found');
+  }
+  
+  if (backorder.status !== 'OPEN') {
+    throw new Error('Only open backorders can be fulfilled');
+  }
+  
+  const fulfilledBackorder = await prisma.$transaction(async (prisma) => {
+    // Guard on status so a backorder is never fulfilled twice
+    const { count } = await prisma.backorder.updateMany({
+      where: {
+        id: backorder.id,
+        status: 'OPEN'
+      },
+      data: {
+        status: 'FULFILLED',
+        fulfilledAt: new Date()
+      }
+    });
+    
+    if (count === 0) {
+      throw new Error('Only open backorders can be fulfilled');
+    }
+    
+    // Take the units from free stock only, leaving reservations alone.
+    // A variant's units also come off its product's total.
+    const updated = backorder.variantId
+      ? await prisma.$executeRaw`
+        UPDATE "ProductVariant"
+        SET "stock" = "stock" - ${backorder.quantity},
+            "updatedAt" = NOW()
+        WHERE "id" = ${backorder.variantId}
+          AND "stock" - "reservedStock" >= ${backorder.quantity}
+      `
+      : await prisma.$executeRaw`
+        UPDATE "Product"
+        SET "stock" = "stock" - ${backorder.quantity},
+            "updatedAt" = NOW()
+        WHERE "id" = ${backorder.productId}
+          AND "stock" - "reservedStock" >= ${backorder.quantity}
+      `;
+    
+    if (updated === 0) {
+      throw new Error(`Insufficient stock to fulfill backorder for product: ${backorder.product.name}`);
+    }
+    
+    if (backorder.variantId) {
+      await prisma.product.update({
+        where: { id: backorder.productId },
+        data: {
+          stock: {
+            decrement: backorder.quantity
+          }
+        }
+      });
+    }
+    
+    return prisma.backorder.findUnique({
+      where: { id: backorder.id },
+      include: {
+        product: true,
+        variant: true
+      }
+    });
+  });
+  
+  return fulfilledBackorder;
+};
+
+module.exports = {
+  getAllBackorders,
+  fulfillBackorder
+};
@@ -0,0 +1,428 @@
+// src/services/buylist.service.js
+const { prisma } = require('../config/db');
+const { restockItems, withAvailableStock } = require('./stock.service');
+const { payoutToStoreCredit } = require('./gift-card.service');
+const { findOpenShift, assertCashInDrawer } = require('./cash-shift.service');
+const { getStoreSettings } = require('./store-settings.service');
+const { CONDITION_GRADES, parseCondition } = require('./product.service');
+const { parseMoney, roundMoney, sumMoney } = require('../utils/money');
+
+// Buy transactions are paid out in cash from the till or as store credit
+const PAYOUT_METHODS = ['CASH', 'STORE_CREDIT'];
+
+// Included with buy transactions
+const BUY_TRANSACTION_INCLUDE = {
+  customer: true,
+  giftCard: {
+    select: {
+      id: true,
+      code: true,
+      balance: true
+    }
+  },
+  admin: {
+    select: {
+      id: true,
+      username: true
+    }
+  },
+  items: {
+    orderBy: { id: 'asc' },
+    include: {
+      product: true,
+      variant: true
+    }
+  }
+};
+
+/**
+ * Work out what the shop pays for one unit of a product or variant.
+ * A product's own buy price overrides the store's buylist rate; variants are
+ * bought at the rate of their own price.
+ * @param {Object} product - Product with price and buyPrice
+ * @param {Object|null} variant - Variant with price
+ * @param {Object} settings - Store settings with buylistRate and buylistCreditBonus
+ * @returns {Object} cash and storeCredit buy prices
+ */
+const getBuyPrices = (product, variant, settings) => {
+  const cash = !variant && product.buyPrice !== null
+    ? product.buyPrice
+    : roundMoney((variant ? variant.price : product.price) * settings.buylistRate / 100);
+
+  return {
+    cash,
+    storeCredit: roundMoney(cash * (1 + settings.buylistCreditBonus / 100))
+  };
+};
+
+/**
+ * Find the copy of a card in another condition, where the cards bought in
+ * that condition go. The game is compared without case, like the duplicate
+ * check on products.
+ * @param {Object} product - Card product the staff picked
+ * @param {string} condition - CardCondition the copies were graded at
+ * @returns {Promise<Object>} Product for the card in that condition, with variants
+ */
+const findCardInCondition = async (product, condition) => {
+  if (product.condition === condition) {
+    return product;
+  }
+
+  const grade = Object.keys(CONDITION_GRADES).find(key => CONDITION_GRADES[key] === condition);
+
+  if (!product.game || !product.setCode || !product.collectorNumber) {
+    throw new Error(`Invalid buylist item: ${product.name} is not a card with a condition`);
+  }
+
+  const card = await prisma.product.findFirst({
+    where: {
+      game: { equals: product.game, mode: 'insensitive' },
+      setCode: product.setCode,
+      collectorNumber: product.collectorNumber,
+      language: product.language,
+      finish: product.finish,
+      condition
+    },
+    include: {
+      variants: true
+    }
+  });
+
+  if (!card) {
+    throw new Error(`Invalid buylist item: there is no ${product.name} product in ${grade} condition; add it before buying`);
+  }
+
+  return card;
+};
+
+/**
+ * Validate the items of a buy transaction and price them
+ * @param {Array<Object>} items - productId, variantId, condition, quantity and
+ * unitPrice (defaults to the buy price)
+ * @param {string} payoutMethod - CASH or STORE_CREDIT
+ * @param {Object} settings - Store settings
+ * @returns {Promise<Array<Object>>} Items to record
+ */
+const priceBuyItems = async (items, payoutMethod, settings) => {
+  const buyItems = [];
+
+  for (const item of items) {
+    let product = await prisma.product.findUnique({
+      where: { id: parseInt(item.productId, 10) || 0 },
+      include: {
+        variants: true
+      }
+    });
+
+    if (!product) {
+      throw new Error(`Product with ID ${item.productId} not found`);
+    }
+
+    // Cards graded at another condition than the product picked go to the
+    // product for that condition. Variants belong to the product picked, so
+    // they can't be moved to another condition.
+    if (item.condition && item.variantId) {
+      throw new Error(`Invalid buylist item: a condition can't be given together with a variant of ${product.name}`);
+    }
+
+    if (item.condition) {
+      product = await findCardInCondition(product, parseCondition(item.condition));
+    }
+
+    let variant = null;
+
+    if (item.variantId) {
+      variant = product.variants.find(v => v.id === parseInt(item.variantId, 10));
+
+      if (!variant) {
+        throw new Error(`Variant with ID ${item.variantId} not found for this product`);
+      }
+    } else if (product.variants.length > 0) {
+      throw new Error(`Invalid buylist item: choose a variant of product ${product.name}`);
+    }
+
+    const quantity = parseInt(item.quantity, 10);
+
+    if (!quantity || quantity < 1) {
+      throw new Error(`Invalid buylist quantity for product: ${product.name}`);
+    }
+
+    // Staff can pay a different price, e.g. for a card that isn't on the buylist
+    let unitPrice;
+
+    if (item.unitPrice !== undefined && item.unitPrice !== null && item.unitPrice !== '') {
+      unitPrice = parseMoney(item.unitPrice);
+
+      if (unitPrice < 0) {
+        throw new Error(`Invalid buylist price for product: ${product.name}`);
+      }
+    } else if (!product.buylistEnabled) {
+      throw new Error(`Invalid buylist item: ${product.name} is not on the buylist; enter a unitPrice to buy it`);
+    } else {
+      const buyPrices = getBuyPrices(product, variant, settings);
+      unitPrice = payoutMethod === 'STORE_CREDIT' ? buyPrices.storeCredit : buyPrices.cash;
+    }
+
+    buyItems.push({
+      productId: product.id,
+      variantId: variant ? variant.id : null,
+      condition: product.condition,
+      quantity,
+      unitPrice,
+      subtotal: unitPrice * quantity
+    });
+  }
+
+  return buyItems;
+};
+
+/**
+ * Service to get the buylist: the products the shop buys, with what it pays
+ * in cash and in store credit
+ * @param {Object} queryParams - search, game, setCode, page and limit
+ * @returns {Object} Products with buy prices and pagination
+ */
+const getBuylist = async (queryParams = {}) => {
+  const { search, game, setCode, page = 1, limit = 10 } = queryParams;
+
+  const skip = (page - 1) * parseInt(limit, 10);
+  const take = parseInt(limit, 10);
+
+  // Build filter conditions
+  const where = { buylistEnabled: true };
+
+  if (search) {
+    where.name = {
+      contains: search,
+      mode: 'insensitive'
+    };
+  }
+
+  if (game) {
+    where.game = {
+      equals: game,
+      mode: 'insensitive'
+    };
+  }
+
+  if (setCode) where.setCode = String(setCode).toUpperCase();
+
+  const settings = await getStoreSettings();
+
+  const products = await prisma.product.findMany({
+    where,
+    skip,
+    take,
+    orderBy: [{ name: 'asc' }, { id: 'asc' }],
+    include: {
+      variants: {
+        orderBy: { id: 'asc' }
+      }
+    }
+  });
+
+  const totalProducts = await prisma.product.count({ where });
+
+  return {
+    products: products.map(product => ({
+      ...withAvailableStock(product),
+      buyPrices: getBuyPrices(product, null, settings),
+      variants: product.variants.map(variant => ({
+        ...withAvailableStock(variant),
+        buyPrices: getBuyPrices(product, variant, settings)
+      }))
+    })),
+    pagination: {
+      total: totalProducts,
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      totalPages: Math.ceil(totalProducts / parseInt(limit, 10))
+    }
+  };
+};
+
+/**
+ * Service to record cards bought from a customer.
+ * The cards are added to the stock of their products, and the seller is paid
+ * in cash from the admin's till, which needs an open cash shift, or in store
+ * credit.
+ * @param {Object} buyData - items, payoutMethod, customerId, sellerName,
+ * giftCardCode (store credit to add the payout to) and notes
+ * @param {number} adminId - Admin buying the cards
+ * @returns {Object} Newly created buy transaction
+ */
+const createBuyTransaction = async (buyData, adminId = null) => {
+  const { items = [], payoutMethod = 'CASH', customerId, sellerName, giftCardCode, notes } = buyData;
+
+  if (!PAYOUT_METHODS.includes(payoutMethod)) {
+    throw new Error(`Invalid payout method: must be ${PAYOUT_METHODS.join(' or ')}`);
+  }
+
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Buy transaction must contain at least one item');
+  }
+
+  let customer = null;
+
+  if (customerId) {
+    customer = await prisma.customer.findUnique({
+      where: { id: parseInt(customerId, 10) }
+    });
+
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+  }
+
+  const settings = await getStoreSettings();
+  const buyItems = await priceBuyItems(items, payoutMethod, settings);
+  const totalAmount = sumMoney(buyItems.map(item => item.subtotal));
+
+  return prisma.$transaction(async (prisma) => {
+    // Cash is paid out of the till of the admin buying the cards
+    const cashShiftId = await findOpenShift(prisma, adminId);
+
+    if (payoutMethod === 'CASH') {
+      if (!cashShiftId) {
+        throw new Error('Invalid payout: open a cash shift before paying out cash');
+      }
+
+      await assertCashInDrawer(prisma, cashShiftId, totalAmount);
+    }
+
+    await restockItems(prisma, buyItems);
+
+    const buyTransaction = await prisma.buyTransaction.create({
+      data: {
+        customerId: customer ? customer.id : null,
+        sellerName: sellerName || (customer ? customer.name : null),
+        payoutMethod,
+        totalAmount,
+        notes,
+        adminId,
+        cashShiftId,
+        items: {
+          create: buyItems
+        }
+      }
+    });
+
+    if (payoutMethod === 'STORE_CREDIT' && totalAmount > 0) {
+      const giftCard = await payoutToStoreCredit(prisma, {
+        code: giftCardCode,
+        customerId: customer ? customer.id : null
+      }, totalAmount, {
+        reason: `Buylist payout #${buyTransaction.id}`,
+        adminId
+      });
+
+      await prisma.buyTransaction.update({
+        where: { id: buyTransaction.id },
+        data: { giftCardId: giftCard.id }
+      });
+    }
+
+    return prisma.buyTransaction.findUnique({
+      where: { id: buyTransaction.id },
+      include: BUY_TRANSACTION_INCLUDE
+    });
+  });
+};
+
+/**
+ * Service to get all buy transactions
+ * @param {Object} queryParams - customerId, payoutMethod, startDate, endDate, page and limit
+ * @returns {Object} Buy transactions with pagination
+ */
+const getAllBuyTransactions = async (queryParams = {}) => {
+  const { customerId, payoutMethod, startDate, endDate, page = 1, limit = 10 } = queryParams;
+
+  const skip = (page - 1) * parseInt(limit, 10);
+  const take = parseInt(limit, 10);
+
+  // Build filter conditions
+  const where = {};
+
+  if (customerId) where.customerId = parseInt(customerId, 10);
+  if (payoutMethod) where.payoutMethod = payoutMethod;
+
+  if (startDate || endDate) {
+    where.createdAt = {};
+
+    if (startDate) {
+      where.createdAt.gte = new Date(startDate);
+    }
+
+    if (endDate) {
+      // Add one day to include the end date fully
+      const endDateTime = new Date(endDate);
+      endDateTime.setDate(endDateTime.getDate() + 1);
+      where.createdAt.lt = endDateTime;
+    }
+  }
+
+  const buyTransactions = await prisma.buyTransaction.findMany({
+    where,
+    skip,
+    take,
+    orderBy: {
+      createdAt: 'desc'
+    },
+    include: BUY_TRANSACTION_INCLUDE
+  });
+
+  const totalBuyTransactions = await prisma.buyTransaction.count({ where });
+
+  return {
+    buyTransactions,
+    pagination: {
+      total: totalBuyTransactions,
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      totalPages: Math.ceil(totalBuyTransactions / parseInt(limit, 10))
+    }
+  };
+};
+
+/**
+ * Service to get a buy transaction
+ * @param {number} buyTransactionId - Buy transaction ID
+ * @returns {Object} Buy transaction with its items
+ */
+const getBuyTransactionById = async (buyTransactionId) => {
+  const buyTransaction = await prisma.buyTransaction.findUnique({
+    where: { id: parseInt(buyTransactionId, 10) },
+    include: BUY_TRANSACTION_INCLUDE
+  });
+
+  if (!buyTransaction) {
+    throw new Error('Buy transaction not found');
+  }
+
+  return buyTransaction;
+};
+
+/**
+ * Service to get the buy transactions made in a period, for the sales reports
+ * @param {Object} createdAt - Prisma date filter for the transaction date
+ * @returns {Array} Buy transactions with their items
+ */
+const getBuyTransactionsInPeriod = async (createdAt) => {
+  return prisma.buyTransaction.findMany({
+    where: { createdAt },
+    include: {
+      items: true
+    },
+    orderBy: {
+      createdAt: 'asc'
+    }
+  });
+};
+
+module.exports = {
+  getBuylist,
+  createBuyTransaction,
+  getAllBuyTransactions,
+  getBuyTransactionById,
+  getBuyTransactionsInPeriod
+};
@@ -0,0 +1,459 @@
+// src/services/cash-shift.service.js
+const { prisma } = require('../config/db');
+const { parseMoney, sumMoney } = require('../utils/money');
+
+/**
+ * Throw unless the admin ran the shift or is a master admin
+ * @param {Object} shift - Shift with adminId
+ * @param {Object} admin - Acting admin with id and role
+ */
+const assertShiftAccess = (shift, admin) => {
+  if (admin.role !== 'MASTER_ADMIN' && shift.adminId !== admin.id) {
+    throw new Error('Access denied: this shift belongs to another cashier');
+  }
+};
+
+/**
+ * Lock a shift for a change and check that it can still be changed
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} shiftId - Shift ID
+ * @param {Object} admin - Acting admin with id and role
+ * @returns {Object} Shift with its movements
+ */
+const lockOpenShift = async (tx, shiftId, admin) => {
+  await tx.$queryRaw`
+    SELECT "id" FROM "CashShift" WHERE "id" = ${shiftId} FOR UPDATE
+  `;
+
+  const shift = await tx.cashShift.findUnique({
+    where: { id: shiftId },
+    include: {
+      movements: {
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  if (!shift) {
+    throw new Error('Shift not found');
+  }
+
+  assertShiftAccess(shift, admin);
+
+  if (shift.status !== 'OPEN') {
+    throw new Error('Shift is already closed');
+  }
+
+  return shift;
+};
+
+/**
+ * Find the open shift of a cashier and lock it, so it can't be closed while
+ * a sale or refund is being added to it
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} adminId - Cashier
+ * @returns {number|null} Shift ID, or null when the cashier has no open shift
+ */
+const findOpenShift = async (tx, adminId) => {
+  if (!adminId) {
+    return null;
+  }
+
+  const [shift] = await tx.$queryRaw`
+    SELECT "id" FROM "CashShift"
+    WHERE "adminId" = ${adminId} AND "status" = 'OPEN'
+    FOR UPDATE
+  `;
+
+  return shift ? shift.id : null;
+};
+
+/**
+ * Work out the X/Z report figures of a shift.
+ * Expected cash is the float plus cash taken for the orders completed in the
+ * shift and cash put in, minus cash refunds, cash paid for buylist cards and
+ * cash taken out.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} shift - Shift including movements
+ * @returns {Object} Report figures
+ */
+const buildShiftReport = async (client, shift) => {
+  const orders = await client.order.findMany({
+    where: {
+      cashShiftId: shift.id,
+      status: 'COMPLETED'
+    },
+    include: {
+      payments: true
+    }
+  });
+
+  const refunds = await client.orderReturn.findMany({
+    where: { cashShiftId: shift.id }
+  });
+
+  const buys = await client.buyTransaction.findMany({
+    where: { cashShiftId: shift.id }
+  });
+
+  // Sales by payment line, so split orders count towards each method
+  const salesByMethodMap = {};
+
+  orders.forEach(order => {
+    order.payments.forEach(payment => {
+      if (!salesByMethodMap[payment.method]) {
+        salesByMethodMap[payment.method] = {
+          method: payment.method,
+          count: 0,
+          amount: 0,
+          refunds: 0
+        };
+      }
+      salesByMethodMap[payment.method].count += 1;
+      salesByMethodMap[payment.method].amount += payment.amount;
+    });
+  });
+
+  refunds.forEach(orderReturn => {
+    if (!salesByMethodMap[orderReturn.refundMethod]) {
+      salesByMethodMap[orderReturn.refundMethod] = {
+        method: orderReturn.refundMethod,
+        count: 0,
+        amount: 0,
+        refunds: 0
+      };
+    }
+    salesByMethodMap[orderReturn.refundMethod].refunds += orderReturn.refundAmount;
+  });
+
+  const cashSales = salesByMethodMap.CASH ? salesByMethodMap.CASH.amount : 0;
+  const cashRefunds = salesByMethodMap.CASH ? salesByMethodMap.CASH.refunds : 0;
+  const cashIn = sumMoney(shift.movements.filter(m => m.type === 'CASH_IN').map(m => m.amount));
+  const cashOut = sumMoney(shift.movements.filter(m => m.type === 'CASH_OUT').map(m => m.amount));
+  const cashBuys = buys.filter(buy => buy.payoutMethod === 'CASH');
+  const cashBuyTotal = sumMoney(cashBuys.map(buy => buy.totalAmount));
+
+  return {
+    openingFloat: shift.openingFloat,
+    cashSales,
+    cashSalesCount: salesByMethodMap.CASH ? salesByMethodMap.CASH.count : 0,
+    cashRefunds,
+    cashBuys: cashBuyTotal,
+    cashBuysCount: cashBuys.length,
+    cashIn,
+    cashOut,
+    expectedCash: shift.openingFloat + cashSales - cashRefunds - cashBuyTotal + cashIn - cashOut,
+    totalOrders: orders.length,
+    totalSales: sumMoney(orders.map(order => order.totalAmount)),
+    totalRefunds: sumMoney(refunds.map(orderReturn => orderReturn.refundAmount)),
+    totalBuys: sumMoney(buys.map(buy => buy.totalAmount)),
+    storeCreditBuys: sumMoney(buys.filter(buy => buy.payoutMethod === 'STORE_CREDIT').map(buy => buy.totalAmount)),
+    salesByMethod: Object.values(salesByMethodMap)
+  };
+};
+
+/**
+ * Check that the drawer of a shift holds an amount about to be paid out of it
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} shiftId - Locked open shift
+ * @param {number} amount - Amount to pay out
+ */
+const assertCashInDrawer = async (tx, shiftId, amount) => {
+  const shift = await tx.cashShift.findUnique({
+    where: { id: shiftId },
+    include: {
+      movements: true
+    }
+  });
+
+  const { expectedCash } = await buildShiftReport(tx, shift);
+
+  if (amount > expectedCash) {
+    throw new Error(`Insufficient cash in drawer: ${expectedCash} expected, ${amount} requested`);
+  }
+};
+
+/**
+ * Service to open a cash shift with a starting float
+ * @param {Object} admin - Cashier opening the shift, with id and role
+ * @param {Object} shiftData - openingFloat and note
+ * @returns {Object} Newly opened shift
+ */
+const openShift = async (admin, shiftData) => {
+  const openingFloat = parseMoney(shiftData.openingFloat);
+
+  if (openingFloat < 0) {
+    throw new Error('Invalid opening float: must not be negative');
+  }
+
+  return prisma.$transaction(async (prisma) => {
+    // Lock the cashier so two requests can't both open a shift
+    await prisma.$queryRaw`
+      SELECT "id" FROM "Admin" WHERE "id" = ${admin.id} FOR UPDATE
+    `;
+
+    const openShiftCount = await prisma.cashShift.count({
+      where: {
+        adminId: admin.id,
+        status: 'OPEN'
+      }
+    });
+
+    if (openShiftCount > 0) {
+      throw new Error('A shift is already open for this cashier');
+    }
+
+    return prisma.cashShift.create({
+      data: {
+        adminId: admin.id,
+        openingFloat,
+        openingNote: shiftData.note
+      }
+    });
+  });
+};
+
+/**
+ * Service to get the open shift of a cashier with its X report
+ * @param {Object} admin - Cashier with id
+ * @returns {Object|null} Shift and report, or null when no shift is open
+ */
+const getCurrentShift = async (admin) => {
+  const shift = await prisma.cashShift.findFirst({
+    where: {
+      adminId: admin.id,
+      status: 'OPEN'
+    },
+    include: {
+      movements: {
+        orderBy: { createdAt: 'asc' }
+      }
+    }
+  });
+
+  if (!shift) {
+    return null;
+  }
+
+  return {
+    shift,
+    report: {
+      type: 'X',
+      ...(await buildShiftReport(prisma, shift))
+    }
+  };
+};
+
+/**
+ * Service to get all shifts
+ * @param {Object} queryParams - adminId, status, startDate, endDate, page and limit
+ * @returns {Object} Shifts with pagination
+ */
+const getAllShifts = async (queryParams = {}) => {
+  const { adminId, status, startDate, endDate, page = 1, limit = 10 } = queryParams;
+
+  const skip = (page - 1) * parseInt(limit, 10);
+  const take = parseInt(limit, 10);
+
+  // Build filter conditions
+  const where = {};
+
+  if (adminId) where.adminId = parseInt(adminId, 10);
+  if (status) where.status = status;
+
+  if (startDate || endDate) {
+    where.openedAt = {};
+
+    if (startDate) {
+      where.openedAt.gte = new Date(startDate);
+    }
+
+    if (endDate) {
+      // Add one day to include the end date fully
+      const endDateTime = new Date(endDate);
+      endDateTime.setDate(endDateTime.getDate() + 1);
+      where.openedAt.lt = endDateTime;
+    }
+  }
+
+  const shifts = await prisma.cashShift.findMany({
+    where,
+    skip,
+    take,
+    orderBy: {
+      openedAt: 'desc'
+    },
+    include: {
+      admin: {
+        select: {
+          id: true,
+          username: true
+        }
+      }
+    }
+  });
+
+  const totalShifts = await prisma.cashShift.count({ where });
+
+  return {
+    shifts,
+    pagination: {
+      total: totalShifts,
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      totalPages: Math.ceil(totalShifts / parseInt(limit, 10))
+    }
+  };
+};
+
+/**
+ * Service to get a shift with its X report (open) or Z report (closed)
+ * @param {number} shiftId - Shift ID
+ * @returns {Object} Shift and report
+ */
+const getShiftReport = async (shiftId) => {
+  const shift = await prisma.cashShift.findUnique({
+    where: { id: parseInt(shiftId, 10) },
+    include: {
+      admin: {
+        select: {
+          id: true,
+          username: true
+        }
+      },
+      movements: {
+        orderBy: { createdAt: 'asc' },
+        include: {
+          admin: {
+            select: {
+              id: true,
+              username: true
+            }
+          }
+        }
+      }
+    }
+  });
+
+  if (!shift) {
+    throw new Error('Shift not found');
+  }
+
+  const report = await buildShiftReport(prisma, shift);
+
+  // A closed shift reports the figures it was closed with
+  return {
+    shift,
+    report: shift.status === 'OPEN'
+      ? { type: 'X', ...report }
+      : {
+        type: 'Z',
+        ...report,
+        expectedCash: shift.expectedCash,
+        countedCash: shift.countedCash,
+        difference: shift.difference
+      }
+  };
+};
+
+/**
+ * Service to record cash put into or taken out of the drawer
+ * @param {number} shiftId - Shift ID
+ * @param {Object} movementData - type (CASH_IN or CASH_OUT), amount and reason
+ * @param {Object} admin - Acting admin with id and role
+ * @returns {Object} Recorded movement
+ */
+const addCashMovement = async (shiftId, movementData, admin) => {
+  const { type, reason } = movementData;
+
+  if (!['CASH_IN', 'CASH_OUT'].includes(type)) {
+    throw new Error('Invalid cash movement type: must be CASH_IN or CASH_OUT');
+  }
+
+  const amount = parseMoney(movementData.amount);
+
+  if (amount <= 0) {
+    throw new Error('Invalid cash movement amount: must be more than zero');
+  }
+
+  return prisma.$transaction(async (prisma) => {
+    const shift = await lockOpenShift(prisma, parseInt(shiftId, 10), admin);
+
+    if (type === 'CASH_OUT') {
+      const { expectedCash } = await buildShiftReport(prisma, shift);
+
+      if (amount > expectedCash) {
+        throw new Error(`Insufficient cash in drawer: ${expectedCash} expected, ${amount} requested`);
+      }
+    }
+
+    return prisma.cashMovement.create({
+      data: {
+        shiftId: shift.id,
+        type,
+        amount,
+        reason,
+        adminId: admin.id
+      }
+    });
+  });
+};
+
+/**
+ * Service to close a shift with the counted cash and produce its Z report
+ * @param {number} shiftId - Shift ID
+ * @param {Object} closeData - countedCash and note
+ * @param {Object} admin - Acting admin with id and role
+ * @returns {Object} Closed shift and Z report
+ */
+const closeShift = async (shiftId, closeData, admin) => {
+  const countedCash = parseMoney(closeData.countedCash);
+
+  if (countedCash < 0) {
+    throw new Error('Invalid counted cash: must not be negative');
+  }
+
+  return prisma.$transaction(async (prisma) => {
+    const shift = await lockOpenShift(prisma, parseInt(shiftId, 10), admin);
+    const report = await buildShiftReport(prisma, shift);
+    const difference = countedCash - report.expectedCash;
+
+    const closedShift = await prisma.cashShift.update({
+      where: { id: shift.id },
+      data: {
+        status: 'CLOSED',
+        closedAt: new Date(),
+        expectedCash: report.expectedCash,
+        countedCash,
+        difference,
+        closingNote: closeData.note
+      },
+      include: {
+        movements: {
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    return {
+      shift: closedShift,
+      report: {
+        type: 'Z',
+        ...report,
+        countedCash,
+        difference
+      }
+    };
+  });
+};
+
+module.exports = {
+  openShift,
+  getCurrentShift,
+  getAllShifts,
+  getShiftReport,
+  addCashMovement,
+  closeShift,
+  findOpenShift,
+  assertCashInDrawer
+};
@@ -1,5 +1,25 @@
 // src/services/category.service.js
 const { prisma } = require('../config/db');
+const { resolveTaxRateId } = require('./tax.service');
+
+/**
+ * Parse the loyalty points multiplier of a category
+ * @param {number|string} pointsMultiplier - Multiplier from the request
+ * @returns {number|undefined} Multiplier, or undefined if not given
+ */
+const parsePointsMultiplier = (pointsMultiplier) => {
+  if (pointsMultiplier === undefined) {
+    return undefined;
+  }
+  
+  const multiplier = parseFloat(pointsMultiplier);
+  
+  if (isNaN(multiplier) || multiplier < 0) {
+    throw new Error('Invalid points multiplier: must be zero or more');
+  }
+  
+  return multiplier;
+};
 
 /**
  * Service to get all product categories
@@ -9,6 +29,9 @@ const getAllCategories = async () => {
   const categories = await prisma.productCategory.findMany({
     orderBy: {
       name: 'asc'
+    },
+    include: {
+      taxRate: true
     }
   });
   
@@ -22,7 +45,10 @@ const getAllCategories = async () => {
  */
 const getCategoryById = async (categoryId) => {
   const category = await prisma.productCategory.findUnique({
-    where: { id: parseInt(categoryId, 10) }
+    where: { id: parseInt(categoryId, 10) },
+    include: {
+      taxRate: true
+    }
   });
   
   if (!category) {
@@ -38,7 +64,7 @@ const getCategoryById = async (categoryId) => {
  * @returns {Promise<Object>} Newly created category
  */
 const createCategory = async (categoryData) => {
-  const { name } = categoryData;
+  const { name, taxRateId, pointsMultiplier } = categoryData;
   
   // Check if category with this name already exists
   const existingCategory = await prisma.productCategory.findFirst({
@@ -57,7 +83,12 @@ const createCategory = async (categoryData) => {
   // Create new category
   const newCategory = await prisma.productCategory.create({
     data: {
-      name
+      name,
+      taxRateId: taxRateId !== undefined ? await resolveTaxRateId(taxRateId) : undefined,
+      pointsMultiplier: parsePointsMultiplier(pointsMultiplier)
+    },
+    include: {
+      taxRate: true
     }
   });
   
@@ -71,7 +102,7 @@ const createCategory = async (categoryData) => {
  * @returns {Promise<Object>} Updated category
  */
 const updateCategory = async (categoryId, categoryData) => {
-  const { name } = categoryData;
+  const { name, taxRateId, pointsMultiplier } = categoryData;
   
   // Check if category exists
   const category = await prisma.productCategory.findUnique({
@@ -104,7 +135,14 @@ const updateCategory = async (categoryId, categoryData) => {
   // Update category
   const updatedCategory = await prisma.productCategory.update({
     where: { id: parseInt(categoryId, 10) },
-    data: { name }
+    data: {
+      name,
+      taxRateId: taxRateId !== undefined ? await resolveTaxRateId(taxRateId) : undefined,
+      pointsMultiplier: parsePointsMultiplier(pointsMultiplier)
+    },
+    include: {
+      taxRate: true
+    }
   });
   
   return updatedCategory;
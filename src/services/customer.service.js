@@ -0,0 +1,387 @@
+// src/services/customer.service.js
+const { prisma } = require('../config/db');
+
+/**
+ * Normalize a phone number so the same number always matches.
+ * Separators are removed and the +62 / 62 country prefix becomes a leading 0.
+ * @param {string} phone - Phone number as entered
+ * @returns {string|null} Normalized phone number, or null if empty
+ */
+const normalizePhone = (phone) => {
+  if (phone === undefined || phone === null) {
+    return null;
+  }
+
+  let normalized = String(phone).replace(/[\s\-().]/g, '');
+
+  if (normalized.startsWith('+62')) {
+    normalized = `0${normalized.slice(3)}`;
+  } else if (normalized.startsWith('62')) {
+    normalized = `0${normalized.slice(2)}`;
+  }
+
+  if (!normalized) {
+    return null;
+  }
+
+  if (!/^0\d{6,14}$/.test(normalized)) {
+    throw new Error(`Invalid phone number: ${phone}`);
+  }
+
+  return normalized;
+};
+
+/**
+ * Normalize an email address
+ * @param {string} email - Email as entered
+ * @returns {string|null} Lowercased email, or null if empty
+ */
+const normalizeEmail = (email) => {
+  if (email === undefined || email === null || String(email).trim() === '') {
+    return null;
+  }
+
+  const normalized = String(email).trim().toLowerCase();
+
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalized)) {
+    throw new Error(`Invalid email address: ${email}`);
+  }
+
+  return normalized;
+};
+
+/**
+ * Check that no other customer uses the same phone or email
+ * @param {Object} data - Customer data with normalized phone and email
+ * @param {number} customerId - ID of the customer being updated, if any
+ */
+const assertUniqueContact = async (data, customerId = null) => {
+  const conditions = [];
+
+  if (data.phone) conditions.push({ phone: data.phone });
+  if (data.email) conditions.push({ email: data.email });
+
+  if (conditions.length === 0) {
+    return;
+  }
+
+  const existingCustomer = await prisma.customer.findFirst({
+    where: {
+      OR: conditions,
+      ...(customerId ? { id: { not: customerId } } : {})
+    }
+  });
+
+  if (existingCustomer) {
+    throw new Error('A customer with this phone number or email already exists');
+  }
+};
+
+/**
+ * Service to create a customer
+ * @param {Object} customerData - name, phone, email and notes
+ * @returns {Object} Newly created customer
+ */
+const createCustomer = async (customerData) => {
+  const { name, phone, email, notes } = customerData;
+
+  const data = {
+    name,
+    phone: normalizePhone(phone),
+    email: normalizeEmail(email),
+    notes
+  };
+
+  await assertUniqueContact(data);
+
+  const newCustomer = await prisma.customer.create({
+    data
+  });
+
+  return newCustomer;
+};
+
+/**
+ * Service to search customers
+ * @param {Object} queryParams - search, page and limit
+ * @returns {Object} Customers with pagination
+ */
+const getAllCustomers = async (queryParams = {}) => {
+  const {
+    search,
+    page = 1,
+    limit = 10,
+    sortBy = 'name',
+    sortOrder = 'asc'
+  } = queryParams;
+
+  const skip = (page - 1) * parseInt(limit, 10);
+  const take = parseInt(limit, 10);
+
+  // Build filter conditions
+  const where = {};
+
+  if (search) {
+    where.OR = [
+      { name: { contains: search, mode: 'insensitive' } },
+      { email: { contains: search, mode: 'insensitive' } },
+      { phone: { contains: search.replace(/[\s\-().+]/g, '') } }
+    ];
+  }
+
+  const customers = await prisma.customer.findMany({
+    where,
+    skip,
+    take,
+    orderBy: {
+      [sortBy]: sortOrder
+    },
+    include: {
+      _count: {
+        select: { orders: true }
+      }
+    }
+  });
+
+  const totalCustomers = await prisma.customer.count({ where });
+
+  return {
+    customers,
+    pagination: {
+      total: totalCustomers,
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      totalPages: Math.ceil(totalCustomers / parseInt(limit, 10))
+    }
+  };
+};
+
+/**
+ * Service to get a customer by ID
+ * @param {number} customerId - Customer ID
+ * @returns {Object} Customer data
+ */
+const getCustomerById = async (customerId) => {
+  const customer = await prisma.customer.findUnique({
+    where: { id: parseInt(customerId, 10) },
+    include: {
+      _count: {
+        select: { orders: true }
+      }
+    }
+  });
+
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+
+  return customer;
+};
+
+/**
+ * Service to update a customer
+ * @param {number} customerId - Customer ID
+ * @param {Object} updateData - Data to update
+ * @returns {Object} Updated customer
+ */
+const updateCustomer = async (customerId, updateData) => {
+  const { name, phone, email, notes } = updateData;
+
+  const customer = await prisma.customer.findUnique({
+    where: { id: parseInt(customerId, 10) }
+  });
+
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+
+  const updateFields = {};
+
+  if (name !== undefined) updateFields.name = name;
+  if (phone !== undefined) updateFields.phone = normalizePhone(phone);
+  if (email !== undefined) updateFields.email = normalizeEmail(email);
+  if (notes !== undefined) updateFields.notes = notes;
+
+  await assertUniqueContact(updateFields, customer.id);
+
+  const updatedCustomer = await prisma.customer.update({
+    where: { id: customer.id },
+    data: updateFields
+  });
+
+  return updatedCustomer;
+};
+
+/**
+ * Service to delete a customer.
+ * Their orders are kept as anonymous orders under the stored customer name.
+ * @param {number} customerId - Customer ID
+ * @returns {Object} Deleted customer
+ */
+const deleteCustomer = async (customerId) => {
+  const customer = await prisma.customer.findUnique({
+    where: { id: parseInt(customerId, 10) }
+  });
+
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+
+  const deletedCustomer = await prisma.customer.delete({
+    where: { id: customer.id }
+  });
+
+  return deletedCustomer;
+};
+
+/**
+ * Service to get the order history and lifetime spend of a customer.
+ * Lifetime spend is what was paid for completed orders minus refunds.
+ * @param {number} customerId - Customer ID
+ * @param {Object} queryParams - status, page and limit
+ * @returns {Object} Customer, summary, orders and pagination
+ */
+const getCustomerOrders = async (customerId, queryParams = {}) => {
+  const { status, page = 1, limit = 10 } = queryParams;
+
+  const customer = await prisma.customer.findUnique({
+    where: { id: parseInt(customerId, 10) }
+  });
+
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+
+  const skip = (page - 1) * parseInt(limit, 10);
+  const take = parseInt(limit, 10);
+
+  const where = { customerId: customer.id };
+
+  if (status) {
+    where.status = status;
+  }
+
+  const orders = await prisma.order.findMany({
+    where,
+    skip,
+    take,
+    orderBy: {
+      createdAt: 'desc'
+    },
+    include: {
+      orderItems: {
+        include: {
+          product: true,
+          variant: true
+        }
+      },
+      discounts: true
+    }
+  });
+
+  const totalOrders = await prisma.order.count({ where });
+
+  const completedTotals = await prisma.order.aggregate({
+    where: {
+      customerId: customer.id,
+      status: 'COMPLETED'
+    },
+    _sum: {
+      totalAmount: true
+    },
+    _count: true,
+    _min: {
+      createdAt: true
+    },
+    _max: {
+      createdAt: true
+    }
+  });
+
+  const refundTotals = await prisma.orderReturn.aggregate({
+    where: {
+      order: {
+        customerId: customer.id
+      }
+    },
+    _sum: {
+      refundAmount: true
+    }
+  });
+
+  const totalSpent = completedTotals._sum.totalAmount || 0;
+  const totalRefunds = refundTotals._sum.refundAmount || 0;
+
+  return {
+    customer,
+    summary: {
+      completedOrders: completedTotals._count || 0,
+      totalSpent,
+      totalRefunds,
+      lifetimeSpend: totalSpent - totalRefunds,
+      firstOrderAt: completedTotals._min.createdAt,
+      lastOrderAt: completedTotals._max.createdAt
+    },
+    orders,
+    pagination: {
+      total: totalOrders,
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      totalPages: Math.ceil(totalOrders / parseInt(limit, 10))
+    }
+  };
+};
+
+/**
+ * Find the customer an order belongs to.
+ * A customer ID must exist; a phone number finds the customer with that
+ * number or creates one. Without either the order is an anonymous walk-in.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} data - customerId, customerPhone, customerEmail and customerName
+ * @returns {Object|null} Customer, or null for a walk-in
+ */
+const findOrCreateOrderCustomer = async (tx, { customerId, customerPhone, customerEmail, customerName }) => {
+  if (customerId) {
+    const customer = await tx.customer.findUnique({
+      where: { id: parseInt(customerId, 10) }
+    });
+
+    if (!customer) {
+      throw new Error(`Customer with ID ${customerId} not found`);
+    }
+
+    return customer;
+  }
+
+  const phone = normalizePhone(customerPhone);
+
+  if (!phone) {
+    return null;
+  }
+
+  // An email that already belongs to someone else is not copied over
+  const email = normalizeEmail(customerEmail);
+  const emailOwner = email ? await tx.customer.findUnique({ where: { email } }) : null;
+
+  // The upsert on the unique phone keeps two simultaneous first orders from
+  // creating the same customer twice
+  return tx.customer.upsert({
+    where: { phone },
+    update: {},
+    create: {
+      name: customerName,
+      phone,
+      email: emailOwner ? null : email
+    }
+  });
+};
+
+module.exports = {
+  createCustomer,
+  getAllCustomers,
+  getCustomerById,
+  updateCustomer,
+  deleteCustomer,
+  getCustomerOrders,
+  findOrCreateOrderCustomer
+};
@@ -0,0 +1,527 @@
+// src/services/gift-card.service.js
+const crypto = require('crypto');
+const { prisma } = require('../config/db');
+const { parseMoney } = require('../utils/money');
+
+// No 0/O or 1/I so codes can be read out and typed without mistakes
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Generate a random gift card code like ABCD-EFGH-JKLM-NPQR
+ * @returns {string} Gift card code
+ */
+const generateCode = () => {
+  const bytes = crypto.randomBytes(16);
+  const characters = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+
+  return characters.join('').match(/.{4}/g).join('-');
+};
+
+/**
+ * Normalize a code as entered so formatting differences still match
+ * @param {string} code - Code as entered
+ * @returns {string} Normalized code
+ */
+const normalizeCode = (code) => {
+  const characters = String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return characters.length === 16 ? characters.match(/.{4}/g).join('-') : characters;
+};
+
+/**
+ * Parse a positive amount for a card operation
+ * @param {number|string} value - Amount from the request
+ * @returns {number} Amount in whole rupiah
+ */
+const parseCardAmount = (value) => {
+  const amount = parseMoney(value);
+
+  if (amount <= 0) {
+    throw new Error('Invalid gift card amount: must be more than zero');
+  }
+
+  return amount;
+};
+
+/**
+ * Write a gift card ledger entry
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} data - giftCardId, type, amount, balanceAfter, orderId, reason and adminId
+ * @returns {Object} Created ledger entry
+ */
+const recordTransaction = async (tx, { giftCardId, type, amount, balanceAfter, orderId = null, reason = null, adminId = null }) => {
+  return tx.giftCardTransaction.create({
+    data: {
+      giftCardId,
+      type,
+      amount,
+      balanceAfter,
+      orderId,
+      reason,
+      adminId
+    }
+  });
+};
+
+/**
+ * Add an amount to a card balance and record it
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} giftCardId - Gift card ID
+ * @param {number} amount - Amount to add
+ * @param {Object} entry - type, orderId, reason and adminId of the ledger entry
+ * @returns {Object} Updated gift card
+ */
+const creditCard = async (tx, giftCardId, amount, entry) => {
+  const giftCard = await tx.giftCard.update({
+    where: { id: giftCardId },
+    data: {
+      balance: { increment: amount }
+    }
+  });
+
+  await recordTransaction(tx, {
+    ...entry,
+    giftCardId,
+    amount,
+    balanceAfter: giftCard.balance
+  });
+
+  return giftCard;
+};
+
+/**
+ * Take an amount from a card balance and record it.
+ * The checks and the deduction are one conditional UPDATE, so two payments
+ * can never spend the same balance.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} giftCard - Gift card with id and code
+ * @param {number} amount - Amount to take
+ * @param {Object} entry - type, orderId, reason and adminId of the ledger entry
+ * @returns {Object} Updated gift card
+ */
+const debitCard = async (tx, giftCard, amount, entry) => {
+  const updated = await tx.$executeRaw`
+    UPDATE "GiftCard"
+    SET "balance" = "balance" - ${amount},
+        "updatedAt" = NOW()
+    WHERE "id" = ${giftCard.id}
+      AND "status" = 'ACTIVE'
+      AND ("expiresAt" IS NULL OR "expiresAt" > NOW())
+      AND "balance" >= ${amount}
+  `;
+
+  if (updated === 0) {
+    throw new Error(`Insufficient gift card balance or card not usable: ${giftCard.code}`);
+  }
+
+  const updatedCard = await tx.giftCard.findUnique({
+    where: { id: giftCard.id }
+  });
+
+  await recordTransaction(tx, {
+    ...entry,
+    giftCardId: giftCard.id,
+    amount: -amount,
+    balanceAfter: updatedCard.balance
+  });
+
+  return updatedCard;
+};
+
+/**
+ * Create a card with a new unique code and its ISSUE ledger entry
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} data - type, amount, customerId, expiresAt, notes, orderId, reason and adminId
+ * @returns {Object} Created gift card
+ */
+const createCard = async (tx, { type, amount, customerId = null, expiresAt = null, notes = null, orderId = null, reason = null, adminId = null }) => {
+  let code = generateCode();
+
+  // Codes are random; retry on the rare clash
+  while (await tx.giftCard.findUnique({ where: { code } })) {
+    code = generateCode();
+  }
+
+  const giftCard = await tx.giftCard.create({
+    data: {
+      code,
+      type,
+      initialBalance: amount,
+      balance: amount,
+      customerId,
+      expiresAt,
+      notes
+    }
+  });
+
+  await recordTransaction(tx, {
+    giftCardId: giftCard.id,
+    type: 'ISSUE',
+    amount,
+    balanceAfter: amount,
+    orderId,
+    reason,
+    adminId
+  });
+
+  return giftCard;
+};
+
+/**
+ * Service to issue a gift card or store credit
+ * @param {Object} cardData - type, amount, customerId, expiresAt and notes
+ * @param {number} adminId - Admin issuing the card
+ * @returns {Object} Newly issued gift card
+ */
+const issueGiftCard = async (cardData, adminId = null) => {
+  const { type = 'GIFT_CARD', amount, customerId, expiresAt, notes, reason } = cardData;
+
+  if (!['GIFT_CARD', 'STORE_CREDIT'].includes(type)) {
+    throw new Error('Invalid gift card type');
+  }
+
+  const balance = parseCardAmount(amount);
+
+  if (customerId) {
+    const customer = await prisma.customer.findUnique({
+      where: { id: parseInt(customerId, 10) }
+    });
+
+    if (!customer) {
+      throw new Error('Customer not found');
+    }
+  }
+
+  return prisma.$transaction(async (prisma) => {
+    return createCard(prisma, {
+      type,
+      amount: balance,
+      customerId: customerId ? parseInt(customerId, 10) : null,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      notes,
+      reason: reason || (type === 'STORE_CREDIT' ? 'Store credit issued' : 'Gift card sold'),
+      adminId
+    });
+  });
+};
+
+/**
+ * Service to get all gift cards
+ * @param {Object} queryParams - search, type, status, customerId, page and limit
+ * @returns {Object} Gift cards with pagination
+ */
+const getAllGiftCards = async (queryParams = {}) => {
+  const { search, type, status, customerId, page = 1, limit = 10 } = queryParams;
+
+  const skip = (page - 1) * parseInt(limit, 10);
+  const take = parseInt(limit, 10);
+
+  // Build filter conditions
+  const where = {};
+
+  if (type) where.type = type;
+  if (status) where.status = status;
+  if (customerId) where.customerId = parseInt(customerId, 10);
+
+  if (search) {
+    where.OR = [
+      { code: { contains: normalizeCode(search) } },
+      { customer: { name: { contains: search, mode: 'insensitive' } } }
+    ];
+  }
+
+  const giftCards = await prisma.giftCard.findMany({
+    where,
+    skip,
+    take,
+    orderBy: {
+      createdAt: 'desc'
+    },
+    include: {
+      customer: true
+    }
+  });
+
+  const totalGiftCards = await prisma.giftCard.count({ where });
+
+  return {
+    giftCards,
+    pagination: {
+      total: totalGiftCards,
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      totalPages: Math.ceil(totalGiftCards / parseInt(limit, 10))
+    }
+  };
+};
+
+/**
+ * Service to get a gift card with its ledger
+ * @param {number} giftCardId - Gift card ID
+ * @returns {Object} Gift card with transactions, newest first
+ */
+const getGiftCardById = async (giftCardId) => {
+  const giftCard = await prisma.giftCard.findUnique({
+    where: { id: parseInt(giftCardId, 10) },
+    include: {
+      customer: true,
+      transactions: {
+        orderBy: { createdAt: 'desc' },
+        include: {
+          admin: {
+            select: {
+              id: true,
+              username: true
+            }
+          }
+        }
+      }
+    }
+  });
+
+  if (!giftCard) {
+    throw new Error('Gift card not found');
+  }
+
+  return giftCard;
+};
+
+/**
+ * Service to look up a gift card by code, e.g. to check its balance
+ * @param {string} code - Gift card code
+ * @returns {Object} Gift card
+ */
+const getGiftCardByCode = async (code) => {
+  const giftCard = await prisma.giftCard.findUnique({
+    where: { code: normalizeCode(code) },
+    include: {
+      customer: true
+    }
+  });
+
+  if (!giftCard) {
+    throw new Error('Gift card not found');
+  }
+
+  return giftCard;
+};
+
+/**
+ * Service to add value to a gift card or store credit
+ * @param {number} giftCardId - Gift card ID
+ * @param {Object} data - amount and reason
+ * @param {number} adminId - Admin adding the value
+ * @returns {Object} Updated gift card
+ */
+const topUpGiftCard = async (giftCardId, { amount, reason }, adminId = null) => {
+  const giftCard = await prisma.giftCard.findUnique({
+    where: { id: parseInt(giftCardId, 10) }
+  });
+
+  if (!giftCard) {
+    throw new Error('Gift card not found');
+  }
+
+  if (giftCard.status !== 'ACTIVE') {
+    throw new Error('Gift card is voided');
+  }
+
+  const value = parseCardAmount(amount);
+
+  return prisma.$transaction(async (prisma) => {
+    return creditCard(prisma, giftCard.id, value, {
+      type: 'TOP_UP',
+      reason,
+      adminId
+    });
+  });
+};
+
+/**
+ * Service to redeem an amount from a gift card outside an order
+ * @param {number} giftCardId - Gift card ID
+ * @param {Object} data - amount and reason
+ * @param {number} adminId - Admin redeeming the amount
+ * @returns {Object} Updated gift card
+ */
+const redeemGiftCard = async (giftCardId, { amount, reason }, adminId = null) => {
+  const giftCard = await prisma.giftCard.findUnique({
+    where: { id: parseInt(giftCardId, 10) }
+  });
+
+  if (!giftCard) {
+    throw new Error('Gift card not found');
+  }
+
+  const value = parseCardAmount(amount);
+
+  return prisma.$transaction(async (prisma) => {
+    return debitCard(prisma, giftCard, value, {
+      type: 'REDEEM',
+      reason,
+      adminId
+    });
+  });
+};
+
+/**
+ * Service to void a gift card. The remaining balance is written off.
+ * @param {number} giftCardId - Gift card ID
+ * @param {string} reason - Reason for voiding
+ * @param {number} adminId - Admin voiding the card
+ * @returns {Object} Voided gift card
+ */
+const voidGiftCard = async (giftCardId, reason, adminId = null) => {
+  if (!reason) {
+    throw new Error('A reason is required to void a gift card');
+  }
+
+  const giftCard = await prisma.giftCard.findUnique({
+    where: { id: parseInt(giftCardId, 10) }
+  });
+
+  if (!giftCard) {
+    throw new Error('Gift card not found');
+  }
+
+  return prisma.$transaction(async (prisma) => {
+    // Lock the card so a payment in progress can't spend the balance being written off
+    const [lockedCard] = await prisma.$queryRaw`
+      SELECT "status", "balance" FROM "GiftCard" WHERE "id" = ${giftCard.id} FOR UPDATE
+    `;
+
+    if (lockedCard.status !== 'ACTIVE') {
+      throw new Error('Gift card is already voided');
+    }
+
+    const voidedCard = await prisma.giftCard.update({
+      where: { id: giftCard.id },
+      data: {
+        status: 'VOIDED',
+        balance: 0
+      }
+    });
+
+    await recordTransaction(prisma, {
+      giftCardId: giftCard.id,
+      type: 'VOID',
+      amount: -lockedCard.balance,
+      balanceAfter: 0,
+      reason,
+      adminId
+    });
+
+    return voidedCard;
+  });
+};
+
+/**
+ * Charge an order to a gift card, in the order's transaction
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} data - code, amount, orderId and adminId
+ * @returns {Object} Charged gift card
+ */
+const chargeOrderToGiftCard = async (tx, { code, amount, orderId, adminId = null }) => {
+  const giftCard = await tx.giftCard.findUnique({
+    where: { code: normalizeCode(code) }
+  });
+
+  if (!giftCard) {
+    throw new Error(`Gift card not found: ${code}`);
+  }
+
+  return debitCard(tx, giftCard, amount, {
+    type: 'REDEEM',
+    orderId,
+    reason: `Payment for order #${orderId}`,
+    adminId
+  });
+};
+
+/**
+ * Put an amount from an order back on a gift card (order cancelled or
+ * refunded). Without a usable card a new store credit is issued instead.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} refund - orderId, giftCardId (may be null) and customerId
+ * @param {number} amount - Amount to give back
+ * @param {Object} options - reason and adminId
+ * @returns {Object} Card the amount was put on
+ */
+const refundToGiftCard = async (tx, { orderId, giftCardId = null, customerId = null }, amount, { reason = null, adminId = null } = {}) => {
+  if (amount <= 0) {
+    return null;
+  }
+
+  const giftCard = giftCardId
+    ? await tx.giftCard.findUnique({ where: { id: giftCardId } })
+    : null;
+
+  if (giftCard && giftCard.status === 'ACTIVE') {
+    return creditCard(tx, giftCard.id, amount, {
+      type: 'REFUND',
+      orderId,
+      reason,
+      adminId
+    });
+  }
+
+  return createCard(tx, {
+    type: 'STORE_CREDIT',
+    amount,
+    customerId,
+    orderId,
+    reason,
+    adminId
+  });
+};
+
+/**
+ * Put a buylist payout on store credit: on the card given by code, or on a
+ * new store credit for the seller
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} payout - code (optional) and customerId
+ * @param {number} amount - Amount to pay out
+ * @param {Object} options - reason and adminId
+ * @returns {Object} Card the amount was put on
+ */
+const payoutToStoreCredit = async (tx, { code = null, customerId = null }, amount, { reason = null, adminId = null } = {}) => {
+  if (!code) {
+    return createCard(tx, {
+      type: 'STORE_CREDIT',
+      amount,
+      customerId,
+      reason,
+      adminId
+    });
+  }
+
+  const giftCard = await tx.giftCard.findUnique({
+    where: { code: normalizeCode(code) }
+  });
+
+  if (!giftCard) {
+    throw new Error(`Gift card not found: ${code}`);
+  }
+
+  if (giftCard.status !== 'ACTIVE' || (giftCard.expiresAt && giftCard.expiresAt <= new Date())) {
+    throw new Error(`Invalid store credit: ${giftCard.code} is voided or expired`);
+  }
+
+  return creditCard(tx, giftCard.id, amount, {
+    type: 'TOP_UP',
+    reason,
+    adminId
+  });
+};
+
+module.exports = {
+  issueGiftCard,
+  getAllGiftCards,
+  getGiftCardById,
+  getGiftCardByCode,
+  topUpGiftCard,
+  redeemGiftCard,
+  voidGiftCard,
+  chargeOrderToGiftCard,
+  refundToGiftCard,
+  payoutToStoreCredit
+};
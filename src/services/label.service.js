@@ -0,0 +1,197 @@
+// src/services/label.service.js
+const { prisma } = require('../config/db');
+const config = require('../config/app');
+const { getProductById, CONDITION_GRADES } = require('./product.service');
+const { assertSkuAvailable } = require('./product-barcode.service');
+const { formatMoney } = require('../utils/money');
+const { isGtin } = require('../utils/barcode');
+const { renderLabelsPdf } = require('../utils/label-pdf');
+const { renderLabelsZpl } = require('../utils/label-zpl');
+
+// Output formats of label sheets
+const LABEL_FORMATS = {
+  pdf: {
+    contentType: 'application/pdf',
+    extension: 'pdf',
+    render: (labels, template) => renderLabelsPdf(labels, template)
+  },
+  zpl: {
+    contentType: 'text/plain; charset=utf-8',
+    extension: 'zpl',
+    render: (labels, template) => renderLabelsZpl(labels, template, { dotsPerMm: config.labels.zplDotsPerMm })
+  }
+};
+
+/**
+ * Give a product or variant without a SKU one, so its label has a code that
+ * the lookup resolves; e.g. P123 for product 123 and P123-45 for its variant 45
+ * @param {Object} product - Product
+ * @param {Object|null} variant - Variant
+ * @returns {Promise<string>} The SKU
+ */
+const assignLabelSku = async (product, variant) => {
+  const sku = variant ? `P${product.id}-${variant.id}` : `P${product.id}`;
+
+  try {
+    await assertSkuAvailable(prisma, sku, variant ? { variantId: variant.id } : { productId: product.id });
+  } catch (error) {
+    throw new Error(`Invalid labels: ${variant ? `variant ${variant.name} of ` : ''}product ${product.name} has no barcode or SKU, and SKU ${sku} is used by another product; give it a SKU first`);
+  }
+
+  // Only set while there is still no SKU, in case staff entered one meanwhile
+  if (variant) {
+    await prisma.productVariant.updateMany({
+      where: { id: variant.id, sku: null },
+      data: { sku }
+    });
+  } else {
+    await prisma.product.updateMany({
+      where: { id: product.id, sku: null },
+      data: { sku }
+    });
+  }
+
+  const saved = variant
+    ? await prisma.productVariant.findUnique({ where: { id: variant.id } })
+    : await prisma.product.findUnique({ where: { id: product.id } });
+
+  return saved.sku;
+};
+
+/**
+ * Pick the barcode printed on a label: a scannable EAN-13 or UPC-A barcode of
+ * the variant or product, else its SKU as Code 128. Items without either get a
+ * generated SKU; the price is never encoded, so labels stay valid when it changes.
+ * @param {Object} product - Product with barcodes
+ * @param {Object|null} variant - Variant with barcodes
+ * @returns {Promise<Object>} type (ean13 or code128) and text
+ */
+const getLabelBarcode = async (product, variant) => {
+  const barcodes = variant
+    ? variant.barcodes
+    : product.barcodes.filter(barcode => barcode.variantId === null);
+  const gtin = barcodes.map(barcode => barcode.code).find(code => isGtin(code) && code.length >= 12);
+
+  if (gtin) {
+    return { type: 'ean13', text: gtin.padStart(13, '0') };
+  }
+
+  const sku = (variant ? variant.sku : product.sku) || await assignLabelSku(product, variant);
+
+  return { type: 'code128', text: sku };
+};
+
+/**
+ * Detail line of a label: set, number, language, finish and condition of a
+ * card, or the variant name
+ * @param {Object} product - Product with card attributes
+ * @param {Object|null} variant - Variant
+ * @returns {string} Detail line, empty when there is nothing to show
+ */
+const getLabelDetail = (product, variant) => {
+  const grade = Object.keys(CONDITION_GRADES).find(key => CONDITION_GRADES[key] === product.condition);
+  const card = [
+    [product.setCode, product.collectorNumber && `#${product.collectorNumber}`].filter(Boolean).join(' '),
+    product.language,
+    product.finish && product.finish !== 'NONFOIL' ? product.finish : null,
+    grade
+  ].filter(Boolean);
+
+  return [...card, variant ? variant.name : null].filter(Boolean).join(' · ');
+};
+
+/**
+ * Parse the products and quantities to print labels for
+ * @param {Array<Object>} items - productId, variantId and quantity
+ * @returns {Array<Object>} Items with numeric IDs and quantities
+ */
+const parseLabelItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new Error('Invalid labels: items must list at least one product');
+  }
+
+  const parsed = items.map(item => {
+    const productId = parseInt(item && item.productId, 10);
+    const quantity = item.quantity === undefined ? 1 : parseInt(item.quantity, 10);
+
+    if (isNaN(productId)) {
+      throw new Error('Invalid labels: every item needs a productId');
+    }
+
+    if (isNaN(quantity) || quantity < 1) {
+      throw new Error(`Invalid labels: quantity for product ${productId} must be at least 1`);
+    }
+
+    return {
+      productId,
+      variantId: item.variantId ? parseInt(item.variantId, 10) : null,
+      quantity
+    };
+  });
+
+  const total = parsed.reduce((sum, item) => sum + item.quantity, 0);
+
+  if (total > config.labels.maxLabels) {
+    throw new Error(`Invalid labels: at most ${config.labels.maxLabels} labels can be printed at once`);
+  }
+
+  return parsed;
+};
+
+/**
+ * Service to render printable labels for a selection of products
+ * @param {Object} options - format (pdf or zpl), template (see
+ * config.labels.templates) and items (productId, variantId, quantity)
+ * @returns {Promise<Object>} content, contentType and filename
+ */
+const renderLabels = async ({ format = 'pdf', template, items } = {}) => {
+  const labelFormat = Object.prototype.hasOwnProperty.call(LABEL_FORMATS, format) ? LABEL_FORMATS[format] : null;
+
+  if (!labelFormat) {
+    throw new Error(`Invalid label format: ${format} (allowed: ${Object.keys(LABEL_FORMATS).join(', ')})`);
+  }
+
+  const templateName = template || config.labels.defaultTemplate;
+  const { templates } = config.labels;
+
+  if (!Object.prototype.hasOwnProperty.call(templates, templateName)) {
+    throw new Error(`Invalid label template: ${templateName} (allowed: ${Object.keys(templates).join(', ')})`);
+  }
+
+  const labels = [];
+
+  for (const item of parseLabelItems(items)) {
+    const product = await getProductById(item.productId);
+    let variant = null;
+
+    if (item.variantId) {
+      variant = product.variants.find(v => v.id === item.variantId);
+
+      if (!variant) {
+        throw new Error(`Variant with ID ${item.variantId} not found for this product`);
+      }
+    } else if (product.variants.length > 0) {
+      throw new Error(`Invalid labels: choose a variant of product ${product.name}`);
+    }
+
+    const price = variant ? variant.price : product.price;
+
+    labels.push({
+      name: product.name,
+      detail: getLabelDetail(product, variant),
+      price: formatMoney(price),
+      barcode: await getLabelBarcode(product, variant),
+      quantity: item.quantity
+    });
+  }
+
+  return {
+    content: await labelFormat.render(labels, templates[templateName]),
+    contentType: labelFormat.contentType,
+    filename: `labels.${labelFormat.extension}`
+  };
+};
+
+module.exports = {
+  renderLabels
+};
@@ -0,0 +1,542 @@
+// src/services/loyalty.service.js
+const { prisma } = require('../config/db');
+const { roundMoney } = require('../utils/money');
+
+/**
+ * Loyalty points.
+ *
+ * Every change to a customer's points is a LoyaltyTransaction and is applied
+ * to the cached Customer.pointsBalance in the same transaction. Entries that
+ * add points are lots: spending takes points from the lots that expire first,
+ * and the expiry job removes whatever is left of a lot when it expires.
+ */
+
+/**
+ * Get the loyalty settings from the store settings
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Object} Store settings with the loyalty fields
+ */
+const getLoyaltySettings = async (client = prisma) => {
+  return client.storeSetting.upsert({
+    where: { id: 1 },
+    update: {},
+    create: { id: 1 }
+  });
+};
+
+/**
+ * Work out when newly added points expire
+ * @param {Object} settings - Store settings
+ * @returns {Date|null} Expiry date, or null if points never expire
+ */
+const getExpiryDate = (settings) => {
+  if (!settings.pointsExpiryDays) {
+    return null;
+  }
+
+  return new Date(Date.now() + settings.pointsExpiryDays * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Add points to a customer as a new lot
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} data - customerId, points, type, orderId, reason, adminId and expiresAt
+ * @returns {Object} Created ledger entry
+ */
+const addPoints = async (tx, { customerId, points, type, orderId = null, reason = null, adminId = null, expiresAt = null }) => {
+  await tx.customer.update({
+    where: { id: customerId },
+    data: {
+      pointsBalance: { increment: points }
+    }
+  });
+
+  return tx.loyaltyTransaction.create({
+    data: {
+      customerId,
+      orderId,
+      type,
+      points,
+      remainingPoints: points,
+      expiresAt,
+      reason,
+      adminId
+    }
+  });
+};
+
+/**
+ * Take points from a customer, spending the lots that expire first.
+ * The balance check and the deduction are one conditional UPDATE, which also
+ * locks the customer row so concurrent spends of the same lots wait their turn.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} data - customerId, points, type, orderId, reason, adminId and partial
+ * @returns {Object|null} Created ledger entry, or null if nothing was taken
+ */
+const takePoints = async (tx, { customerId, points, type, orderId = null, reason = null, adminId = null, partial = false }) => {
+  let taken = points;
+
+  if (partial) {
+    // Take what is there, e.g. when reversing points that were already spent
+    const [customer] = await tx.$queryRaw`
+      SELECT "pointsBalance" FROM "Customer" WHERE "id" = ${customerId} FOR UPDATE
+    `;
+    taken = Math.min(points, Math.max(customer ? customer.pointsBalance : 0, 0));
+  }
+
+  if (taken <= 0) {
+    return null;
+  }
+
+  const updated = await tx.$executeRaw`
+    UPDATE "Customer"
+    SET "pointsBalance" = "pointsBalance" - ${taken},
+        "updatedAt" = NOW()
+    WHERE "id" = ${customerId}
+      AND "pointsBalance" >= ${taken}
+  `;
+
+  if (updated === 0) {
+    throw new Error('Insufficient loyalty points');
+  }
+
+  const lots = await tx.loyaltyTransaction.findMany({
+    where: {
+      customerId,
+      remainingPoints: { gt: 0 }
+    },
+    orderBy: [
+      { expiresAt: { sort: 'asc', nulls: 'last' } },
+      { id: 'asc' }
+    ]
+  });
+
+  let left = taken;
+
+  for (const lot of lots) {
+    if (left === 0) {
+      break;
+    }
+
+    const used = Math.min(lot.remainingPoints, left);
+
+    await tx.loyaltyTransaction.update({
+      where: { id: lot.id },
+      data: {
+        remainingPoints: { decrement: used }
+      }
+    });
+
+    left -= used;
+  }
+
+  return tx.loyaltyTransaction.create({
+    data: {
+      customerId,
+      orderId,
+      type,
+      points: -taken,
+      reason,
+      adminId
+    }
+  });
+};
+
+/**
+ * Work out the rupiah value of redeeming points on an order
+ * @param {number} points - Points to redeem
+ * @param {number} maxAmount - Order amount the points may cover
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Object} Points and the discount amount
+ */
+const calculatePointsRedemption = async (points, maxAmount, client = prisma) => {
+  const pointsToRedeem = parseInt(points, 10) || 0;
+
+  if (pointsToRedeem === 0) {
+    return { points: 0, amount: 0 };
+  }
+
+  if (pointsToRedeem < 0) {
+    throw new Error('Invalid points redemption: points must be positive');
+  }
+
+  const settings = await getLoyaltySettings(client);
+
+  if (!settings.loyaltyEnabled) {
+    throw new Error('Invalid points redemption: the loyalty program is not enabled');
+  }
+
+  const amount = pointsToRedeem * settings.pointValue;
+
+  if (amount > maxAmount) {
+    throw new Error(`Invalid points redemption: at most ${Math.floor(maxAmount / settings.pointValue)} points can be used on this order`);
+  }
+
+  return { points: pointsToRedeem, amount };
+};
+
+/**
+ * Spend points as a discount on a new order
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} data - customerId, orderId, points and adminId
+ */
+const redeemPoints = async (tx, { customerId, orderId, points, adminId = null }) => {
+  await takePoints(tx, {
+    customerId,
+    orderId,
+    points,
+    type: 'REDEEM',
+    reason: `Redeemed on order #${orderId}`,
+    adminId
+  });
+};
+
+/**
+ * Give back the points redeemed on an order that was cancelled or expired
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order with customerId and pointsRedeemed
+ * @param {string} reason - Why the points are given back
+ * @param {number} adminId - Acting admin, if any
+ */
+const restoreRedeemedPoints = async (tx, order, reason, adminId = null) => {
+  if (!order.customerId || order.pointsRedeemed <= 0) {
+    return;
+  }
+
+  const settings = await getLoyaltySettings(tx);
+
+  await addPoints(tx, {
+    customerId: order.customerId,
+    orderId: order.id,
+    points: order.pointsRedeemed,
+    type: 'REVERSAL',
+    reason,
+    adminId,
+    expiresAt: getExpiryDate(settings)
+  });
+};
+
+/**
+ * Work out the points an order earns.
+ * Points are earned on what was paid for the goods: line amounts after
+ * discounts, without exclusive tax and service charge, and without the part
+ * paid with points. Each line counts with its category multiplier.
+ * @param {Object} order - Order including orderItems with product.category
+ * @param {Object} settings - Store settings
+ * @returns {number} Points earned
+ */
+const calculateEarnedPoints = (order, settings) => {
+  if (!settings.loyaltyEnabled || settings.pointsEarnAmount <= 0) {
+    return 0;
+  }
+
+  // Cash rounding is not part of what the items cost
+  const paidAmount = order.totalAmount - (order.cashRoundingAmount || 0);
+  const amountBeforePoints = paidAmount + order.pointsDiscountAmount;
+  const paidShare = amountBeforePoints > 0 ? paidAmount / amountBeforePoints : 0;
+
+  const weightedAmount = order.orderItems.reduce((sum, item) => {
+    const category = item.product ? item.product.category : null;
+    const multiplier = category ? category.pointsMultiplier : 1;
+    return sum + (item.subtotal - item.discountAmount) * multiplier;
+  }, 0);
+
+  return Math.floor(roundMoney(weightedAmount * paidShare) / settings.pointsEarnAmount);
+};
+
+/**
+ * Credit the points of a completed order to its customer
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order including orderItems with product.category
+ * @param {number} adminId - Admin completing the order
+ * @returns {number} Points earned
+ */
+const earnPoints = async (tx, order, adminId = null) => {
+  if (!order.customerId) {
+    return 0;
+  }
+
+  const settings = await getLoyaltySettings(tx);
+  const points = calculateEarnedPoints(order, settings);
+
+  if (points <= 0) {
+    return 0;
+  }
+
+  await addPoints(tx, {
+    customerId: order.customerId,
+    orderId: order.id,
+    points,
+    type: 'EARN',
+    reason: `Earned on order #${order.id}`,
+    adminId,
+    expiresAt: getExpiryDate(settings)
+  });
+
+  await tx.order.update({
+    where: { id: order.id },
+    data: { pointsEarned: points }
+  });
+
+  return points;
+};
+
+/**
+ * Take back the points earned on the refunded part of an order.
+ * The share taken back is the share of the order that was refunded. Points
+ * the customer has already spent cannot be taken back, so at most the
+ * current balance is deducted.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order with customerId, pointsEarned and totalAmount
+ * @param {number} refundAmount - Amount refunded now
+ * @param {number} adminId - Admin processing the refund
+ */
+const reverseEarnedPoints = async (tx, order, refundAmount, adminId = null) => {
+  if (!order.customerId || order.pointsEarned <= 0 || order.totalAmount <= 0) {
+    return;
+  }
+
+  const reversed = await tx.loyaltyTransaction.aggregate({
+    where: {
+      orderId: order.id,
+      type: 'REVERSAL',
+      points: { lt: 0 }
+    },
+    _sum: { points: true }
+  });
+
+  const alreadyReversed = -(reversed._sum.points || 0);
+  const points = Math.min(
+    Math.round(order.pointsEarned * refundAmount / order.totalAmount),
+    order.pointsEarned - alreadyReversed
+  );
+
+  if (points <= 0) {
+    return;
+  }
+
+  await takePoints(tx, {
+    customerId: order.customerId,
+    orderId: order.id,
+    points,
+    type: 'REVERSAL',
+    reason: `Refund on order #${order.id}`,
+    adminId,
+    partial: true
+  });
+};
+
+/**
+ * Service to adjust a customer's points by hand
+ * @param {number} customerId - Customer ID
+ * @param {Object} adjustment - points (positive or negative) and reason
+ * @param {number} adminId - Admin making the adjustment
+ * @returns {Object} Ledger entry and new balance
+ */
+const adjustPoints = async (customerId, { points, reason }, adminId = null) => {
+  const change = parseInt(points, 10);
+
+  if (!change) {
+    throw new Error('Invalid points adjustment: points must be a non-zero whole number');
+  }
+
+  if (!reason) {
+    throw new Error('Invalid points adjustment: a reason is required');
+  }
+
+  const customer = await prisma.customer.findUnique({
+    where: { id: parseInt(customerId, 10) }
+  });
+
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+
+  return prisma.$transaction(async (prisma) => {
+    const settings = await getLoyaltySettings(prisma);
+
+    const transaction = change > 0
+      ? await addPoints(prisma, {
+        customerId: customer.id,
+        points: change,
+        type: 'ADJUSTMENT',
+        reason,
+        adminId,
+        expiresAt: getExpiryDate(settings)
+      })
+      : await takePoints(prisma, {
+        customerId: customer.id,
+        points: -change,
+        type: 'ADJUSTMENT',
+        reason,
+        adminId
+      });
+
+    const { pointsBalance } = await prisma.customer.findUnique({
+      where: { id: customer.id },
+      select: { pointsBalance: true }
+    });
+
+    return {
+      transaction,
+      pointsBalance
+    };
+  });
+};
+
+/**
+ * Service to get a customer's points balance and ledger
+ * @param {number} customerId - Customer ID
+ * @param {Object} queryParams - page and limit
+ * @returns {Object} Balance, points expiring soonest, ledger and pagination
+ */
+const getCustomerPoints = async (customerId, queryParams = {}) => {
+  const { page = 1, limit = 20 } = queryParams;
+
+  const customer = await prisma.customer.findUnique({
+    where: { id: parseInt(customerId, 10) },
+    select: {
+      id: true,
+      name: true,
+      pointsBalance: true
+    }
+  });
+
+  if (!customer) {
+    throw new Error('Customer not found');
+  }
+
+  const skip = (page - 1) * parseInt(limit, 10);
+  const take = parseInt(limit, 10);
+
+  const transactions = await prisma.loyaltyTransaction.findMany({
+    where: { customerId: customer.id },
+    skip,
+    take,
+    orderBy: [
+      { createdAt: 'desc' },
+      { id: 'desc' }
+    ],
+    include: {
+      admin: {
+        select: {
+          id: true,
+          username: true
+        }
+      }
+    }
+  });
+
+  const totalTransactions = await prisma.loyaltyTransaction.count({
+    where: { customerId: customer.id }
+  });
+
+  // The next lot to expire, so staff can tell the customer
+  const nextExpiry = await prisma.loyaltyTransaction.findFirst({
+    where: {
+      customerId: customer.id,
+      remainingPoints: { gt: 0 },
+      expiresAt: { not: null }
+    },
+    orderBy: { expiresAt: 'asc' },
+    select: {
+      remainingPoints: true,
+      expiresAt: true
+    }
+  });
+
+  return {
+    customer,
+    nextExpiry,
+    transactions,
+    pagination: {
+      total: totalTransactions,
+      page: parseInt(page, 10),
+      limit: parseInt(limit, 10),
+      totalPages: Math.ceil(totalTransactions / parseInt(limit, 10))
+    }
+  };
+};
+
+/**
+ * Service to remove the points of lots that passed their expiry date.
+ * Each lot is expired in its own transaction, so customers are only locked
+ * briefly and a lot that fails doesn't undo the others.
+ * @returns {Array} Expired lots with customerId and points
+ */
+const expirePoints = async () => {
+  const lots = await prisma.loyaltyTransaction.findMany({
+    where: {
+      remainingPoints: { gt: 0 },
+      expiresAt: { lt: new Date() }
+    }
+  });
+
+  const expired = [];
+
+  for (const expiredLot of lots) {
+    try {
+      const points = await prisma.$transaction(async (prisma) => {
+        // Lock the customer first, like takePoints, then re-read the lot so
+        // points spent in the meantime are not removed twice
+        await prisma.$queryRaw`
+          SELECT "id" FROM "Customer" WHERE "id" = ${expiredLot.customerId} FOR UPDATE
+        `;
+
+        const lot = await prisma.loyaltyTransaction.findUnique({
+          where: { id: expiredLot.id }
+        });
+
+        if (lot.remainingPoints <= 0) {
+          return 0;
+        }
+
+        await prisma.$executeRaw`
+          UPDATE "Customer"
+          SET "pointsBalance" = GREATEST("pointsBalance" - ${lot.remainingPoints}, 0),
+              "updatedAt" = NOW()
+          WHERE "id" = ${lot.customerId}
+        `;
+
+        await prisma.loyaltyTransaction.update({
+          where: { id: lot.id },
+          data: { remainingPoints: 0 }
+        });
+
+        await prisma.loyaltyTransaction.create({
+          data: {
+            customerId: lot.customerId,
+            orderId: lot.orderId,
+            type: 'EXPIRY',
+            points: -lot.remainingPoints,
+            reason: `Points from ${lot.createdAt.toISOString().split('T')[0]} expired`
+          }
+        });
+
+        return lot.remainingPoints;
+      });
+
+      if (points > 0) {
+        expired.push({
+          customerId: expiredLot.customerId,
+          points
+        });
+      }
+    } catch (error) {
+      console.error(`Error expiring loyalty points of lot #${expiredLot.id}:`, error);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  calculatePointsRedemption,
+  redeemPoints,
+  restoreRedeemedPoints,
+  earnPoints,
+  reverseEarnedPoints,
+  adjustPoints,
+  getCustomerPoints,
+  expirePoints
+};
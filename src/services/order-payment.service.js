@@ -0,0 +1,313 @@
+// src/services/order-payment.service.js
+const { prisma } = require('../config/db');
+const { transitionOrder } = require('./order-status.service');
+const { chargeOrderToGiftCard, refundToGiftCard } = require('./gift-card.service');
+const { parseMoney, sumMoney, roundCash } = require('../utils/money');
+
+// Methods that are settled at the counter (or charged right away) and so
+// start out verified
+const PAID_ON_CREATION_METHODS = ['CASH', 'STORE_CREDIT'];
+
+/**
+ * Work out the payment lines of a new order.
+ * Without a payments list the whole total is one line of paymentMethod.
+ * @param {Object} orderData - payments, paymentMethod and giftCardCode
+ * @param {number} totalAmount - Order total the lines must add up to
+ * @returns {Array} Lines with method, amount, giftCardCode and status
+ */
+const buildPaymentLines = async ({ payments, paymentMethod = 'BANK_TRANSFER', giftCardCode }, totalAmount) => {
+  const requestedLines = Array.isArray(payments) && payments.length > 0
+    ? payments.map(payment => {
+      const amount = parseMoney(payment.amount);
+
+      if (amount <= 0) {
+        throw new Error(`Invalid payment amount for ${payment.method}: must be more than zero`);
+      }
+
+      return {
+        method: payment.method,
+        amount,
+        giftCardCode: payment.giftCardCode
+      };
+    })
+    : [{ method: paymentMethod, amount: totalAmount, giftCardCode }];
+
+  // Change and cash rounding are worked out on the one cash line
+  if (requestedLines.filter(line => line.method === 'CASH').length > 1) {
+    throw new Error('Invalid payments: an order can have only one CASH payment');
+  }
+
+  const paidAmount = sumMoney(requestedLines.map(line => line.amount));
+
+  if (paidAmount !== totalAmount) {
+    throw new Error(`Invalid payments: the payment lines add up to ${paidAmount} but the order total is ${totalAmount}`);
+  }
+
+  // Validate that every payment method is enabled
+  const settings = await prisma.paymentMethodSetting.findMany({
+    where: {
+      method: { in: requestedLines.map(line => line.method) },
+      isEnabled: true
+    }
+  });
+
+  return requestedLines.map(line => {
+    if (!settings.some(setting => setting.method === line.method)) {
+      throw new Error(`Payment method ${line.method} is not available`);
+    }
+
+    if (line.method === 'STORE_CREDIT' && !line.giftCardCode) {
+      throw new Error('Gift card code is required for STORE_CREDIT payment');
+    }
+
+    return {
+      ...line,
+      status: PAID_ON_CREATION_METHODS.includes(line.method) ? 'VERIFIED' : 'PENDING'
+    };
+  });
+};
+
+/**
+ * Round the cash line of a new order to what can be paid in notes and coins.
+ * The difference is added to the order total.
+ * @param {Array} lines - Lines from buildPaymentLines
+ * @param {Object} settings - Store settings with cashRoundingUnit and cashRoundingMode
+ * @returns {Object} Lines with the cash line rounded, and the rounding amount
+ */
+const applyCashRounding = (lines, settings) => {
+  let roundingAmount = 0;
+
+  const roundedLines = lines.map(line => {
+    if (line.method !== 'CASH') {
+      return line;
+    }
+
+    const amount = roundCash(line.amount, settings.cashRoundingUnit, settings.cashRoundingMode);
+    roundingAmount = amount - line.amount;
+
+    return { ...line, amount };
+  });
+
+  return { lines: roundedLines, roundingAmount };
+};
+
+/**
+ * Work out the change for the cash a customer handed over
+ * @param {number|string} cashTendered - Cash handed over
+ * @param {Array} payments - Payment lines of the order
+ * @returns {Object} cashTendered and changeAmount
+ */
+const calculateChange = (cashTendered, payments) => {
+  const cashPayment = payments.find(payment => payment.method === 'CASH');
+
+  if (!cashPayment) {
+    throw new Error('Invalid cash tendered: the order has no CASH payment');
+  }
+
+  const tendered = parseMoney(cashTendered);
+
+  if (tendered < cashPayment.amount) {
+    throw new Error(`Invalid cash tendered: ${tendered} does not cover the ${cashPayment.amount} due in cash`);
+  }
+
+  return {
+    cashTendered: tendered,
+    changeAmount: tendered - cashPayment.amount
+  };
+};
+
+/**
+ * Create the payment lines of a new order. Gift card lines are charged in
+ * the same transaction, so the order only exists if the balance covered it.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Newly created order
+ * @param {Array} lines - Lines from buildPaymentLines
+ * @param {number} adminId - Staff member entering the order
+ * @returns {Array} Created payment lines
+ */
+const createPayments = async (tx, order, lines, adminId = null) => {
+  const payments = [];
+
+  for (const line of lines) {
+    const giftCard = line.method === 'STORE_CREDIT'
+      ? await chargeOrderToGiftCard(tx, {
+        code: line.giftCardCode,
+        amount: line.amount,
+        orderId: order.id,
+        adminId
+      })
+      : null;
+
+    payments.push(await tx.orderPayment.create({
+      data: {
+        orderId: order.id,
+        method: line.method,
+        amount: line.amount,
+        status: line.status,
+        giftCardId: giftCard ? giftCard.id : null,
+        verifiedAt: line.status === 'VERIFIED' ? new Date() : null
+      }
+    }));
+  }
+
+  return payments;
+};
+
+/**
+ * Work out the order status that matches its payment lines.
+ * The order is paid once the verified lines cover the total; until then a
+ * proof waiting for review comes before a rejected one.
+ * @param {Object} order - Order with totalAmount
+ * @param {Array} payments - Payment lines of the order
+ * @returns {string} Order status
+ */
+const getPaymentStatus = (order, payments) => {
+  const verifiedPayments = payments.filter(payment => payment.status === 'VERIFIED');
+  const verifiedAmount = sumMoney(verifiedPayments.map(payment => payment.amount));
+
+  if (verifiedPayments.length > 0 && verifiedAmount >= order.totalAmount) {
+    return 'PAYMENT_VERIFIED';
+  }
+
+  if (payments.some(payment => payment.status === 'UPLOADED')) {
+    return 'PAYMENT_UPLOADED';
+  }
+
+  if (payments.some(payment => payment.status === 'REJECTED')) {
+    return 'PAYMENT_REJECTED';
+  }
+
+  return 'PENDING';
+};
+
+// Event that moves an order to the status its payment lines call for
+const PAYMENT_STATUS_EVENTS = {
+  PAYMENT_UPLOADED: () => 'UPLOAD_PAYMENT',
+  PAYMENT_REJECTED: () => 'REJECT_PAYMENT',
+  PAYMENT_VERIFIED: (fromStatus) => (fromStatus === 'PAYMENT_UPLOADED' ? 'VERIFY_PAYMENT' : 'CONFIRM_PAYMENT'),
+  PENDING: () => 'ACCEPT_PARTIAL_PAYMENT'
+};
+
+/**
+ * Lock an order and read it with its payment lines.
+ * Line changes of one order are serialized on this lock, so two lines
+ * verified at the same time both see each other when the total is checked.
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} orderId - Order ID
+ * @returns {Object} Order with payments (oldest first)
+ */
+const lockOrderPayments = async (tx, orderId) => {
+  await tx.$queryRaw`
+    SELECT "id" FROM "Order" WHERE "id" = ${orderId} FOR UPDATE
+  `;
+
+  return tx.order.findUnique({
+    where: { id: orderId },
+    include: {
+      payments: {
+        orderBy: { id: 'asc' }
+      }
+    }
+  });
+};
+
+/**
+ * Move an order to the status its payment lines call for, if it changed
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order as read under the lock
+ * @param {Array} payments - Payment lines after the change
+ * @param {Object} options - Acting adminId and reason
+ * @returns {string} The order status
+ */
+const settlePaymentStatus = async (tx, order, payments, { adminId = null, reason = null } = {}) => {
+  const status = getPaymentStatus(order, payments);
+
+  if (status === order.status) {
+    return status;
+  }
+
+  const rejectedPayment = payments.find(payment => payment.status === 'REJECTED');
+
+  return transitionOrder(tx, order, PAYMENT_STATUS_EVENTS[status](order.status), {
+    adminId,
+    reason: reason || (status === 'PAYMENT_REJECTED' && rejectedPayment
+      ? `${rejectedPayment.method} payment of ${rejectedPayment.amount} was rejected`
+      : null)
+  });
+};
+
+/**
+ * Throw if the payments of an order can no longer change
+ * @param {Object} order - Order with status
+ * @param {string} label - The action, for the error message
+ */
+const assertPaymentsOpen = (order, label) => {
+  if (!['PENDING', 'PAYMENT_UPLOADED', 'PAYMENT_REJECTED'].includes(order.status)) {
+    throw new Error(`Invalid status transition: cannot ${label} an order with status ${order.status}`);
+  }
+};
+
+/**
+ * Pick the payment line an action applies to: the requested one, or else
+ * the only line the action can apply to
+ * @param {Array} payments - Payment lines of the order
+ * @param {number|string} paymentId - Requested line, if any
+ * @param {Function} isCandidate - Whether the action can apply to a line
+ * @returns {Object|null} Payment line, or null when no line qualifies
+ */
+const selectPayment = (payments, paymentId, isCandidate) => {
+  if (paymentId) {
+    const payment = payments.find(p => p.id === parseInt(paymentId, 10));
+
+    if (!payment) {
+      throw new Error(`Payment with ID ${paymentId} not found in this order`);
+    }
+
+    return payment;
+  }
+
+  const candidates = payments.filter(isCandidate);
+
+  if (candidates.length > 1) {
+    throw new Error('Invalid payment: several payments of this order qualify, a paymentId is required');
+  }
+
+  return candidates[0] || null;
+};
+
+/**
+ * Give back the gift card payments of a cancelled order
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order with id and customerId
+ * @param {Object} options - reason and adminId
+ */
+const refundGiftCardPayments = async (tx, order, { reason = null, adminId = null } = {}) => {
+  const payments = await tx.orderPayment.findMany({
+    where: {
+      orderId: order.id,
+      method: 'STORE_CREDIT',
+      status: 'VERIFIED'
+    }
+  });
+
+  for (const payment of payments) {
+    await refundToGiftCard(tx, {
+      orderId: order.id,
+      giftCardId: payment.giftCardId,
+      customerId: order.customerId
+    }, payment.amount, { reason, adminId });
+  }
+};
+
+module.exports = {
+  buildPaymentLines,
+  applyCashRounding,
+  calculateChange,
+  createPayments,
+  getPaymentStatus,
+  lockOrderPayments,
+  settlePaymentStatus,
+  assertPaymentsOpen,
+  selectPayment,
+  refundGiftCardPayments
+};
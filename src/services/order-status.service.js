@@ -0,0 +1,161 @@
+// src/services/order-status.service.js
+
+/**
+ * Order state machine.
+ *
+ * Every status change of an order goes through one of the events below. An
+ * event lists the statuses it may start from and the status it leads to, so
+ * the transition rules live in one place and an illegal transition is
+ * rejected with the same error everywhere.
+ */
+const ORDER_EVENTS = {
+  UPLOAD_PAYMENT: {
+    label: 'upload payment proof for',
+    from: ['PENDING', 'PAYMENT_REJECTED'],
+    to: 'PAYMENT_UPLOADED'
+  },
+  // Methods that require a proof are verified after the upload
+  VERIFY_PAYMENT: {
+    label: 'verify payment for',
+    from: ['PAYMENT_UPLOADED'],
+    to: 'PAYMENT_VERIFIED'
+  },
+  // The uploaded proof is sent back to the customer for a new upload
+  REJECT_PAYMENT: {
+    label: 'reject payment for',
+    from: ['PAYMENT_UPLOADED'],
+    to: 'PAYMENT_REJECTED',
+    requiresReason: true
+  },
+  // One payment of a split order was verified but the rest is still unpaid
+  ACCEPT_PARTIAL_PAYMENT: {
+    label: 'accept part of the payment for',
+    from: ['PAYMENT_UPLOADED'],
+    to: 'PENDING'
+  },
+  // Methods without a proof (like cash) are confirmed directly
+  CONFIRM_PAYMENT: {
+    label: 'confirm payment for',
+    from: ['PENDING'],
+    to: 'PAYMENT_VERIFIED'
+  },
+  COMPLETE: {
+    label: 'complete',
+    from: ['PAYMENT_VERIFIED'],
+    to: 'COMPLETED'
+  },
+  CANCEL: {
+    label: 'cancel',
+    from: ['PENDING', 'PAYMENT_UPLOADED', 'PAYMENT_REJECTED', 'PAYMENT_VERIFIED'],
+    to: 'CANCELLED',
+    requiresReason: true
+  },
+  // Cancellation by the pending order expiry job
+  EXPIRE: {
+    label: 'expire',
+    from: ['PENDING', 'PAYMENT_REJECTED'],
+    to: 'CANCELLED',
+    requiresReason: true
+  }
+};
+
+/**
+ * Check whether an event may be applied to an order in the given status
+ * @param {string} status - Current order status
+ * @param {string} eventName - Name of the event in ORDER_EVENTS
+ * @returns {boolean} True if the transition is allowed
+ */
+const canTransition = (status, eventName) => {
+  const event = ORDER_EVENTS[eventName];
+  return Boolean(event) && event.from.includes(status);
+};
+
+/**
+ * Throw if an event may not be applied to an order in the given status
+ * @param {string} status - Current order status
+ * @param {string} eventName - Name of the event in ORDER_EVENTS
+ */
+const assertTransition = (status, eventName) => {
+  const event = ORDER_EVENTS[eventName];
+
+  if (!event) {
+    throw new Error(`Unknown order event: ${eventName}`);
+  }
+
+  if (!event.from.includes(status)) {
+    throw new Error(
+      `Invalid status transition: cannot ${event.label} an order with status ${status} ` +
+      `(allowed from: ${event.from.join(', ')})`
+    );
+  }
+};
+
+/**
+ * Write an entry to the order status history
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} data - orderId, fromStatus, toStatus, adminId and reason
+ * @returns {Object} Created status event
+ */
+const recordStatusEvent = async (tx, { orderId, fromStatus = null, toStatus, adminId = null, reason = null }) => {
+  return tx.orderStatusEvent.create({
+    data: {
+      orderId,
+      fromStatus,
+      toStatus,
+      adminId,
+      reason
+    }
+  });
+};
+
+/**
+ * Apply an event to an order and record it in the status history.
+ * The update is guarded on the status the order was read with, so a
+ * concurrent transition makes this one fail instead of both succeeding.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} order - Order as read before the transition (id and status)
+ * @param {string} eventName - Name of the event in ORDER_EVENTS
+ * @param {Object} options - Acting adminId and reason
+ * @returns {string} The new order status
+ */
+const transitionOrder = async (tx, order, eventName, { adminId = null, reason = null } = {}) => {
+  assertTransition(order.status, eventName);
+
+  const event = ORDER_EVENTS[eventName];
+
+  if (event.requiresReason && !reason) {
+    throw new Error(`A reason is required to ${event.label} an order`);
+  }
+
+  const { count } = await tx.order.updateMany({
+    where: {
+      id: order.id,
+      status: order.status
+    },
+    data: {
+      status: event.to
+    }
+  });
+
+  if (count === 0) {
+    throw new Error('Order status was changed by another request, please retry');
+  }
+
+  await recordStatusEvent(tx, {
+    orderId: order.id,
+    fromStatus: order.status,
+    toStatus: event.to,
+    adminId,
+    reason
+  });
+
+  return event.to;
+};
+
+module.exports = {
+  ORDER_EVENTS,
+  canTransition,
+  assertTransition,
+  recordStatusEvent,
+  transitionOrder
+};
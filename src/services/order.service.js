@@ -1,197 +1,608 @@
 // src/services/order.service.js
 
+const crypto = require('crypto');
 const { prisma } = require('../config/db');
-const fs = require('fs');
-const path = require('path');
 const config = require('../config/app');
+const { reserveStock, releaseStock, commitStock } = require('./stock.service');
+const { assertTransition, recordStatusEvent, transitionOrder } = require('./order-status.service');
+const { getReturnsInPeriod } = require('./return.service');
+const { getBuyTransactionsInPeriod } = require('./buylist.service');
+const { calculateDiscounts, claimPromotionUsage, releasePromotionUsage } = require('./promotion.service');
+const { calculateTaxes, summarizeTaxes } = require('./tax.service');
+const { findOrCreateOrderCustomer } = require('./customer.service');
+const { calculatePointsRedemption, redeemPoints, restoreRedeemedPoints, earnPoints } = require('./loyalty.service');
+const {
+  buildPaymentLines,
+  applyCashRounding,
+  calculateChange,
+  createPayments,
+  getPaymentStatus,
+  lockOrderPayments,
+  settlePaymentStatus,
+  assertPaymentsOpen,
+  selectPayment,
+  refundGiftCardPayments
+} = require('./order-payment.service');
+const { findOpenShift } = require('./cash-shift.service');
+const { getStoreSettings } = require('./store-settings.service');
+const { lookupProduct } = require('./product.service');
+const { sumMoney } = require('../utils/money');
+const storage = require('../storage');
+
+// Public order tokens are 32 lowercase hex characters
+const PUBLIC_TOKEN_PATTERN = /^[0-9a-f]{32}$/;
+
+// Customer fields returned with orders; anyone with the order token can read
+// the order, so contact details and points stay on the customer endpoints
+const ORDER_CUSTOMER_SELECT = {
+  id: true,
+  name: true
+};
+
+/**
+ * Generate the random token customers use to reach their order
+ * @returns {string} Public order token
+ */
+const generatePublicToken = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Add the current payment proof to an order.
+ * Every uploaded proof is kept in paymentProofs (newest first); paymentProof
+ * is the newest one that has not been rejected. Proof files are private, so
+ * each proof gets the URL of the protected endpoint, keyed by the order token.
+ * @param {Object} order - Order including paymentProofs
+ * @returns {Object} Order with paymentProof
+ */
+const withCurrentPaymentProof = (order) => {
+  if (!order || !order.paymentProofs) {
+    return order;
+  }
+  
+  const paymentProofs = order.paymentProofs.map(proof => ({
+    ...proof,
+    fileUrl: `/api/orders/${order.publicToken}/payment-proof?proofId=${proof.id}`
+  }));
+  
+  return {
+    ...order,
+    paymentProofs,
+    paymentProof: paymentProofs.find(proof => proof.status !== 'REJECTED') || null
+  };
+};
 
 /**
  * Service to create a new order
  * @param {Object} orderData - Order data
+ * @param {number} adminId - Staff member entering the order, null for customer orders
  * @returns {Object} Newly created order
  */
-const createOrder = async (orderData) => {
-  const { customerName, items, paymentMethod = 'BANK_TRANSFER' } = orderData;
+const createOrder = async (orderData, adminId = null) => {
+  const {
+    customerName,
+    customerId,
+    customerPhone,
+    customerEmail,
+    items,
+    couponCodes = [],
+    couponCode,
+    redeemPoints: pointsToRedeem = 0,
+    cashTendered
+  } = orderData;
   
   if (!items || items.length === 0) {
     throw new Error('Order must contain at least one item');
   }
   
-  // Validate that payment method is enabled
-  const paymentMethodSetting = await prisma.paymentMethodSetting.findFirst({
-    where: {
-      method: paymentMethod,
-      isEnabled: true
-    }
-  });
+  // Only staff can link an order to a customer account; customers ordering
+  // themselves are not signed in, so their order stays anonymous
+  const linkCustomer = Boolean(adminId);
   
-  if (!paymentMethodSetting) {
-    throw new Error(`Payment method ${paymentMethod} is not available`);
+  if (!customerName && !(linkCustomer && customerId)) {
+    throw new Error('Customer name is required for orders without a customer account');
   }
   
-  // Calculate total amount and validate items
-  let totalAmount = 0;
-  const orderItems = [];
+  // Calculate subtotal and validate items
+  let subtotalAmount = 0;
+  const lines = [];
+  const reservations = [];
   
   // Validate each product and calculate totals
   for (const item of items) {
+    const quantity = parseInt(item.quantity, 10);
+    
+    if (!quantity || quantity < 1) {
+      throw new Error(`Invalid quantity for product with ID ${item.productId || item.variantId || item.code}`);
+    }
+    
+    // A scanned barcode or SKU stands in for the product and variant.
+    // Our price-embedded barcodes also set the price, so only staff can use them.
+    const scanned = item.code ? await lookupProduct(item.code) : null;
+    
+    if (scanned && scanned.match === 'EMBEDDED' && !adminId) {
+      throw new Error('Invalid barcode: price-embedded barcodes can only be entered by staff');
+    }
+    
+    const productId = scanned ? scanned.product.id : item.productId;
+    const variantId = scanned ? scanned.variant && scanned.variant.id : item.variantId;
+    
+    // Products sold in variants are ordered by variant; the product can be
+    // left out as the variant identifies it
+    const variant = variantId
+      ? await prisma.productVariant.findUnique({
+        where: { id: parseInt(variantId, 10) }
+      })
+      : null;
+    
+    if (variantId && (!variant || (productId && variant.productId !== parseInt(productId, 10)))) {
+      throw new Error(`Variant with ID ${variantId} not found`);
+    }
+    
     const product = await prisma.product.findUnique({
-      where: { id: parseInt(item.productId, 10) }
+      where: { id: variant ? variant.productId : parseInt(productId, 10) },
+      include: {
+        taxRate: true,
+        category: {
+          include: {
+            taxRate: true
+          }
+        },
+        _count: {
+          select: { variants: true }
+        }
+      }
     });
     
     if (!product) {
-      throw new Error(`Product with ID ${item.productId} not found`);
+      throw new Error(`Product with ID ${productId} not found`);
     }
     
-    if (product.stock < item.quantity) {
-      throw new Error(`Insufficient stock for product: ${product.name}`);
+    if (!variant && product._count.variants > 0) {
+      throw new Error(`Invalid variant: choose a variant of product ${product.name}`);
     }
     
-    const subtotal = product.price * item.quantity;
-    totalAmount += subtotal;
+    const name = variant ? `${product.name} (${variant.name})` : product.name;
+    const unitPrice = scanned && scanned.match === 'EMBEDDED'
+      ? scanned.price
+      : (variant ? variant.price : product.price);
+    const subtotal = unitPrice * quantity;
+    subtotalAmount += subtotal;
     
-    orderItems.push({
+    lines.push({
+      key: lines.length,
       productId: product.id,
-      quantity: item.quantity,
+      variantId: variant ? variant.id : null,
+      categoryId: product.categoryId,
+      product,
+      quantity,
       subtotal
     });
+    
+    reservations.push({
+      productId: product.id,
+      variantId: variant ? variant.id : null,
+      name,
+      quantity
+    });
   }
   
-  // Determine initial status based on payment method
-  // Cash payments can skip directly to PAYMENT_VERIFIED status
-  const initialStatus = paymentMethod === 'CASH' ? 'PAYMENT_VERIFIED' : 'PENDING';
+  // Apply automatic promotions and entered coupons
+  const codes = couponCode && Array.isArray(couponCodes) ? [...couponCodes, couponCode] : couponCodes;
+  const { discounts, lines: discountedLines, totalDiscount } = await calculateDiscounts(lines, codes);
+  
+  // Tax is worked out on the discounted lines
+  const { lines: taxedLines, taxAmount, exclusiveTaxAmount, serviceChargeAmount } = await calculateTaxes(discountedLines);
+  
+  const orderItems = taxedLines.map(line => ({
+    productId: line.productId,
+    variantId: line.variantId,
+    quantity: line.quantity,
+    subtotal: line.subtotal,
+    discountAmount: line.discountAmount,
+    taxName: line.taxName,
+    taxRate: line.taxRate,
+    taxInclusive: line.taxInclusive,
+    taxAmount: line.taxAmount
+  }));
   
-  // Create order with transaction to ensure data consistency
+  // Inclusive tax is already part of the prices
+  const amountBeforePoints = subtotalAmount - totalDiscount + exclusiveTaxAmount + serviceChargeAmount;
+  
+  // Redeemed loyalty points pay part of the order. Only staff can redeem, after
+  // checking the customer at the counter.
+  const redemption = await calculatePointsRedemption(pointsToRedeem, amountBeforePoints);
+  
+  if (redemption.points > 0 && !adminId) {
+    throw new Error('Invalid points redemption: points can only be redeemed by staff');
+  }
+  
+  const amountDue = amountBeforePoints - redemption.amount;
+  
+  // Split the total over the payment lines; a single paymentMethod pays all of it.
+  // The cash part is rounded to what can be paid in notes and coins.
+  const { lines: paymentLines, roundingAmount: cashRoundingAmount } = applyCashRounding(
+    await buildPaymentLines(orderData, amountDue),
+    await getStoreSettings()
+  );
+  
+  const totalAmount = amountDue + cashRoundingAmount;
+  
+  // Cash handed over at the counter; it can also be entered when completing
+  const cashChange = cashTendered !== undefined && cashTendered !== null
+    ? calculateChange(cashTendered, paymentLines)
+    : {};
+  
+  // Determine initial status based on the payment lines
+  // Cash and store credit payments are verified right away, so an order paid
+  // with only those skips directly to PAYMENT_VERIFIED status
+  const initialStatus = getPaymentStatus({ totalAmount }, paymentLines);
+  
+  // Reserve stock and create the order in one transaction so the availability
+  // check and the hold cannot be interleaved with another order
   const newOrder = await prisma.$transaction(async (prisma) => {
+    // Link the order to a customer account; walk-ins stay anonymous
+    const customer = linkCustomer
+      ? await findOrCreateOrderCustomer(prisma, {
+        customerId,
+        customerPhone,
+        customerEmail,
+        customerName
+      })
+      : null;
+    
+    if (redemption.points > 0 && !customer) {
+      throw new Error('Invalid points redemption: the order must be linked to a customer');
+    }
+    
+    await reserveStock(prisma, reservations);
+    await claimPromotionUsage(prisma, discounts);
+    
     // Create the order
     const order = await prisma.order.create({
       data: {
-        customerName,
+        customerName: customerName || customer.name,
+        customerId: customer ? customer.id : null,
+        subtotalAmount,
+        discountAmount: totalDiscount,
+        taxAmount,
+        serviceChargeAmount,
+        pointsRedeemed: redemption.points,
+        pointsDiscountAmount: redemption.amount,
+        cashRoundingAmount,
+        ...cashChange,
         totalAmount,
         status: initialStatus,
-        paymentMethod,
+        paymentMethod: paymentLines[0].method,
+        publicToken: generatePublicToken(),
         orderItems: {
           create: orderItems
+        },
+        discounts: {
+          create: discounts.map(discount => ({
+            promotionId: discount.promotion.id,
+            name: discount.promotion.name,
+            code: discount.promotion.code,
+            amount: discount.amount
+          }))
         }
       },
       include: {
         orderItems: {
           include: {
-            product: true
+            product: true,
+            variant: true
           }
+        },
+        discounts: true,
+        customer: {
+          select: ORDER_CUSTOMER_SELECT
         }
       }
     });
     
+    if (redemption.points > 0) {
+      await redeemPoints(prisma, {
+        customerId: customer.id,
+        orderId: order.id,
+        points: redemption.points,
+        adminId
+      });
+    }
+    
+    order.payments = await createPayments(prisma, order, paymentLines, adminId);
+    
+    await recordStatusEvent(prisma, {
+      orderId: order.id,
+      toStatus: initialStatus,
+      adminId
+    });
+    
     return order;
   });
   
   return newOrder;
 };
 
+/**
+ * Get the payment methods that are paid with an uploaded proof
+ * @returns {Array} Method names
+ */
+const getProofMethods = async () => {
+  const settings = await prisma.paymentMethodSetting.findMany({
+    where: { requiresProof: true },
+    select: { method: true }
+  });
+  
+  return settings.map(setting => setting.method);
+};
+
 /**
  * Service to upload payment proof for an order
  * @param {number} orderId - Order ID
  * @param {Object} fileInfo - Payment proof file info
+ * @param {number} paymentId - Payment line the proof is for; may be left out
+ * when only one payment of the order needs a proof
  * @returns {Object} Updated order
  */
-const uploadPaymentProof = async (orderId, fileInfo) => {
-  // Find the order
-  const order = await prisma.order.findUnique({
-    where: { id: parseInt(orderId, 10) },
-    include: {
-      paymentProof: true
-    }
-  });
+const uploadPaymentProof = async (orderId, fileInfo, paymentId = null) => {
+  const proofMethods = await getProofMethods();
   
-  if (!order) {
-    throw new Error('Order not found');
-  }
-  
-  if (order.status !== 'PENDING') {
-    throw new Error('Payment proof can only be uploaded for pending orders');
-  }
-  
-  // Check if payment method requires proof
-  const paymentMethodSetting = await prisma.paymentMethodSetting.findFirst({
-    where: { method: order.paymentMethod }
+  const fileKey = await storage.putFile(storage.generateKey(config.uploads.paymentProofs, 'payment-proof'), fileInfo.buffer, {
+    contentType: fileInfo.mimetype
   });
   
-  if (!paymentMethodSetting || !paymentMethodSetting.requiresProof) {
-    throw new Error(`Payment proof upload is not required for ${order.paymentMethod} payment method`);
-  }
-  
-  // Create relative path for the payment proof
-  const relativePath = `/${config.uploads.dir}${config.uploads.paymentProofs}/${fileInfo.filename}`;
-  
-  // Update or create payment proof
-  let updatedOrder;
-  
-  if (order.paymentProof) {
-    // Delete old payment proof if exists
-    const oldProofPath = path.join(__dirname, '../../', order.paymentProof.fileUrl);
-    if (fs.existsSync(oldProofPath)) {
-      fs.unlinkSync(oldProofPath);
+  // Add the new proof together with the status change. Earlier (rejected)
+  // proofs are kept as history.
+  const updatedOrder = await prisma.$transaction(async (prisma) => {
+    const order = await lockOrderPayments(prisma, parseInt(orderId, 10));
+    
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    
+    assertPaymentsOpen(order, 'upload payment proof for');
+    
+    const payment = selectPayment(order.payments, paymentId, p =>
+      proofMethods.includes(p.method) && ['PENDING', 'REJECTED'].includes(p.status)
+    );
+    
+    // Check if payment method requires proof
+    if (!payment || !proofMethods.includes(payment.method)) {
+      throw new Error(`Payment proof upload is not required for ${payment ? payment.method : order.paymentMethod} payment method`);
+    }
+    
+    if (!['PENDING', 'REJECTED'].includes(payment.status)) {
+      throw new Error(`Invalid payment: the ${payment.method} payment already has status ${payment.status}`);
     }
     
-    // Update payment proof
-    updatedOrder = await prisma.order.update({
-      where: { id: parseInt(orderId, 10) },
+    await prisma.orderPayment.update({
+      where: { id: payment.id },
       data: {
-        status: 'PAYMENT_UPLOADED',
-        paymentProof: {
-          update: {
-            fileUrl: relativePath
+        status: 'UPLOADED',
+        proofs: {
+          create: {
+            orderId: order.id,
+            fileKey
           }
         }
-      },
+      }
+    });
+    
+    payment.status = 'UPLOADED';
+    await settlePaymentStatus(prisma, order, order.payments);
+    
+    return prisma.order.findUnique({
+      where: { id: order.id },
       include: {
-        paymentProof: true,
+        payments: {
+          orderBy: { id: 'asc' }
+        },
+        paymentProofs: {
+          orderBy: { createdAt: 'desc' }
+        },
         orderItems: {
           include: {
-            product: true
+            product: true,
+            variant: true
           }
         }
       }
     });
-  } else {
-    // Create new payment proof
-    updatedOrder = await prisma.order.update({
-      where: { id: parseInt(orderId, 10) },
-      data: {
-        status: 'PAYMENT_UPLOADED',
-        paymentProof: {
-          create: {
-            fileUrl: relativePath
+  }).catch(async (error) => {
+    // The proof wasn't accepted, so its file isn't kept
+    await storage.deleteFile(fileKey);
+    throw error;
+  });
+  
+  return withCurrentPaymentProof(updatedOrder);
+};
+
+/**
+ * Service to verify payment for an order.
+ * Each payment line is verified on its own; the order becomes
+ * PAYMENT_VERIFIED once the verified lines cover the total.
+ * @param {number} orderId - Order ID
+ * @param {number} adminId - ID of the admin verifying the payment
+ * @param {number} paymentId - Payment line to verify; may be left out when
+ * only one payment of the order is waiting
+ * @returns {Object} Updated order
+ */
+const verifyPayment = async (orderId, adminId = null, paymentId = null) => {
+  const proofMethods = await getProofMethods();
+  
+  const updatedOrder = await prisma.$transaction(async (prisma) => {
+    const order = await lockOrderPayments(prisma, parseInt(orderId, 10));
+    
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    
+    // Methods that require proof (like bank transfer or QRIS) are verified after
+    // the upload, methods without proof (like cash) are confirmed directly
+    const payment = selectPayment(order.payments, paymentId, p =>
+      p.status === (proofMethods.includes(p.method) ? 'UPLOADED' : 'PENDING')
+    );
+    
+    if (!payment) {
+      const awaitingProof = order.payments.find(p => p.status !== 'VERIFIED');
+      
+      if (awaitingProof) {
+        throw new Error(`No payment proof found for this ${awaitingProof.method} payment`);
+      }
+      
+      // Nothing left to verify; an order that is already paid fails the transition
+      await transitionOrder(prisma, order, 'CONFIRM_PAYMENT', { adminId });
+    } else {
+      const requiresProof = proofMethods.includes(payment.method);
+      
+      assertPaymentsOpen(order, 'verify payment for');
+      
+      if (payment.status === 'VERIFIED') {
+        throw new Error(`Invalid payment: the ${payment.method} payment is already verified`);
+      }
+      
+      if (requiresProof && payment.status !== 'UPLOADED') {
+        throw new Error(`No payment proof found for this ${payment.method} payment`);
+      }
+      
+      await prisma.orderPayment.update({
+        where: { id: payment.id },
+        data: {
+          status: 'VERIFIED',
+          verifiedAt: new Date()
+        }
+      });
+      
+      await prisma.paymentProof.updateMany({
+        where: {
+          paymentId: payment.id,
+          status: 'SUBMITTED'
+        },
+        data: {
+          status: 'ACCEPTED',
+          reviewedAt: new Date()
+        }
+      });
+      
+      payment.status = 'VERIFIED';
+      await settlePaymentStatus(prisma, order, order.payments, { adminId });
+    }
+    
+    return prisma.order.findUnique({
+      where: { id: order.id },
+      include: {
+        orderItems: {
+          include: {
+            product: true,
+            variant: true
           }
+        },
+        payments: {
+          orderBy: { id: 'asc' }
+        },
+        paymentProofs: {
+          orderBy: { createdAt: 'desc' }
         }
+      }
+    });
+  });
+  
+  return withCurrentPaymentProof(updatedOrder);
+};
+
+/**
+ * Service to reject the uploaded payment proof of an order
+ * @param {number} orderId - Order ID
+ * @param {number} adminId - ID of the admin rejecting the payment
+ * @param {string} reason - Reason shown to the customer
+ * @param {number} paymentId - Payment line to reject; may be left out when
+ * only one payment of the order has an uploaded proof
+ * @returns {Object} Updated order
+ */
+const rejectPayment = async (orderId, adminId = null, reason = null, paymentId = null) => {
+  // Send the payment back to the customer and keep the rejected proof as history
+  const updatedOrder = await prisma.$transaction(async (prisma) => {
+    const order = await lockOrderPayments(prisma, parseInt(orderId, 10));
+    
+    if (!order) {
+      throw new Error('Order not found');
+    }
+    
+    assertPaymentsOpen(order, 'reject payment for');
+    
+    const payment = selectPayment(order.payments, paymentId, p => p.status === 'UPLOADED');
+    
+    if (!payment || payment.status !== 'UPLOADED') {
+      throw new Error(`No payment proof found for this ${payment ? payment.method : order.paymentMethod} payment`);
+    }
+    
+    await prisma.orderPayment.update({
+      where: { id: payment.id },
+      data: {
+        status: 'REJECTED'
+      }
+    });
+    
+    await prisma.paymentProof.updateMany({
+      where: {
+        paymentId: payment.id,
+        status: 'SUBMITTED'
       },
+      data: {
+        status: 'REJECTED',
+        rejectionReason: reason,
+        reviewedAt: new Date()
+      }
+    });
+    
+    payment.status = 'REJECTED';
+    await settlePaymentStatus(prisma, order, order.payments, { adminId, reason });
+    
+    return prisma.order.findUnique({
+      where: { id: order.id },
       include: {
-        paymentProof: true,
         orderItems: {
           include: {
-            product: true
+            product: true,
+            variant: true
           }
+        },
+        payments: {
+          orderBy: { id: 'asc' }
+        },
+        paymentProofs: {
+          orderBy: { createdAt: 'desc' }
         }
       }
     });
-  }
+  });
   
-  return updatedOrder;
+  return withCurrentPaymentProof(updatedOrder);
 };
 
 /**
- * Service to verify payment for an order
+ * Service to complete an order
  * @param {number} orderId - Order ID
+ * @param {number} adminId - ID of the admin completing the order
+ * @param {Object} options - allowBackorder records a backorder for short products;
+ * cashTendered is the cash handed over, if not entered with the order
  * @returns {Object} Updated order
  */
-const verifyPayment = async (orderId) => {
+const completeOrder = async (orderId, adminId = null, { allowBackorder = false, cashTendered } = {}) => {
   // Find the order
   const order = await prisma.order.findUnique({
     where: { id: parseInt(orderId, 10) },
     include: {
-      orderItems: true,
-      paymentProof: true
+      orderItems: {
+        include: {
+          product: {
+            include: {
+              category: true
+            }
+          },
+          variant: true
+        }
+      },
+      payments: true
     }
   });
   
@@ -199,57 +610,87 @@ const verifyPayment = async (orderId) => {
     throw new Error('Order not found');
   }
   
-  // Get payment method settings
-  const paymentMethodSetting = await prisma.paymentMethodSetting.findFirst({
-    where: { method: order.paymentMethod }
-  });
+  assertTransition(order.status, 'COMPLETE');
   
-  if (!paymentMethodSetting) {
-    throw new Error(`Payment method ${order.paymentMethod} configuration not found`);
-  }
+  const cashChange = cashTendered !== undefined && cashTendered !== null
+    ? calculateChange(cashTendered, order.payments)
+    : {};
   
-  // Handle different payment methods based on their settings
-  if (paymentMethodSetting.requiresProof) {
-    // For methods that require proof (like bank transfer or QRIS)
-    if (order.status !== 'PAYMENT_UPLOADED') {
-      throw new Error('Only orders with uploaded payment can be verified');
-    }
+  // Convert reserved stock into a sale and complete order in a transaction
+  const completedOrder = await prisma.$transaction(async (prisma) => {
+    await transitionOrder(prisma, order, 'COMPLETE', { adminId });
+    
+    const shortages = await commitStock(prisma, order.orderItems, { allowBackorder });
     
-    if (!order.paymentProof) {
-      throw new Error(`No payment proof found for this ${order.paymentMethod} order`);
+    if (shortages.length > 0 && !allowBackorder) {
+      // Rolls the transaction back; the caller gets the short products
+      const error = new Error('Insufficient stock to complete order');
+      error.shortages = shortages;
+      throw error;
     }
-  } else {
-    // For methods that don't require proof (like cash)
-    if (order.status !== 'PENDING' && order.status !== 'PAYMENT_VERIFIED') {
-      throw new Error('Only pending or already verified orders can be processed');
+    
+    if (shortages.length > 0) {
+      await prisma.backorder.createMany({
+        data: shortages
+          .filter(shortage => shortage.backordered > 0)
+          .map(shortage => ({
+            orderId: order.id,
+            orderItemId: shortage.orderItemId,
+            productId: shortage.productId,
+            variantId: shortage.variantId,
+            quantity: shortage.backordered,
+            adminId
+          }))
+      });
     }
-  }
-  
-  // Update order status to payment verified
-  const updatedOrder = await prisma.order.update({
-    where: { id: parseInt(orderId, 10) },
-    data: {
-      status: 'PAYMENT_VERIFIED'
-    },
-    include: {
-      orderItems: {
-        include: {
-          product: true
+    
+    // Credit loyalty points to the linked customer
+    await earnPoints(prisma, order, adminId);
+    
+    // The sale counts towards the till of the cashier completing it
+    const cashShiftId = await findOpenShift(prisma, adminId);
+    
+    if (cashShiftId || cashChange.cashTendered !== undefined) {
+      await prisma.order.update({
+        where: { id: order.id },
+        data: {
+          ...cashChange,
+          ...(cashShiftId ? { cashShiftId } : {})
         }
-      },
-      paymentProof: true
+      });
     }
+    
+    return prisma.order.findUnique({
+      where: { id: order.id },
+      include: {
+        orderItems: {
+          include: {
+            product: true,
+            variant: true
+          }
+        },
+        payments: {
+          orderBy: { id: 'asc' }
+        },
+        paymentProofs: {
+          orderBy: { createdAt: 'desc' }
+        },
+        backorders: true
+      }
+    });
   });
   
-  return updatedOrder;
+  return withCurrentPaymentProof(completedOrder);
 };
 
 /**
- * Service to complete an order
+ * Service to cancel an order
  * @param {number} orderId - Order ID
+ * @param {number} adminId - ID of the admin cancelling the order
+ * @param {string} reason - Reason for the cancellation
  * @returns {Object} Updated order
  */
-const completeOrder = async (orderId) => {
+const cancelOrder = async (orderId, adminId = null, reason = null) => {
   // Find the order
   const order = await prisma.order.findUnique({
     where: { id: parseInt(orderId, 10) },
@@ -262,83 +703,154 @@ const completeOrder = async (orderId) => {
     throw new Error('Order not found');
   }
   
-  if (order.status !== 'PAYMENT_VERIFIED') {
-    throw new Error('Only verified orders can be completed');
-  }
-  
-  // Update product stock and complete order in a transaction
-  const completedOrder = await prisma.$transaction(async (prisma) => {
-    // Update product stock for each order item
-    for (const item of order.orderItems) {
-      await prisma.product.update({
-        where: { id: item.productId },
-        data: {
-          stock: {
-            decrement: item.quantity
-          }
-        }
-      });
-    }
+  assertTransition(order.status, 'CANCEL');
+  
+  // Release reserved stock and cancel order in a transaction
+  const cancelledOrder = await prisma.$transaction(async (prisma) => {
+    await transitionOrder(prisma, order, 'CANCEL', { adminId, reason });
+    await releaseStock(prisma, order.orderItems);
+    await releasePromotionUsage(prisma, order.id);
+    await restoreRedeemedPoints(prisma, order, `Order #${order.id} cancelled`, adminId);
+    await refundGiftCardPayments(prisma, order, {
+      reason: `Order #${order.id} cancelled`,
+      adminId
+    });
     
-    // Update order status to completed
-    const updatedOrder = await prisma.order.update({
-      where: { id: parseInt(orderId, 10) },
-      data: {
-        status: 'COMPLETED'
-      },
+    return prisma.order.findUnique({
+      where: { id: order.id },
       include: {
         orderItems: {
           include: {
-            product: true
+            product: true,
+            variant: true
           }
         },
-        paymentProof: true
+        payments: {
+          orderBy: { id: 'asc' }
+        },
+        paymentProofs: {
+          orderBy: { createdAt: 'desc' }
+        }
       }
     });
-    
-    return updatedOrder;
   });
   
-  return completedOrder;
+  return withCurrentPaymentProof(cancelledOrder);
 };
 
 /**
- * Service to cancel an order
+ * Service to cancel unpaid pending orders that passed their payment timeout.
+ * Each order is expired in its own transaction, so an order that fails is
+ * logged and skipped instead of rolling back the rest of the batch.
+ * @returns {Array} Expired orders with the reason they were cancelled
+ */
+const expirePendingOrders = async () => {
+  // Only payment methods with a configured timeout expire
+  const settings = await prisma.paymentMethodSetting.findMany({
+    where: {
+      pendingTimeoutMinutes: { not: null }
+    }
+  });
+  
+  const expiredOrders = [];
+  
+  for (const setting of settings) {
+    const cutoff = new Date(Date.now() - setting.pendingTimeoutMinutes * 60 * 1000);
+    
+    // Pending orders count from creation, rejected ones from the rejection.
+    // Orders with a verified payment are partly paid and are left for staff.
+    const orders = await prisma.order.findMany({
+      where: {
+        payments: {
+          some: {
+            method: setting.method,
+            status: { in: ['PENDING', 'REJECTED'] }
+          },
+          none: {
+            status: 'VERIFIED'
+          }
+        },
+        OR: [
+          {
+            status: 'PENDING',
+            paymentProofs: { none: {} },
+            createdAt: { lt: cutoff }
+          },
+          {
+            status: 'PAYMENT_REJECTED',
+            updatedAt: { lt: cutoff }
+          }
+        ]
+      },
+      include: {
+        orderItems: true
+      }
+    });
+    
+    for (const order of orders) {
+      const reason = order.status === 'PAYMENT_REJECTED'
+        ? `No new payment proof received within ${setting.pendingTimeoutMinutes} minutes after rejection for ${setting.name}`
+        : `No payment proof received within ${setting.pendingTimeoutMinutes} minutes for ${setting.name}`;
+      
+      try {
+        await prisma.$transaction(async (prisma) => {
+          await transitionOrder(prisma, order, 'EXPIRE', { reason });
+          await releaseStock(prisma, order.orderItems);
+          await releasePromotionUsage(prisma, order.id);
+          await restoreRedeemedPoints(prisma, order, `Order #${order.id} expired`);
+        });
+      } catch (error) {
+        // An order paid in the meantime fails the status guard and is left alone
+        if (!error.message.includes('please retry')) {
+          console.error(`Error expiring order #${order.id}:`, error);
+        }
+        continue;
+      }
+      
+      expiredOrders.push({
+        orderId: order.id,
+        paymentMethod: order.paymentMethod,
+        createdAt: order.createdAt,
+        reason
+      });
+    }
+  }
+  
+  return expiredOrders;
+};
+
+/**
+ * Service to get the status history of an order
  * @param {number} orderId - Order ID
- * @returns {Object} Updated order
+ * @returns {Array} Status events, oldest first
  */
-const cancelOrder = async (orderId) => {
-  // Find the order
+const getOrderHistory = async (orderId) => {
   const order = await prisma.order.findUnique({
-    where: { id: parseInt(orderId, 10) }
+    where: { id: parseInt(orderId, 10) },
+    select: { id: true }
   });
   
   if (!order) {
     throw new Error('Order not found');
   }
   
-  // Only pending or payment uploaded orders can be cancelled
-  if (!['PENDING', 'PAYMENT_UPLOADED', 'PAYMENT_VERIFIED'].includes(order.status)) {
-    throw new Error('Only pending, payment uploaded, or payment verified orders can be cancelled');
-  }
-  
-  // Update order status to cancelled
-  const cancelledOrder = await prisma.order.update({
-    where: { id: parseInt(orderId, 10) },
-    data: {
-      status: 'CANCELLED'
-    },
+  const history = await prisma.orderStatusEvent.findMany({
+    where: { orderId: order.id },
+    orderBy: [
+      { createdAt: 'asc' },
+      { id: 'asc' }
+    ],
     include: {
-      orderItems: {
-        include: {
-          product: true
+      admin: {
+        select: {
+          id: true,
+          username: true
         }
-      },
-      paymentProof: true
+      }
     }
   });
   
-  return cancelledOrder;
+  return history;
 };
 
 /**
@@ -350,6 +862,7 @@ const getAllOrders = async (queryParams = {}) => {
   const { 
     status, 
     customerName,
+    customerId,
     paymentMethod,
     startDate,
     endDate,
@@ -369,8 +882,15 @@ const getAllOrders = async (queryParams = {}) => {
     where.status = status;
   }
   
+  // Split orders match each of their payment methods
   if (paymentMethod) {
-    where.paymentMethod = paymentMethod;
+    where.payments = {
+      some: { method: paymentMethod }
+    };
+  }
+  
+  if (customerId) {
+    where.customerId = parseInt(customerId, 10);
   }
   
   if (customerName) {
@@ -406,10 +926,20 @@ const getAllOrders = async (queryParams = {}) => {
     include: {
       orderItems: {
         include: {
-          product: true
+          product: true,
+          variant: true
         }
       },
-      paymentProof: true
+      payments: {
+        orderBy: { id: 'asc' }
+      },
+      paymentProofs: {
+        orderBy: { createdAt: 'desc' }
+      },
+      discounts: true,
+      customer: {
+        select: ORDER_CUSTOMER_SELECT
+      }
     }
   });
   
@@ -417,7 +947,7 @@ const getAllOrders = async (queryParams = {}) => {
   const totalOrders = await prisma.order.count({ where });
   
   return {
-    orders,
+    orders: orders.map(withCurrentPaymentProof),
     pagination: {
       total: totalOrders,
       page: parseInt(page, 10),
@@ -427,6 +957,37 @@ const getAllOrders = async (queryParams = {}) => {
   };
 };
 
+/**
+ * Service to find the order a route parameter refers to.
+ * Customers reach an order only through its public token; staff may also
+ * use the internal ID.
+ * @param {string} reference - Public token, or order ID when allowId is set
+ * @param {Object} options - allowId: whether the internal ID is accepted
+ * @returns {number} Order ID
+ */
+const resolveOrderId = async (reference, { allowId = false } = {}) => {
+  const value = String(reference || '');
+  let order = null;
+  
+  if (PUBLIC_TOKEN_PATTERN.test(value)) {
+    order = await prisma.order.findUnique({
+      where: { publicToken: value },
+      select: { id: true }
+    });
+  } else if (allowId && /^\d+$/.test(value)) {
+    order = await prisma.order.findUnique({
+      where: { id: parseInt(value, 10) },
+      select: { id: true }
+    });
+  }
+  
+  if (!order) {
+    throw new Error('Order not found');
+  }
+  
+  return order.id;
+};
+
 /**
  * Service to get an order by ID
  * @param {number} orderId - Order ID
@@ -438,10 +999,20 @@ const getOrderById = async (orderId) => {
     include: {
       orderItems: {
         include: {
-          product: true
+          product: true,
+          variant: true
         }
       },
-      paymentProof: true
+      payments: {
+        orderBy: { id: 'asc' }
+      },
+      paymentProofs: {
+        orderBy: { createdAt: 'desc' }
+      },
+      discounts: true,
+      customer: {
+        select: ORDER_CUSTOMER_SELECT
+      }
     }
   });
   
@@ -449,7 +1020,31 @@ const getOrderById = async (orderId) => {
     throw new Error('Order not found');
   }
   
-  return order;
+  return withCurrentPaymentProof(order);
+};
+
+/**
+ * Service to get a temporary link to a payment proof image of an order
+ * @param {number} orderId - Order ID
+ * @param {number} proofId - Proof to get; defaults to the current proof, or
+ * else the newest one
+ * @returns {Promise<string>} Signed URL of the image
+ */
+const getPaymentProofUrl = async (orderId, proofId = null) => {
+  const proofs = await prisma.paymentProof.findMany({
+    where: { orderId: parseInt(orderId, 10) },
+    orderBy: { createdAt: 'desc' }
+  });
+  
+  const proof = proofId
+    ? proofs.find(p => p.id === parseInt(proofId, 10))
+    : proofs.find(p => p.status !== 'REJECTED') || proofs[0];
+  
+  if (!proof) {
+    throw new Error('Payment proof not found');
+  }
+  
+  return storage.getSignedUrl(proof.fileKey);
 };
 
 /**
@@ -474,8 +1069,13 @@ const getPendingOrdersCount = async () => {
   const paymentUploadedCount = await prisma.order.count({
     where: {
       status: 'PAYMENT_UPLOADED',
-      paymentMethod: {
-        in: methodsRequiringVerification
+      payments: {
+        some: {
+          status: 'UPLOADED',
+          method: {
+            in: methodsRequiringVerification
+          }
+        }
       }
     }
   });
@@ -484,7 +1084,9 @@ const getPendingOrdersCount = async () => {
   const cashVerifiedCount = await prisma.order.count({
     where: {
       status: 'PAYMENT_VERIFIED',
-      paymentMethod: 'CASH'
+      payments: {
+        some: { method: 'CASH' }
+      }
     }
   });
   
@@ -503,6 +1105,115 @@ const getPendingOrdersCount = async () => {
   };
 };
 
+/**
+ * Sum the units sold and returned and the revenue per product. Products sold
+ * in variants also get the same figures per variant; the product figures are
+ * the totals of its variants.
+ * @param {Array} orders - Completed orders including orderItems with product and variant
+ * @param {Array} refunds - Returns including items with orderItem, product and variant
+ * @returns {Array} Sales per product, highest revenue first
+ */
+const summarizeProductSales = (orders, refunds) => {
+  const productSalesMap = {};
+  
+  const emptySales = () => ({
+    quantitySold: 0,
+    quantityReturned: 0,
+    grossRevenue: 0,
+    discounts: 0,
+    refunds: 0,
+    revenue: 0
+  });
+  
+  const getSales = (orderItem) => {
+    const { product, variant } = orderItem;
+    
+    if (!productSalesMap[product.id]) {
+      productSalesMap[product.id] = {
+        productId: product.id,
+        name: product.name,
+        category: product.category?.name || 'Unknown',
+        price: product.price,
+        imageUrl: product.imageUrl,
+        ...emptySales(),
+        variants: {}
+      };
+    }
+    
+    const productSales = productSalesMap[product.id];
+    
+    if (variant && !productSales.variants[variant.id]) {
+      productSales.variants[variant.id] = {
+        variantId: variant.id,
+        name: variant.name,
+        sku: variant.sku,
+        price: variant.price,
+        ...emptySales()
+      };
+    }
+    
+    return variant ? [productSales, productSales.variants[variant.id]] : [productSales];
+  };
+  
+  orders.forEach(order => {
+    order.orderItems.forEach(item => {
+      getSales(item).forEach(sales => {
+        sales.quantitySold += item.quantity;
+        sales.grossRevenue += item.subtotal;
+        sales.discounts += item.discountAmount;
+        sales.revenue += item.subtotal - item.discountAmount;
+      });
+    });
+  });
+  
+  refunds.forEach(orderReturn => {
+    orderReturn.items.forEach(item => {
+      getSales(item.orderItem).forEach(sales => {
+        sales.quantityReturned += item.quantity;
+        sales.refunds += item.refundAmount;
+        sales.revenue -= item.refundAmount;
+      });
+    });
+  });
+  
+  return Object.values(productSalesMap)
+    .map(productSales => ({
+      ...productSales,
+      variants: Object.values(productSales.variants).sort((a, b) => b.revenue - a.revenue)
+    }))
+    .sort((a, b) => b.revenue - a.revenue);
+};
+
+/**
+ * Sum the discounts given on a list of orders per promotion
+ * @param {Array} orders - Orders including their discounts
+ * @returns {Array} Discount totals per promotion, largest first
+ */
+const summarizeDiscounts = (orders) => {
+  const discountMap = {};
+  
+  orders.forEach(order => {
+    order.discounts.forEach(discount => {
+      const key = discount.promotionId || discount.name;
+      
+      if (!discountMap[key]) {
+        discountMap[key] = {
+          promotionId: discount.promotionId,
+          name: discount.name,
+          code: discount.code,
+          orders: 0,
+          amount: 0
+        };
+      }
+      
+      discountMap[key].orders += 1;
+      discountMap[key].amount += discount.amount;
+    });
+  });
+  
+  return Object.values(discountMap).sort((a, b) => b.amount - a.amount);
+};
+
 /**
  * Service to get sales summary with reset periods
  * @param {Object} queryParams - Query parameters for date range
@@ -536,21 +1247,37 @@ const getSalesSummary = async (queryParams = {}) => {
   const dailyTotalSales = await prisma.order.aggregate({
     where: dailyWhere,
     _sum: {
+      subtotalAmount: true,
+      discountAmount: true,
+      taxAmount: true,
+      serviceChargeAmount: true,
+      pointsDiscountAmount: true,
       totalAmount: true
     },
     _count: true
   });
   
-  // Get sales by payment method for today
-  const dailyPaymentMethods = await prisma.order.groupBy({
-    by: ['paymentMethod'],
-    where: dailyWhere,
+  // Get sales by payment method for today, by payment line so split
+  // orders count towards each of their methods
+  const dailyPaymentMethods = await prisma.orderPayment.groupBy({
+    by: ['method'],
+    where: {
+      order: dailyWhere
+    },
     _sum: {
-      totalAmount: true
+      amount: true
     },
     _count: true
   });
   
+  // Refunds are counted as negative revenue on the day they were given
+  const dailyRefunds = await getReturnsInPeriod({ gte: today, lt: tomorrow });
+  const dailyRefundTotal = sumMoney(dailyRefunds.map(orderReturn => orderReturn.refundAmount));
+  
+  // Cards bought from customers are money paid out, not negative sales
+  const dailyBuys = await getBuyTransactionsInPeriod({ gte: today, lt: tomorrow });
+  const dailyBuyTotal = sumMoney(dailyBuys.map(buy => buy.totalAmount));
+  
   // Monthly product sales - reset every month
   const monthlyWhere = {
     order: {
@@ -566,27 +1293,29 @@ const getSalesSummary = async (queryParams = {}) => {
   const monthlyOrderItems = await prisma.orderItem.findMany({
     where: monthlyWhere,
     include: {
-      product: true
+      product: true,
+      variant: true
     }
   });
   
-  // Group by product and sum quantities
-  const salesByProduct = {};
-  monthlyOrderItems.forEach((item) => {
-    if (!salesByProduct[item.productId]) {
-      salesByProduct[item.productId] = {
-        productId: item.productId,
-        name: item.product.name,
-        quantity: 0,
-        totalAmount: 0
-      };
-    }
-    salesByProduct[item.productId].quantity += item.quantity;
-    salesByProduct[item.productId].totalAmount += item.subtotal;
-  });
+  // Sum the units and revenue per product and variant, net of this month's returns
+  const monthlyRefunds = await getReturnsInPeriod({ gte: firstDayOfMonth, lt: firstDayOfNextMonth });
+  const salesByProduct = summarizeProductSales([{ orderItems: monthlyOrderItems }], monthlyRefunds)
+    .map(productSales => ({
+      productId: productSales.productId,
+      name: productSales.name,
+      quantity: productSales.quantitySold - productSales.quantityReturned,
+      totalAmount: productSales.revenue,
+      variants: productSales.variants.map(variantSales => ({
+        variantId: variantSales.variantId,
+        name: variantSales.name,
+        quantity: variantSales.quantitySold - variantSales.quantityReturned,
+        totalAmount: variantSales.revenue
+      }))
+    }));
   
   // Get top 5 selling products for the month
-  const topSellingProducts = Object.values(salesByProduct)
+  const topSellingProducts = salesByProduct
     .sort((a, b) => b.quantity - a.quantity)
     .slice(0, 5);
   
@@ -602,22 +1331,66 @@ const getSalesSummary = async (queryParams = {}) => {
     include: {
       orderItems: {
         include: {
-          product: true
+          product: true,
+          variant: true
         }
       }
     }
   });
   
-  // Format payment methods data
-  const paymentMethodsData = dailyPaymentMethods.map(method => ({
-    method: method.paymentMethod,
-    count: method._count,
-    total: method._sum.totalAmount || 0
-  }));
+  // Format payment methods data, net of refunds and buylist payouts made
+  // through each method
+  const paymentMethodsMap = {};
+  
+  const getPaymentMethodTotals = (method) => {
+    if (!paymentMethodsMap[method]) {
+      paymentMethodsMap[method] = {
+        method,
+        count: 0,
+        refunds: 0,
+        buys: 0,
+        total: 0
+      };
+    }
+    return paymentMethodsMap[method];
+  };
+  
+  dailyPaymentMethods.forEach(method => {
+    const paymentMethodTotals = getPaymentMethodTotals(method.method);
+    paymentMethodTotals.count = method._count;
+    paymentMethodTotals.total += method._sum.amount || 0;
+  });
+  dailyRefunds.forEach(orderReturn => {
+    const paymentMethodTotals = getPaymentMethodTotals(orderReturn.refundMethod);
+    paymentMethodTotals.refunds += orderReturn.refundAmount;
+    paymentMethodTotals.total -= orderReturn.refundAmount;
+  });
+  dailyBuys.forEach(buy => {
+    const paymentMethodTotals = getPaymentMethodTotals(buy.payoutMethod);
+    paymentMethodTotals.buys += buy.totalAmount;
+    paymentMethodTotals.total -= buy.totalAmount;
+  });
+  const paymentMethodsData = Object.values(paymentMethodsMap);
+  
+  // Gross is before discounts, net is after discounts and refunds
+  const dailyGrossSales = dailyTotalSales._sum.subtotalAmount || 0;
+  const dailyDiscounts = dailyTotalSales._sum.discountAmount || 0;
+  const dailyTax = dailyTotalSales._sum.taxAmount || 0;
+  const dailyServiceCharge = dailyTotalSales._sum.serviceChargeAmount || 0;
+  const dailyPointsRedeemed = dailyTotalSales._sum.pointsDiscountAmount || 0;
+  const dailyNetOrderSales = dailyTotalSales._sum.totalAmount || 0;
   
   return {
-    dailyTotalSales: dailyTotalSales._sum.totalAmount || 0,
+    dailyGrossSales,
+    dailyDiscounts,
+    dailyTax,
+    dailyServiceCharge,
+    dailyPointsRedeemed,
+    dailyRefunds: dailyRefundTotal,
+    dailyTotalSales: dailyNetOrderSales - dailyRefundTotal,
     dailyTotalOrders: dailyTotalSales._count || 0,
+    dailyBuys: dailyBuyTotal,
+    dailyBuyCount: dailyBuys.length,
     paymentMethods: paymentMethodsData,
     topSellingProducts,
     recentOrders,
@@ -685,55 +1458,59 @@ const getDailySalesReport = async (date) => {
             include: {
               category: true
             }
-          }
+          },
+          variant: true
         }
-      }
+      },
+      discounts: true,
+      payments: true
     }
   });
   
+  // Find all refunds given on the selected date
+  const refunds = await getReturnsInPeriod({ gte: reportDate, lt: nextDay });
+  
+  // Find all cards bought from customers on the selected date
+  const buys = await getBuyTransactionsInPeriod({ gte: reportDate, lt: nextDay });
+  
   // Calculate totals
-  const totalSales = completedOrders.reduce((sum, order) => sum + order.totalAmount, 0);
+  // Gross is before discounts, net is after discounts, redeemed points and
+  // refunds and includes exclusive tax, service charge and cash rounding
+  const grossSales = sumMoney(completedOrders.map(order => order.subtotalAmount));
+  const totalDiscounts = sumMoney(completedOrders.map(order => order.discountAmount));
+  const totalTax = sumMoney(completedOrders.map(order => order.taxAmount));
+  const totalServiceCharge = sumMoney(completedOrders.map(order => order.serviceChargeAmount));
+  const totalPointsRedeemed = sumMoney(completedOrders.map(order => order.pointsDiscountAmount));
+  const totalCashRounding = sumMoney(completedOrders.map(order => order.cashRoundingAmount));
+  const totalRefunds = sumMoney(refunds.map(orderReturn => orderReturn.refundAmount));
+  const totalSales = sumMoney(completedOrders.map(order => order.totalAmount)) - totalRefunds;
+  const discountsByPromotion = summarizeDiscounts(completedOrders);
+  const taxSummary = summarizeTaxes(completedOrders, refunds);
   const totalOrders = completedOrders.length;
   
-  // Calculate product sales
-  const productSalesMap = {};
+  // Buylist payouts are reported apart from sales
+  const totalBuys = sumMoney(buys.map(buy => buy.totalAmount));
+  const totalItemsBought = buys.reduce((sum, buy) => sum + buy.items.reduce((count, item) => count + item.quantity, 0), 0);
   
-  completedOrders.forEach(order => {
-    order.orderItems.forEach(item => {
-      const { product, quantity, subtotal } = item;
-      
-      if (!productSalesMap[product.id]) {
-        productSalesMap[product.id] = {
-          productId: product.id,
-          name: product.name,
-          category: product.category?.name || 'Unknown',
-          price: product.price,
-          imageUrl: product.imageUrl,
-          quantitySold: 0,
-          revenue: 0
-        };
-      }
-      
-      productSalesMap[product.id].quantitySold += quantity;
-      productSalesMap[product.id].revenue += subtotal;
-    });
-  });
-  
-  const productSales = Object.values(productSalesMap).sort((a, b) => b.revenue - a.revenue);
+  // Calculate product sales, per variant for products sold in variants
+  const productSales = summarizeProductSales(completedOrders, refunds);
   const totalItems = productSales.reduce((sum, product) => sum + product.quantitySold, 0);
   
-  // Calculate sales by payment method
-  const paymentMethodData = await prisma.order.groupBy({
-    by: ['paymentMethod'],
+  // Calculate sales by payment method, by payment line so split orders
+  // count towards each of their methods
+  const paymentMethodData = await prisma.orderPayment.groupBy({
+    by: ['method'],
     where: {
-      status: 'COMPLETED',
-      createdAt: {
-        gte: reportDate,
-        lt: nextDay
+      order: {
+        status: 'COMPLETED',
+        createdAt: {
+          gte: reportDate,
+          lt: nextDay
+        }
       }
     },
     _sum: {
-      totalAmount: true
+      amount: true
     },
     _count: true
   });
@@ -745,33 +1522,81 @@ const getDailySalesReport = async (date) => {
     return map;
   }, {});
   
-  // Format payment methods data
-  const paymentMethods = paymentMethodData.map(method => {
-    const setting = methodSettingsMap[method.paymentMethod];
-    return {
-      method: method.paymentMethod,
-      name: setting ? setting.name : method.paymentMethod,
-      count: method._count,
-      amount: method._sum.totalAmount || 0
-    };
+  // Format payment methods data, net of refunds and buylist payouts made
+  // through each method
+  const paymentMethodsMap = {};
+  
+  const getPaymentMethodSales = (method) => {
+    if (!paymentMethodsMap[method]) {
+      const setting = methodSettingsMap[method];
+      paymentMethodsMap[method] = {
+        method,
+        name: setting ? setting.name : method,
+        count: 0,
+        refunds: 0,
+        buys: 0,
+        amount: 0
+      };
+    }
+    return paymentMethodsMap[method];
+  };
+  
+  paymentMethodData.forEach(method => {
+    const paymentMethodSales = getPaymentMethodSales(method.method);
+    paymentMethodSales.count = method._count;
+    paymentMethodSales.amount += method._sum.amount || 0;
+  });
+  
+  refunds.forEach(orderReturn => {
+    const paymentMethodSales = getPaymentMethodSales(orderReturn.refundMethod);
+    paymentMethodSales.refunds += orderReturn.refundAmount;
+    paymentMethodSales.amount -= orderReturn.refundAmount;
+  });
+  
+  buys.forEach(buy => {
+    const paymentMethodSales = getPaymentMethodSales(buy.payoutMethod);
+    paymentMethodSales.buys += buy.totalAmount;
+    paymentMethodSales.amount -= buy.totalAmount;
   });
   
+  const paymentMethods = Object.values(paymentMethodsMap);
+  
   // Calculate sales by category
   const categoryMap = {};
+  
+  const getCategorySales = (categoryName) => {
+    if (!categoryMap[categoryName]) {
+      categoryMap[categoryName] = {
+        name: categoryName,
+        itemsSold: 0,
+        itemsReturned: 0,
+        grossRevenue: 0,
+        discounts: 0,
+        refunds: 0,
+        revenue: 0
+      };
+    }
+    return categoryMap[categoryName];
+  };
+  
   completedOrders.forEach(order => {
     order.orderItems.forEach(item => {
-      const categoryName = item.product.category?.name || 'Unknown';
+      const categorySales = getCategorySales(item.product.category?.name || 'Unknown');
       
-      if (!categoryMap[categoryName]) {
-        categoryMap[categoryName] = {
-          name: categoryName,
-          itemsSold: 0,
-          revenue: 0
-        };
-      }
+      categorySales.itemsSold += item.quantity;
+      categorySales.grossRevenue += item.subtotal;
+      categorySales.discounts += item.discountAmount;
+      categorySales.revenue += item.subtotal - item.discountAmount;
+    });
+  });
+  
+  refunds.forEach(orderReturn => {
+    orderReturn.items.forEach(item => {
+      const categorySales = getCategorySales(item.orderItem.product.category?.name || 'Unknown');
       
-      categoryMap[categoryName].itemsSold += item.quantity;
-      categoryMap[categoryName].revenue += item.subtotal;
+      categorySales.itemsReturned += item.quantity;
+      categorySales.refunds += item.refundAmount;
+      categorySales.revenue -= item.refundAmount;
     });
   });
   
@@ -779,18 +1604,55 @@ const getDailySalesReport = async (date) => {
   
   return {
     date: reportDate,
+    grossSales,
+    totalDiscounts,
+    totalTax,
+    totalServiceCharge,
+    totalPointsRedeemed,
+    totalCashRounding,
+    totalRefunds,
     totalSales,
     totalOrders,
     totalItems,
+    totalBuys,
+    totalItemsBought,
     paymentMethods,
     productSales,
     categorySales,
+    discountsByPromotion,
+    taxSummary,
     orders: completedOrders.map(order => ({
       id: order.id,
       customerName: order.customerName,
+      subtotalAmount: order.subtotalAmount,
+      discountAmount: order.discountAmount,
+      taxAmount: order.taxAmount,
+      serviceChargeAmount: order.serviceChargeAmount,
+      pointsDiscountAmount: order.pointsDiscountAmount,
+      cashRoundingAmount: order.cashRoundingAmount,
       totalAmount: order.totalAmount,
       paymentMethod: order.paymentMethod,
+      payments: order.payments.map(payment => ({
+        method: payment.method,
+        amount: payment.amount
+      })),
       createdAt: order.createdAt
+    })),
+    refunds: refunds.map(orderReturn => ({
+      id: orderReturn.id,
+      orderId: orderReturn.orderId,
+      refundAmount: orderReturn.refundAmount,
+      refundMethod: orderReturn.refundMethod,
+      reason: orderReturn.reason,
+      createdAt: orderReturn.createdAt
+    })),
+    buys: buys.map(buy => ({
+      id: buy.id,
+      customerId: buy.customerId,
+      sellerName: buy.sellerName,
+      totalAmount: buy.totalAmount,
+      payoutMethod: buy.payoutMethod,
+      createdAt: buy.createdAt
     }))
   };
 };
@@ -829,81 +1691,178 @@ const getDateRangeSalesReport = async (params = {}) => {
             include: {
               category: true
             }
-          }
+          },
+          variant: true
         }
-      }
+      },
+      discounts: true,
+      payments: true
     },
     orderBy: {
       createdAt: 'asc'
     }
   });
   
+  // Find all refunds given in the date range
+  const refunds = await getReturnsInPeriod({ gte: start, lte: end });
+  
+  // Find all cards bought from customers in the date range
+  const buys = await getBuyTransactionsInPeriod({ gte: start, lte: end });
+  
   // Calculate daily totals
   const dailyTotals = {};
-  completedOrders.forEach(order => {
-    const dateStr = order.createdAt.toISOString().split('T')[0];
+  
+  const getDailyTotals = (date) => {
+    const dateStr = date.toISOString().split('T')[0];
     if (!dailyTotals[dateStr]) {
       dailyTotals[dateStr] = {
         date: dateStr,
         sales: 0,
-        orders: 0
+        refunds: 0,
+        orders: 0,
+        buys: 0
       };
     }
-    dailyTotals[dateStr].sales += order.totalAmount;
-    dailyTotals[dateStr].orders += 1;
+    return dailyTotals[dateStr];
+  };
+  
+  completedOrders.forEach(order => {
+    const day = getDailyTotals(order.createdAt);
+    day.sales += order.totalAmount;
+    day.orders += 1;
   });
   
-  const dailySales = Object.values(dailyTotals);
+  refunds.forEach(orderReturn => {
+    const day = getDailyTotals(orderReturn.createdAt);
+    day.refunds += orderReturn.refundAmount;
+    day.sales -= orderReturn.refundAmount;
+  });
+  
+  buys.forEach(buy => {
+    getDailyTotals(buy.createdAt).buys += buy.totalAmount;
+  });
+  
+  const dailySales = Object.values(dailyTotals).sort((a, b) => a.date.localeCompare(b.date));
   
   // Calculate totals
-  const totalSales = completedOrders.reduce((sum, order) => sum + order.totalAmount, 0);
+  // Gross is before discounts, net is after discounts, redeemed points and
+  // refunds and includes exclusive tax, service charge and cash rounding
+  const grossSales = sumMoney(completedOrders.map(order => order.subtotalAmount));
+  const totalDiscounts = sumMoney(completedOrders.map(order => order.discountAmount));
+  const totalTax = sumMoney(completedOrders.map(order => order.taxAmount));
+  const totalServiceCharge = sumMoney(completedOrders.map(order => order.serviceChargeAmount));
+  const totalPointsRedeemed = sumMoney(completedOrders.map(order => order.pointsDiscountAmount));
+  const totalCashRounding = sumMoney(completedOrders.map(order => order.cashRoundingAmount));
+  const totalRefunds = sumMoney(refunds.map(orderReturn => orderReturn.refundAmount));
+  const totalSales = sumMoney(completedOrders.map(order => order.totalAmount)) - totalRefunds;
+  const discountsByPromotion = summarizeDiscounts(completedOrders);
+  const taxSummary = summarizeTaxes(completedOrders, refunds);
   const totalOrderCount = completedOrders.length;
+  const totalBuys = sumMoney(buys.map(buy => buy.totalAmount));
   
   // Calculate payment method breakdown
   const paymentMethodMap = {};
-  completedOrders.forEach(order => {
-    if (!paymentMethodMap[order.paymentMethod]) {
-      paymentMethodMap[order.paymentMethod] = {
-        method: order.paymentMethod,
+  
+  const getPaymentMethodSales = (method) => {
+    if (!paymentMethodMap[method]) {
+      paymentMethodMap[method] = {
+        method,
         count: 0,
+        refunds: 0,
+        buys: 0,
         amount: 0
       };
     }
-    paymentMethodMap[order.paymentMethod].count += 1;
-    paymentMethodMap[order.paymentMethod].amount += order.totalAmount;
+    return paymentMethodMap[method];
+  };
+  
+  // Split orders count towards each of their payment methods
+  completedOrders.forEach(order => {
+    order.payments.forEach(payment => {
+      const paymentMethodSales = getPaymentMethodSales(payment.method);
+      paymentMethodSales.count += 1;
+      paymentMethodSales.amount += payment.amount;
+    });
+  });
+  
+  refunds.forEach(orderReturn => {
+    const paymentMethodSales = getPaymentMethodSales(orderReturn.refundMethod);
+    paymentMethodSales.refunds += orderReturn.refundAmount;
+    paymentMethodSales.amount -= orderReturn.refundAmount;
+  });
+  
+  buys.forEach(buy => {
+    const paymentMethodSales = getPaymentMethodSales(buy.payoutMethod);
+    paymentMethodSales.buys += buy.totalAmount;
+    paymentMethodSales.amount -= buy.totalAmount;
   });
   
   const paymentMethods = Object.values(paymentMethodMap);
   
   // Calculate category breakdown
   const categoryMap = {};
+  
+  const getCategorySales = (categoryName) => {
+    if (!categoryMap[categoryName]) {
+      categoryMap[categoryName] = {
+        name: categoryName,
+        itemsSold: 0,
+        itemsReturned: 0,
+        grossRevenue: 0,
+        discounts: 0,
+        refunds: 0,
+        revenue: 0
+      };
+    }
+    return categoryMap[categoryName];
+  };
+  
   completedOrders.forEach(order => {
     order.orderItems.forEach(item => {
-      const categoryName = item.product.category?.name || 'Unknown';
+      const categorySales = getCategorySales(item.product.category?.name || 'Unknown');
       
-      if (!categoryMap[categoryName]) {
-        categoryMap[categoryName] = {
-          name: categoryName,
-          itemsSold: 0,
-          revenue: 0
-        };
-      }
+      categorySales.itemsSold += item.quantity;
+      categorySales.grossRevenue += item.subtotal;
+      categorySales.discounts += item.discountAmount;
+      categorySales.revenue += item.subtotal - item.discountAmount;
+    });
+  });
+  
+  refunds.forEach(orderReturn => {
+    orderReturn.items.forEach(item => {
+      const categorySales = getCategorySales(item.orderItem.product.category?.name || 'Unknown');
       
-      categoryMap[categoryName].itemsSold += item.quantity;
-      categoryMap[categoryName].revenue += item.subtotal;
+      categorySales.itemsReturned += item.quantity;
+      categorySales.refunds += item.refundAmount;
+      categorySales.revenue -= item.refundAmount;
     });
   });
   
   const categorySales = Object.values(categoryMap);
   
+  // Product sales, per variant for products sold in variants
+  const productSales = summarizeProductSales(completedOrders, refunds);
+  
   return {
     startDate,
     endDate,
+    grossSales,
+    totalDiscounts,
+    totalTax,
+    totalServiceCharge,
+    totalPointsRedeemed,
+    totalCashRounding,
+    totalRefunds,
     totalSales,
     totalOrderCount,
+    totalBuys,
+    totalBuyCount: buys.length,
     dailySales,
     paymentMethods,
-    categorySales
+    productSales,
+    categorySales,
+    discountsByPromotion,
+    taxSummary
   };
 };
 
@@ -911,10 +1870,15 @@ module.exports = {
   createOrder,
   uploadPaymentProof,
   verifyPayment,
+  rejectPayment,
   completeOrder,
   cancelOrder,
+  expirePendingOrders,
+  getOrderHistory,
   getAllOrders,
+  resolveOrderId,
   getOrderById,
+  getPaymentProofUrl,
   getPendingOrdersCount,
   getSalesSummary,
   getPaymentMethods,
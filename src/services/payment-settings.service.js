@@ -1,8 +1,7 @@
 // src/services/payment-settings.service.js
 const { prisma } = require('../config/db');
 const config = require('../config/app');
-const fs = require('fs');
-const path = require('path');
+const storage = require('../storage');
 
 /**
  * Service to get all payment method settings
@@ -57,6 +56,19 @@ const updatePaymentMethodSetting = async (id, data) => {
     throw new Error('Payment method setting not found');
   }
   
+  // An empty timeout means pending orders of this method never expire
+  let pendingTimeoutMinutes = setting.pendingTimeoutMinutes;
+  
+  if (data.pendingTimeoutMinutes !== undefined) {
+    pendingTimeoutMinutes = data.pendingTimeoutMinutes === null || data.pendingTimeoutMinutes === ''
+      ? null
+      : Number(data.pendingTimeoutMinutes);
+    
+    if (pendingTimeoutMinutes !== null && (!Number.isInteger(pendingTimeoutMinutes) || pendingTimeoutMinutes < 1)) {
+      throw new Error('Invalid pendingTimeoutMinutes: must be a positive whole number or empty');
+    }
+  }
+  
   const updatedSetting = await prisma.paymentMethodSetting.update({
     where: { id: parseInt(id) },
     data: {
@@ -65,6 +77,7 @@ const updatePaymentMethodSetting = async (id, data) => {
       isEnabled: data.isEnabled !== undefined ? data.isEnabled : setting.isEnabled,
       requiresProof: data.requiresProof !== undefined ? data.requiresProof : setting.requiresProof,
       sortOrder: data.sortOrder !== undefined ? data.sortOrder : setting.sortOrder,
+      pendingTimeoutMinutes,
       bankName: data.bankName,
       accountNumber: data.accountNumber,
       accountHolder: data.accountHolder
@@ -113,24 +126,32 @@ const uploadQrisImage = async (id, fileInfo) => {
     throw new Error('QRIS image can only be uploaded for QRIS payment method');
   }
   
-  // Create relative path for the QRIS image
-  const relativePath = `/${config.uploads.dir}/qris/${fileInfo.filename}`;
+  // Store the new QRIS image
+  const imageKey = await storage.putFile(storage.generateKey(config.uploads.qris, 'qris'), fileInfo.buffer, {
+    contentType: fileInfo.mimetype
+  });
   
-  // Delete old QRIS image if exists
-  if (setting.qrisImageUrl) {
-    const oldImagePath = path.join(__dirname, '../../', setting.qrisImageUrl);
-    if (fs.existsSync(oldImagePath)) {
-      fs.unlinkSync(oldImagePath);
-    }
+  // Update QRIS image URL
+  let updatedSetting;
+  
+  try {
+    updatedSetting = await prisma.paymentMethodSetting.update({
+      where: { id: parseInt(id) },
+      data: {
+        qrisImageUrl: storage.getPublicUrl(imageKey)
+      }
+    });
+  } catch (error) {
+    await storage.deleteFile(imageKey);
+    throw error;
   }
   
-  // Update QRIS image URL
-  const updatedSetting = await prisma.paymentMethodSetting.update({
-    where: { id: parseInt(id) },
-    data: {
-      qrisImageUrl: relativePath
-    }
-  });
+  // Delete old QRIS image if exists
+  const oldImageKey = storage.getKeyFromPublicUrl(setting.qrisImageUrl);
+  
+  if (oldImageKey) {
+    await storage.deleteFile(oldImageKey);
+  }
   
   return updatedSetting;
 };
@@ -0,0 +1,126 @@
+// src/services/product-barcode.service.js
+const { isGtin, hasValidCheckDigit } = require('../utils/barcode');
+
+// Printable characters without spaces, as scanners send them
+const BARCODE_PATTERN = /^[\x21-\x7e]{1,48}$/;
+
+/**
+ * Parse the barcodes of a product or variant
+ * @param {Array<string>|string} value - Codes as a list, or separated by commas
+ * or whitespace (multipart forms)
+ * @returns {Array<string>} Distinct codes
+ */
+const parseBarcodes = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return [];
+  }
+
+  const codes = (Array.isArray(value) ? value : String(value).split(/[\s,]+/))
+    .map(code => String(code).trim())
+    .filter(Boolean);
+
+  codes.forEach(code => {
+    if (!BARCODE_PATTERN.test(code)) {
+      throw new Error(`Invalid barcode: ${code}`);
+    }
+
+    if (isGtin(code) && !hasValidCheckDigit(code)) {
+      throw new Error(`Invalid barcode: the check digit of ${code} is wrong`);
+    }
+  });
+
+  return [...new Set(codes)];
+};
+
+/**
+ * Normalize a SKU from request data
+ * @param {string|null} value - SKU; empty for none
+ * @returns {string|null} SKU
+ */
+const normalizeSku = (value) => {
+  return value === undefined || value === null || String(value).trim() === '' ? null : String(value).trim();
+};
+
+/**
+ * Check that a SKU isn't used by another product or variant.
+ * Products and variants share one SKU space so a scanned SKU has one match.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {string|null} sku - SKU
+ * @param {Object} owner - productId or variantId of the record being saved
+ */
+const assertSkuAvailable = async (client, sku, { productId = null, variantId = null } = {}) => {
+  if (!sku) {
+    return;
+  }
+
+  const product = await client.product.findUnique({
+    where: { sku }
+  });
+
+  const variant = await client.productVariant.findUnique({
+    where: { sku }
+  });
+
+  if ((product && product.id !== productId) || (variant && variant.id !== variantId)) {
+    throw new Error('A product or variant with this SKU already exists');
+  }
+};
+
+/**
+ * Check that barcodes aren't used by another product or variant
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Array<string>} codes - Barcodes
+ * @param {Object} owner - productId and variantId the barcodes are saved for
+ */
+const assertBarcodesAvailable = async (client, codes, { productId = null, variantId = null } = {}) => {
+  if (codes.length === 0) {
+    return;
+  }
+
+  const usedBarcode = await client.productBarcode.findFirst({
+    where: {
+      code: { in: codes },
+      // Spelled out rather than NOT { productId, variantId }: SQL compares a
+      // NULL variantId as unknown, which would hide the product's own barcodes
+      // from its variants and the other way round
+      OR: [
+        { productId: { not: productId || 0 } },
+        { variantId: variantId === null ? { not: null } : { not: variantId } },
+        ...(variantId === null ? [] : [{ variantId: null }])
+      ]
+    }
+  });
+
+  if (usedBarcode) {
+    throw new Error(`Barcode ${usedBarcode.code} is already used by another product`);
+  }
+};
+
+/**
+ * Replace the barcodes of a product (variantId null) or of one of its variants
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} productId - Product ID
+ * @param {number|null} variantId - Variant ID
+ * @param {Array<string>} codes - New barcodes
+ */
+const replaceBarcodes = async (tx, productId, variantId, codes) => {
+  await assertBarcodesAvailable(tx, codes, { productId, variantId });
+
+  await tx.productBarcode.deleteMany({
+    where: { productId, variantId }
+  });
+
+  if (codes.length > 0) {
+    await tx.productBarcode.createMany({
+      data: codes.map(code => ({ code, productId, variantId }))
+    });
+  }
+};
+
+module.exports = {
+  parseBarcodes,
+  normalizeSku,
+  assertSkuAvailable,
+  assertBarcodesAvailable,
+  replaceBarcodes
+};
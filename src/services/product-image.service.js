@@ -0,0 +1,439 @@
+// src/services/product-image.service.js
+const { prisma } = require('../config/db');
+const config = require('../config/app');
+const storage = require('../storage');
+const {
+  IMAGE_VARIANTS,
+  IMAGE_FORMATS,
+  getVariantKey,
+  createImageVariants
+} = require('../utils/image-variants');
+
+// Order in which the images of a product are shown
+const PRODUCT_IMAGE_ORDER = [{ sortOrder: 'asc' }, { id: 'asc' }];
+
+/**
+ * Add the URL of every size and format to a product image
+ * @param {Object} image - Product image
+ * @returns {Object} Image with variants, e.g. variants.medium.webp
+ */
+const withVariantUrls = (image) => {
+  const variants = {};
+
+  Object.keys(IMAGE_VARIANTS).forEach(variant => {
+    variants[variant] = {};
+
+    Object.keys(IMAGE_FORMATS).forEach(format => {
+      variants[variant][format] = storage.getPublicUrl(getVariantKey(image.storageKey, variant, format));
+    });
+  });
+
+  return {
+    ...image,
+    variants
+  };
+};
+
+/**
+ * Add the variant URLs to the images of a product
+ * @param {Object} product - Product, optionally including images
+ * @returns {Object} Product with image variant URLs
+ */
+const withImageUrls = (product) => {
+  if (!product || !product.images) {
+    return product;
+  }
+
+  return {
+    ...product,
+    images: product.images.map(withVariantUrls)
+  };
+};
+
+/**
+ * Generate and store every variant of an uploaded image
+ * @param {Object} fileInfo - Upload with buffer
+ * @returns {Promise<Object>} storageKey, width and height of the full variant
+ */
+const storeImageFiles = async (fileInfo) => {
+  const storageKey = storage.generateKey(config.uploads.products, 'product', null);
+  let files;
+
+  try {
+    files = await createImageVariants(fileInfo.buffer);
+  } catch (error) {
+    throw new Error(`Invalid images: ${fileInfo.originalname || 'upload'} could not be read as an image`);
+  }
+
+  for (const file of files) {
+    await storage.putFile(getVariantKey(storageKey, file.variant, file.format), file.body, {
+      contentType: file.contentType
+    });
+  }
+
+  const full = files.find(file => file.variant === 'full');
+
+  return {
+    storageKey,
+    width: full.width,
+    height: full.height
+  };
+};
+
+/**
+ * Delete every variant of an image
+ * @param {string} storageKey - Storage key the variants share
+ */
+const removeImageFiles = async (storageKey) => {
+  for (const variant of Object.keys(IMAGE_VARIANTS)) {
+    for (const format of Object.keys(IMAGE_FORMATS)) {
+      await storage.deleteFile(getVariantKey(storageKey, variant, format));
+    }
+  }
+};
+
+/**
+ * Lock a product so changes to its images are made one at a time
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} productId - Product ID
+ * @returns {Object} Product with its images
+ */
+const lockProductImages = async (tx, productId) => {
+  await tx.$queryRaw`
+    SELECT "id" FROM "Product" WHERE "id" = ${productId} FOR UPDATE
+  `;
+
+  const product = await tx.product.findUnique({
+    where: { id: productId },
+    include: {
+      images: {
+        orderBy: PRODUCT_IMAGE_ORDER
+      }
+    }
+  });
+
+  if (!product) {
+    throw new Error('Product not found');
+  }
+
+  return product;
+};
+
+/**
+ * URL stored in Product.imageUrl for a primary image: its full JPEG
+ * @param {Object|null} image - Primary image with storageKey
+ * @returns {string|null} Image URL
+ */
+const getPrimaryImageUrl = (image) => {
+  return image ? storage.getPublicUrl(getVariantKey(image.storageKey, 'full', 'jpeg')) : null;
+};
+
+/**
+ * Point Product.imageUrl at the full JPEG of the primary image
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} product - Product as locked, with imageUrl
+ * @returns {string|null} Storage key of an old single image that is no longer used
+ */
+const syncPrimaryImageUrl = async (tx, product) => {
+  const images = await tx.productImage.findMany({
+    where: { productId: product.id },
+    orderBy: PRODUCT_IMAGE_ORDER
+  });
+
+  const imageUrl = getPrimaryImageUrl(images.find(image => image.isPrimary));
+
+  if (imageUrl !== product.imageUrl) {
+    await tx.product.update({
+      where: { id: product.id },
+      data: { imageUrl }
+    });
+  }
+
+  // An image uploaded before products had several images isn't a variant of
+  // any image, so its file is removed once it is replaced
+  const oldKey = storage.getKeyFromPublicUrl(product.imageUrl);
+  const isVariant = oldKey && product.images.some(image => oldKey.startsWith(`${image.storageKey}-`));
+
+  return oldKey && !isVariant && imageUrl !== product.imageUrl ? oldKey : null;
+};
+
+/**
+ * Get the images of a product in display order
+ * @param {number} productId - Product ID
+ * @returns {Promise<Array>} Images with variant URLs
+ */
+const getImages = async (productId) => {
+  const images = await prisma.productImage.findMany({
+    where: { productId },
+    orderBy: PRODUCT_IMAGE_ORDER
+  });
+
+  return images.map(withVariantUrls);
+};
+
+/**
+ * Add stored images to a product, after its existing images
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} productId - Product ID
+ * @param {Array<Object>} stored - Images from storeImageFiles
+ * @param {Object} options - altText and makePrimary
+ * @returns {Promise<string|null>} Storage key of an old single image that is
+ * no longer used, to delete once the transaction is committed
+ */
+const attachProductImages = async (tx, productId, stored, { altText = null, makePrimary = false } = {}) => {
+  const lockedProduct = await lockProductImages(tx, productId);
+  const hasPrimary = lockedProduct.images.some(image => image.isPrimary);
+  const nextSortOrder = lockedProduct.images.reduce((max, image) => Math.max(max, image.sortOrder + 1), 0);
+  const setPrimary = makePrimary || !hasPrimary;
+
+  if (setPrimary && hasPrimary) {
+    await tx.productImage.updateMany({
+      where: { productId, isPrimary: true },
+      data: { isPrimary: false }
+    });
+  }
+
+  for (const [index, image] of stored.entries()) {
+    await tx.productImage.create({
+      data: {
+        productId,
+        storageKey: image.storageKey,
+        width: image.width,
+        height: image.height,
+        altText,
+        sortOrder: nextSortOrder + index,
+        isPrimary: setPrimary && index === 0
+      }
+    });
+  }
+
+  return syncPrimaryImageUrl(tx, lockedProduct);
+};
+
+/**
+ * Service to add uploaded images to a product.
+ * The images go after the existing ones. The first one becomes the primary
+ * image when the product has none yet, or when makePrimary is set.
+ * @param {number} productId - Product ID
+ * @param {Array<Object>} files - Uploaded files with buffer
+ * @param {Object} options - altText and makePrimary
+ * @returns {Promise<Array>} All images of the product
+ */
+const addProductImages = async (productId, files, { altText = null, makePrimary = false } = {}) => {
+  const id = parseInt(productId, 10);
+
+  if (!files || files.length === 0) {
+    throw new Error('Invalid images: at least one image file is required');
+  }
+
+  const product = await prisma.product.findUnique({
+    where: { id }
+  });
+
+  if (!product) {
+    throw new Error('Product not found');
+  }
+
+  // Variants are generated before the transaction, so it isn't held open
+  // while images are processed
+  const stored = [];
+
+  try {
+    for (const file of files) {
+      stored.push(await storeImageFiles(file));
+    }
+  } catch (error) {
+    for (const image of stored) {
+      await removeImageFiles(image.storageKey);
+    }
+    throw error;
+  }
+
+  let replacedKey;
+
+  try {
+    replacedKey = await prisma.$transaction(async (prisma) => {
+      return attachProductImages(prisma, id, stored, { altText, makePrimary });
+    });
+  } catch (error) {
+    for (const image of stored) {
+      await removeImageFiles(image.storageKey);
+    }
+    throw error;
+  }
+
+  if (replacedKey) {
+    await storage.deleteFile(replacedKey);
+  }
+
+  return getImages(id);
+};
+
+/**
+ * Service to change the alt text, position or primary flag of an image
+ * @param {number} productId - Product ID
+ * @param {number} imageId - Image ID
+ * @param {Object} imageData - altText, sortOrder and isPrimary (only true; make
+ * another image primary to move the flag)
+ * @returns {Promise<Array>} All images of the product
+ */
+const updateProductImage = async (productId, imageId, imageData) => {
+  const id = parseInt(productId, 10);
+  const { altText, sortOrder, isPrimary } = imageData;
+
+  const updateFields = {};
+
+  if (altText !== undefined) updateFields.altText = altText || null;
+
+  if (sortOrder !== undefined) {
+    const position = parseInt(sortOrder, 10);
+
+    if (isNaN(position) || position < 0) {
+      throw new Error('Invalid sortOrder: must be a whole number of zero or more');
+    }
+
+    updateFields.sortOrder = position;
+  }
+
+  if (isPrimary !== undefined && String(isPrimary) !== 'true') {
+    throw new Error('Invalid isPrimary: make another image primary instead');
+  }
+
+  const replacedKey = await prisma.$transaction(async (prisma) => {
+    const product = await lockProductImages(prisma, id);
+    const image = product.images.find(i => i.id === parseInt(imageId, 10));
+
+    if (!image) {
+      throw new Error(`Image with ID ${imageId} not found for this product`);
+    }
+
+    if (isPrimary !== undefined) {
+      await prisma.productImage.updateMany({
+        where: { productId: id, isPrimary: true },
+        data: { isPrimary: false }
+      });
+      updateFields.isPrimary = true;
+    }
+
+    await prisma.productImage.update({
+      where: { id: image.id },
+      data: updateFields
+    });
+
+    return syncPrimaryImageUrl(prisma, product);
+  });
+
+  if (replacedKey) {
+    await storage.deleteFile(replacedKey);
+  }
+
+  return getImages(id);
+};
+
+/**
+ * Service to put the images of a product in a new order
+ * @param {number} productId - Product ID
+ * @param {Array<number>} imageIds - Every image ID of the product, in the new order
+ * @returns {Promise<Array>} All images of the product
+ */
+const reorderProductImages = async (productId, imageIds) => {
+  const id = parseInt(productId, 10);
+
+  if (!Array.isArray(imageIds)) {
+    throw new Error('Invalid imageIds: must be a list of image IDs');
+  }
+
+  const orderedIds = imageIds.map(imageId => parseInt(imageId, 10));
+
+  await prisma.$transaction(async (prisma) => {
+    const product = await lockProductImages(prisma, id);
+    const currentIds = product.images.map(image => image.id);
+
+    if (orderedIds.length !== currentIds.length ||
+        new Set(orderedIds).size !== orderedIds.length ||
+        !orderedIds.every(imageId => currentIds.includes(imageId))) {
+      throw new Error('Invalid imageIds: must list every image of the product once');
+    }
+
+    for (const [index, imageId] of orderedIds.entries()) {
+      await prisma.productImage.update({
+        where: { id: imageId },
+        data: { sortOrder: index }
+      });
+    }
+  });
+
+  return getImages(id);
+};
+
+/**
+ * Service to delete an image of a product.
+ * When the primary image is deleted the next image becomes primary.
+ * @param {number} productId - Product ID
+ * @param {number} imageId - Image ID
+ * @returns {Promise<Array>} Remaining images of the product
+ */
+const deleteProductImage = async (productId, imageId) => {
+  const id = parseInt(productId, 10);
+
+  const image = await prisma.$transaction(async (prisma) => {
+    const product = await lockProductImages(prisma, id);
+    const deletedImage = product.images.find(i => i.id === parseInt(imageId, 10));
+
+    if (!deletedImage) {
+      throw new Error(`Image with ID ${imageId} not found for this product`);
+    }
+
+    await prisma.productImage.delete({
+      where: { id: deletedImage.id }
+    });
+
+    const nextImage = product.images.find(i => i.id !== deletedImage.id);
+
+    if (deletedImage.isPrimary && nextImage) {
+      await prisma.productImage.update({
+        where: { id: nextImage.id },
+        data: { isPrimary: true }
+      });
+    }
+
+    await syncPrimaryImageUrl(prisma, product);
+
+    return deletedImage;
+  });
+
+  await removeImageFiles(image.storageKey);
+
+  return getImages(id);
+};
+
+/**
+ * Delete the image files of a product, after the product is deleted
+ * @param {Object} product - Deleted product with imageUrl and images
+ */
+const removeProductImageFiles = async (product) => {
+  for (const image of product.images) {
+    await removeImageFiles(image.storageKey);
+  }
+
+  // An image uploaded before products had several images
+  const oldKey = storage.getKeyFromPublicUrl(product.imageUrl);
+
+  if (oldKey && !product.images.some(image => oldKey.startsWith(`${image.storageKey}-`))) {
+    await storage.deleteFile(oldKey);
+  }
+};
+
+module.exports = {
+  PRODUCT_IMAGE_ORDER,
+  withImageUrls,
+  storeImageFiles,
+  removeImageFiles,
+  getPrimaryImageUrl,
+  attachProductImages,
+  addProductImages,
+  updateProductImage,
+  reorderProductImages,
+  deleteProductImage,
+  removeProductImageFiles
+};
@@ -0,0 +1,367 @@
+// src/services/product-variant.service.js
+const { prisma } = require('../config/db');
+const { withAvailableStock } = require('./stock.service');
+const { parseMoney } = require('../utils/money');
+const {
+  parseBarcodes,
+  normalizeSku,
+  assertSkuAvailable,
+  replaceBarcodes
+} = require('./product-barcode.service');
+
+// Option types, values and variants included with a product
+const PRODUCT_VARIANT_INCLUDE = {
+  optionTypes: {
+    orderBy: { sortOrder: 'asc' },
+    include: {
+      values: {
+        orderBy: { sortOrder: 'asc' }
+      }
+    }
+  },
+  variants: {
+    orderBy: { id: 'asc' },
+    include: {
+      optionValues: true,
+      barcodes: true
+    }
+  }
+};
+
+/**
+ * Add the available stock figure to the variants of a product
+ * @param {Object} product - Product, optionally including variants
+ * @returns {Object} Product with availableStock on each variant
+ */
+const withVariantStock = (product) => {
+  if (!product || !product.variants) {
+    return product;
+  }
+
+  return {
+    ...product,
+    variants: product.variants.map(withAvailableStock)
+  };
+};
+
+/**
+ * Parse the option values of a variant, e.g. { Color: 'Black', Size: '66x91' }
+ * @param {Object} options - Option type names and values
+ * @returns {Array<Array<string>>} Option type name and value pairs
+ */
+const parseOptions = (options) => {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    throw new Error('Invalid variant options: must map option names to values, e.g. { "Color": "Black" }');
+  }
+
+  const entries = Object.entries(options).map(([name, value]) => [String(name).trim(), String(value ?? '').trim()]);
+
+  if (entries.length === 0 || entries.some(([name, value]) => !name || !value)) {
+    throw new Error('Invalid variant options: every option needs a name and a value');
+  }
+
+  return entries;
+};
+
+/**
+ * Parse a variant stock figure
+ * @param {*} value - Stock
+ * @returns {number} Stock
+ */
+const parseStock = (value) => {
+  const stock = parseInt(value, 10);
+
+  if (isNaN(stock) || stock < 0) {
+    throw new Error('Invalid stock: must be a whole number of zero or more');
+  }
+
+  return stock;
+};
+
+/**
+ * Check that an image belongs to the product
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} productId - Product ID
+ * @param {*} imageId - Image ID; empty for none
+ * @returns {Promise<number|null>} Image ID
+ */
+const resolveImageId = async (tx, productId, imageId) => {
+  if (imageId === null || imageId === '') {
+    return null;
+  }
+
+  const image = await tx.productImage.findFirst({
+    where: {
+      id: parseInt(imageId, 10) || 0,
+      productId
+    }
+  });
+
+  if (!image) {
+    throw new Error(`Image with ID ${imageId} not found for this product`);
+  }
+
+  return image.id;
+};
+
+/**
+ * Lock a product so its variants are changed one at a time
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} productId - Product ID
+ * @returns {Promise<Object>} Product with option types and variants
+ */
+const lockProductVariants = async (tx, productId) => {
+  await tx.$queryRaw`
+    SELECT "id" FROM "Product" WHERE "id" = ${productId} FOR UPDATE
+  `;
+
+  const product = await tx.product.findUnique({
+    where: { id: productId },
+    include: PRODUCT_VARIANT_INCLUDE
+  });
+
+  if (!product) {
+    throw new Error('Product not found');
+  }
+
+  return product;
+};
+
+/**
+ * Find or create the option values of a new variant.
+ * The first variant of a product decides its option types; later variants
+ * must give a value for each of them.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} product - Locked product with option types and variants
+ * @param {Array<Array<string>>} options - Option type name and value pairs
+ * @returns {Promise<Array<Object>>} Option values in option type order
+ */
+const resolveOptionValues = async (tx, product, options) => {
+  const optionTypes = product.variants.length > 0 ? product.optionTypes : [];
+  const names = options.map(([name]) => name);
+
+  if (optionTypes.length > 0 && (names.length !== optionTypes.length ||
+      !optionTypes.every(optionType => names.includes(optionType.name)))) {
+    throw new Error(`Invalid variant options: variants of this product are chosen by ${optionTypes.map(optionType => optionType.name).join(', ')}`);
+  }
+
+  if (optionTypes.length === 0 && product.optionTypes.length > 0) {
+    // Option types left over from deleted variants are replaced
+    await tx.productOptionType.deleteMany({
+      where: { productId: product.id }
+    });
+  }
+
+  const values = [];
+
+  for (const [index, [name, value]] of options.entries()) {
+    const optionType = optionTypes.find(type => type.name === name) ||
+      await tx.productOptionType.create({
+        data: {
+          productId: product.id,
+          name,
+          sortOrder: index
+        },
+        include: { values: true }
+      });
+
+    const optionValue = optionType.values.find(existing => existing.value === value) ||
+      await tx.productOptionValue.create({
+        data: {
+          optionTypeId: optionType.id,
+          value,
+          sortOrder: optionType.values.length
+        }
+      });
+
+    values.push({ ...optionValue, typeOrder: optionType.sortOrder });
+  }
+
+  return values.sort((a, b) => a.typeOrder - b.typeOrder);
+};
+
+/**
+ * Get the variants of a product after a change
+ * @param {number} productId - Product ID
+ * @returns {Promise<Array>} Variants with available stock
+ */
+const getVariants = async (productId) => {
+  const variants = await prisma.productVariant.findMany({
+    where: { productId },
+    ...PRODUCT_VARIANT_INCLUDE.variants
+  });
+
+  return variants.map(withAvailableStock);
+};
+
+/**
+ * Service to add a variant to a product.
+ * Once a product has variants its stock is the total of its variants, so
+ * the first variant replaces the product's own stock.
+ * @param {number} productId - Product ID
+ * @param {Object} variantData - options, sku, barcodes, price (defaults to the
+ * product price), stock and imageId
+ * @returns {Promise<Array>} All variants of the product
+ */
+const createProductVariant = async (productId, variantData) => {
+  const id = parseInt(productId, 10);
+  const { price, stock = 0, imageId } = variantData;
+  const options = parseOptions(variantData.options);
+  const variantStock = parseStock(stock);
+  const sku = normalizeSku(variantData.sku);
+  const barcodes = parseBarcodes(variantData.barcodes);
+
+  await prisma.$transaction(async (prisma) => {
+    const product = await lockProductVariants(prisma, id);
+
+    if (product.variants.length === 0 && product.reservedStock > 0) {
+      throw new Error('Invalid variant: the product has stock held by open orders');
+    }
+
+    const optionValues = await resolveOptionValues(prisma, product, options);
+    const optionValueIds = optionValues.map(value => value.id).sort((a, b) => a - b);
+
+    const duplicate = product.variants.find(variant => {
+      const ids = variant.optionValues.map(value => value.id).sort((a, b) => a - b);
+      return ids.join() === optionValueIds.join();
+    });
+
+    if (duplicate) {
+      throw new Error(`A variant with these options already exists: ${duplicate.name}`);
+    }
+
+    await assertSkuAvailable(prisma, sku);
+
+    const variant = await prisma.productVariant.create({
+      data: {
+        productId: id,
+        sku,
+        name: optionValues.map(value => value.value).join(' / '),
+        price: price !== undefined && price !== '' ? parseMoney(price) : product.price,
+        stock: variantStock,
+        imageId: imageId !== undefined ? await resolveImageId(prisma, id, imageId) : null,
+        optionValues: {
+          connect: optionValues.map(value => ({ id: value.id }))
+        }
+      }
+    });
+
+    await replaceBarcodes(prisma, id, variant.id, barcodes);
+
+    await prisma.product.update({
+      where: { id },
+      data: {
+        stock: product.variants.length === 0 ? variantStock : { increment: variantStock }
+      }
+    });
+  });
+
+  return getVariants(id);
+};
+
+/**
+ * Service to update the SKU, price, stock or image of a variant.
+ * The options of a variant can't be changed; add a new variant instead.
+ * @param {number} productId - Product ID
+ * @param {number} variantId - Variant ID
+ * @param {Object} variantData - sku, barcodes (replacing the variant's barcodes), price, stock and imageId
+ * @returns {Promise<Array>} All variants of the product
+ */
+const updateProductVariant = async (productId, variantId, variantData) => {
+  const id = parseInt(productId, 10);
+  const { sku, price, stock, imageId } = variantData;
+  const barcodes = variantData.barcodes !== undefined ? parseBarcodes(variantData.barcodes) : null;
+
+  await prisma.$transaction(async (prisma) => {
+    const product = await lockProductVariants(prisma, id);
+    const variant = product.variants.find(v => v.id === parseInt(variantId, 10));
+
+    if (!variant) {
+      throw new Error(`Variant with ID ${variantId} not found for this product`);
+    }
+
+    const updateFields = {};
+
+    if (sku !== undefined) {
+      updateFields.sku = normalizeSku(sku);
+      await assertSkuAvailable(prisma, updateFields.sku, { variantId: variant.id });
+    }
+
+    if (barcodes) {
+      await replaceBarcodes(prisma, id, variant.id, barcodes);
+    }
+
+    if (price !== undefined) updateFields.price = parseMoney(price);
+    if (stock !== undefined) updateFields.stock = parseStock(stock);
+    if (imageId !== undefined) updateFields.imageId = await resolveImageId(prisma, id, imageId);
+
+    await prisma.productVariant.update({
+      where: { id: variant.id },
+      data: updateFields
+    });
+
+    // Keep the product's stock the total of its variants
+    if (updateFields.stock !== undefined && updateFields.stock !== variant.stock) {
+      await prisma.product.update({
+        where: { id },
+        data: {
+          stock: {
+            increment: updateFields.stock - variant.stock
+          }
+        }
+      });
+    }
+  });
+
+  return getVariants(id);
+};
+
+/**
+ * Service to delete a variant that was never ordered
+ * @param {number} productId - Product ID
+ * @param {number} variantId - Variant ID
+ * @returns {Promise<Array>} Remaining variants of the product
+ */
+const deleteProductVariant = async (productId, variantId) => {
+  const id = parseInt(productId, 10);
+
+  await prisma.$transaction(async (prisma) => {
+    const product = await lockProductVariants(prisma, id);
+    const variant = product.variants.find(v => v.id === parseInt(variantId, 10));
+
+    if (!variant) {
+      throw new Error(`Variant with ID ${variantId} not found for this product`);
+    }
+
+    const orderItemCount = await prisma.orderItem.count({
+      where: { variantId: variant.id }
+    });
+
+    if (orderItemCount > 0) {
+      throw new Error('Cannot delete a variant that has been ordered; set its stock to 0 instead');
+    }
+
+    await prisma.productVariant.delete({
+      where: { id: variant.id }
+    });
+
+    await prisma.product.update({
+      where: { id },
+      data: {
+        stock: {
+          decrement: variant.stock
+        }
+      }
+    });
+  });
+
+  return getVariants(id);
+};
+
+module.exports = {
+  PRODUCT_VARIANT_INCLUDE,
+  withVariantStock,
+  createProductVariant,
+  updateProductVariant,
+  deleteProductVariant
+};
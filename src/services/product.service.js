@@ -1,8 +1,221 @@
 // src/services/product.service.js
+const { CardCondition, CardFinish } = require('@prisma/client');
 const { prisma } = require('../config/db');
-const fs = require('fs');
-const path = require('path');
 const config = require('../config/app');
+const { withAvailableStock } = require('./stock.service');
+const {
+  PRODUCT_IMAGE_ORDER,
+  withImageUrls,
+  storeImageFiles,
+  removeImageFiles,
+  getPrimaryImageUrl,
+  attachProductImages,
+  removeProductImageFiles
+} = require('./product-image.service');
+const { PRODUCT_VARIANT_INCLUDE, withVariantStock } = require('./product-variant.service');
+const {
+  parseBarcodes,
+  normalizeSku,
+  assertSkuAvailable,
+  assertBarcodesAvailable,
+  replaceBarcodes
+} = require('./product-barcode.service');
+const { resolveTaxRateId } = require('./tax.service');
+const { parseMoney, roundMoney } = require('../utils/money');
+const { getCodeVariants, parseEmbeddedBarcode } = require('../utils/barcode');
+const storage = require('../storage');
+
+// Short condition grades accepted alongside the full names
+const CONDITION_GRADES = {
+  NM: CardCondition.NEAR_MINT,
+  LP: CardCondition.LIGHTLY_PLAYED,
+  MP: CardCondition.MODERATELY_PLAYED,
+  HP: CardCondition.HEAVILY_PLAYED,
+  DMG: CardCondition.DAMAGED
+};
+
+// Language codes such as "EN", "JA" or "ZH-HANT"
+const LANGUAGE_PATTERN = /^[A-Z]{2,3}(-[A-Z]{2,4})?$/;
+
+/**
+ * Parse a card condition, given as a name like "NEAR_MINT" or a grade like "NM"
+ * @param {string} value - Condition
+ * @returns {string} CardCondition value
+ */
+const parseCondition = (value) => {
+  const condition = String(value).trim().toUpperCase().replace(/[\s-]+/g, '_');
+  const parsed = CONDITION_GRADES[condition] || condition;
+
+  if (!Object.values(CardCondition).includes(parsed)) {
+    throw new Error(`Invalid card condition: ${value}`);
+  }
+
+  return parsed;
+};
+
+/**
+ * Parse a card finish, e.g. "FOIL" or "non-foil"
+ * @param {string} value - Finish
+ * @returns {string} CardFinish value
+ */
+const parseFinish = (value) => {
+  const finish = String(value).trim().toUpperCase().replace(/[\s_-]+/g, '');
+
+  if (!Object.values(CardFinish).includes(finish)) {
+    throw new Error(`Invalid card finish: ${value}`);
+  }
+
+  return finish;
+};
+
+/**
+ * Parse a card language code
+ * @param {string} value - Language code
+ * @returns {string} Upper case language code
+ */
+const parseLanguage = (value) => {
+  const language = String(value).trim().toUpperCase();
+
+  if (!LANGUAGE_PATTERN.test(language)) {
+    throw new Error(`Invalid card language: ${value}`);
+  }
+
+  return language;
+};
+
+/**
+ * Split a comma-separated filter value
+ * @param {string} value - e.g. "NM,LP"
+ * @returns {Array<string>} Values
+ */
+const parseList = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Get the TCG card attributes to save from product data. Attributes that are
+ * left out are not returned; empty ones are cleared.
+ * @param {Object} productData - Product data
+ * @returns {Object} Card attributes
+ */
+const getCardAttributes = (productData) => {
+  const attributes = {};
+  const text = value => (value === null || String(value).trim() === '' ? null : String(value).trim());
+
+  if (productData.game !== undefined) attributes.game = text(productData.game);
+  if (productData.rarity !== undefined) attributes.rarity = text(productData.rarity);
+  if (productData.collectorNumber !== undefined) attributes.collectorNumber = text(productData.collectorNumber);
+
+  if (productData.setCode !== undefined) {
+    const setCode = text(productData.setCode);
+    attributes.setCode = setCode && setCode.toUpperCase();
+  }
+
+  if (productData.language !== undefined) {
+    attributes.language = text(productData.language) && parseLanguage(productData.language);
+  }
+
+  if (productData.finish !== undefined) {
+    attributes.finish = text(productData.finish) && parseFinish(productData.finish);
+  }
+
+  if (productData.condition !== undefined) {
+    attributes.condition = text(productData.condition) && parseCondition(productData.condition);
+  }
+
+  return attributes;
+};
+
+/**
+ * Get the buylist fields to save from product data
+ * @param {Object} productData - Product data, possibly from a multipart form
+ * @returns {Object} buylistEnabled and buyPrice, when given
+ */
+const getBuylistFields = (productData) => {
+  const fields = {};
+
+  if (productData.buylistEnabled !== undefined) {
+    fields.buylistEnabled = String(productData.buylistEnabled) === 'true';
+  }
+
+  // An empty buy price makes the product use the store's buylist rate again
+  if (productData.buyPrice !== undefined) {
+    fields.buyPrice = productData.buyPrice === null || productData.buyPrice === ''
+      ? null
+      : parseMoney(productData.buyPrice);
+
+    if (fields.buyPrice !== null && fields.buyPrice < 0) {
+      throw new Error('Invalid buy price: must not be negative');
+    }
+  }
+
+  return fields;
+};
+
+/**
+ * Check that a product's card attributes identify a card, and that no other
+ * product is already the same copy of it
+ * @param {Object} card - Card attributes of the product after the change
+ * @param {number|null} productId - ID of the product being updated
+ */
+const validateCardAttributes = async (card, productId = null) => {
+  if ((card.setCode || card.collectorNumber) && !card.game) {
+    throw new Error('Invalid card attributes: game is required with a set code or collector number');
+  }
+
+  if (!card.game || !card.setCode || !card.collectorNumber) {
+    return;
+  }
+
+  const existingProduct = await prisma.product.findFirst({
+    where: {
+      game: { equals: card.game, mode: 'insensitive' },
+      setCode: card.setCode,
+      collectorNumber: card.collectorNumber,
+      language: card.language || null,
+      finish: card.finish || null,
+      condition: card.condition || null,
+      ...(productId ? { id: { not: productId } } : {})
+    }
+  });
+
+  if (existingProduct) {
+    throw new Error('A product for this card, language, finish and condition already exists');
+  }
+};
+
+/**
+ * Get the other copies of a card: products with the same game, set code and
+ * collector number in another language, finish or condition. The game is
+ * compared without case, as in validateCardAttributes.
+ * @param {Object} product - Product
+ * @returns {Promise<Array>} Card variants with their price and available stock
+ */
+const getCardVariants = async (product) => {
+  if (!product.game || !product.setCode || !product.collectorNumber) {
+    return [];
+  }
+
+  const variants = await prisma.product.findMany({
+    where: {
+      game: { equals: product.game, mode: 'insensitive' },
+      setCode: product.setCode,
+      collectorNumber: product.collectorNumber,
+      id: { not: product.id }
+    },
+    select: {
+      id: true,
+      name: true,
+      language: true,
+      finish: true,
+      condition: true,
+      price: true,
+      stock: true,
+      reservedStock: true
+    },
+    orderBy: [{ language: 'asc' }, { finish: 'asc' }, { condition: 'asc' }]
+  });
+
+  return variants.map(withAvailableStock);
+};
 
 /**
  * Service to create a new product
@@ -11,7 +224,14 @@ const config = require('../config/app');
  * @returns {Object} Newly created product
  */
 const createProduct = async (productData, fileInfo = null) => {
-  const { name, description, price, stock, categoryId } = productData;
+  const { name, description, price, stock, categoryId, taxRateId } = productData;
+  const cardAttributes = getCardAttributes(productData);
+  const sku = normalizeSku(productData.sku);
+  const barcodes = parseBarcodes(productData.barcodes);
+  
+  await validateCardAttributes(cardAttributes);
+  await assertSkuAvailable(prisma, sku);
+  await assertBarcodesAvailable(prisma, barcodes);
   
   // Validate category exists
   const category = await prisma.productCategory.findUnique({
@@ -26,26 +246,59 @@ const createProduct = async (productData, fileInfo = null) => {
   const newProductData = {
     name,
     description,
-    price: parseFloat(price),
+    sku,
+    price: parseMoney(price),
     stock: parseInt(stock, 10),
-    categoryId: parseInt(categoryId, 10)
+    categoryId: parseInt(categoryId, 10),
+    ...cardAttributes,
+    ...getBuylistFields(productData)
   };
   
-  // Add image URL if a file was uploaded
-  if (fileInfo) {
-    const relativePath = `/${config.uploads.dir}${config.uploads.products}/${fileInfo.filename}`;
-    newProductData.imageUrl = relativePath;
+  // Without its own tax rate the product uses the category or default rate
+  if (taxRateId !== undefined) {
+    newProductData.taxRateId = await resolveTaxRateId(taxRateId);
+  }
+  
+  if (barcodes.length > 0) {
+    newProductData.barcodes = {
+      create: barcodes.map(code => ({ code }))
+    };
+  }
+  
+  // An uploaded image becomes the primary image
+  const image = fileInfo ? await storeImageFiles(fileInfo) : null;
+  
+  if (image) {
+    newProductData.imageUrl = getPrimaryImageUrl(image);
+    newProductData.images = {
+      create: [{ ...image, sortOrder: 0, isPrimary: true }]
+    };
   }
   
   // Create product in database
-  const newProduct = await prisma.product.create({
-    data: newProductData,
-    include: {
-      category: true
+  let newProduct;
+  
+  try {
+    newProduct = await prisma.product.create({
+      data: newProductData,
+      include: {
+        category: true,
+        taxRate: true,
+        images: {
+          orderBy: PRODUCT_IMAGE_ORDER
+        },
+        barcodes: true,
+        ...PRODUCT_VARIANT_INCLUDE
+      }
+    });
+  } catch (error) {
+    if (image) {
+      await removeImageFiles(image.storageKey);
     }
-  });
+    throw error;
+  }
   
-  return newProduct;
+  return withAvailableStock(withVariantStock(withImageUrls(newProduct)));
 };
 
 /**
@@ -60,6 +313,13 @@ const getAllProducts = async (queryParams = {}) => {
     minPrice,
     maxPrice,
     inStock,
+    game,
+    setCode,
+    collectorNumber,
+    rarity,
+    language,
+    finish,
+    condition,
     page = 1, 
     limit = 10,
     sortBy = 'createdAt',
@@ -86,19 +346,50 @@ const getAllProducts = async (queryParams = {}) => {
   if (minPrice !== undefined) {
     where.price = {
       ...where.price,
-      gte: parseFloat(minPrice)
+      gte: parseMoney(minPrice)
     };
   }
   
   if (maxPrice !== undefined) {
     where.price = {
       ...where.price,
-      lte: parseFloat(maxPrice)
+      lte: parseMoney(maxPrice)
     };
   }
   
+  // TCG card attributes; language, finish and condition take a
+  // comma-separated list, e.g. condition=NM,LP
+  if (game) {
+    where.game = { equals: game.trim(), mode: 'insensitive' };
+  }
+  
+  if (setCode) {
+    where.setCode = setCode.trim().toUpperCase();
+  }
+  
+  if (collectorNumber) {
+    where.collectorNumber = { equals: collectorNumber.trim(), mode: 'insensitive' };
+  }
+  
+  if (rarity) {
+    where.rarity = { equals: rarity.trim(), mode: 'insensitive' };
+  }
+  
+  if (language) {
+    where.language = { in: parseList(language).map(parseLanguage) };
+  }
+  
+  if (finish) {
+    where.finish = { in: parseList(finish).map(parseFinish) };
+  }
+  
+  if (condition) {
+    where.condition = { in: parseList(condition).map(parseCondition) };
+  }
+  
+  // In stock means there is stock left that is not held by open orders
   if (inStock === 'true') {
-    where.stock = { gt: 0 };
+    where.stock = { gt: prisma.product.fields.reservedStock };
   }
   
   // Get products with pagination and sorting
@@ -110,7 +401,13 @@ const getAllProducts = async (queryParams = {}) => {
       [sortBy]: sortOrder
     },
     include: {
-      category: true
+      category: true,
+      taxRate: true,
+      images: {
+        orderBy: PRODUCT_IMAGE_ORDER
+      },
+      barcodes: true,
+      ...PRODUCT_VARIANT_INCLUDE
     }
   });
   
@@ -118,7 +415,7 @@ const getAllProducts = async (queryParams = {}) => {
   const totalProducts = await prisma.product.count({ where });
   
   return {
-    products,
+    products: products.map(product => withAvailableStock(withVariantStock(withImageUrls(product)))),
     pagination: {
       total: totalProducts,
       page: parseInt(page, 10),
@@ -137,7 +434,13 @@ const getProductById = async (productId) => {
   const product = await prisma.product.findUnique({
     where: { id: parseInt(productId, 10) },
     include: {
-      category: true
+      category: true,
+      taxRate: true,
+      images: {
+        orderBy: PRODUCT_IMAGE_ORDER
+      },
+      barcodes: true,
+      ...PRODUCT_VARIANT_INCLUDE
     }
   });
   
@@ -145,7 +448,107 @@ const getProductById = async (productId) => {
     throw new Error('Product not found');
   }
   
-  return product;
+  return {
+    ...withAvailableStock(withVariantStock(withImageUrls(product))),
+    cardVariants: await getCardVariants(product)
+  };
+};
+
+/**
+ * Get the product and variant a scanned code matched
+ * @param {string} match - BARCODE, SKU or EMBEDDED
+ * @param {string} code - Scanned code
+ * @param {number} productId - Product ID
+ * @param {number|null} variantId - Variant ID
+ * @returns {Promise<Object>} Lookup result with the unit price
+ */
+const getLookupResult = async (match, code, productId, variantId = null) => {
+  const product = await getProductById(productId);
+  const variant = variantId ? product.variants.find(v => v.id === variantId) || null : null;
+  
+  return {
+    match,
+    code,
+    product,
+    variant,
+    price: variant ? variant.price : product.price
+  };
+};
+
+/**
+ * Service to find the product for a scanned barcode or typed SKU.
+ * Stored barcodes are tried first, then product and variant SKUs, then our
+ * own price-embedded barcodes, whose price replaces the product price.
+ * @param {string} code - Barcode or SKU
+ * @returns {Object} match, code, product, variant (if the code is a variant's)
+ * and price; weight in grams for weight-embedded barcodes
+ */
+const lookupProduct = async (code) => {
+  const scannedCode = String(code || '').trim();
+  
+  if (!scannedCode) {
+    throw new Error('Invalid barcode: a barcode or SKU is required');
+  }
+  
+  const barcode = await prisma.productBarcode.findFirst({
+    where: {
+      code: { in: getCodeVariants(scannedCode) }
+    }
+  });
+  
+  if (barcode) {
+    return getLookupResult('BARCODE', scannedCode, barcode.productId, barcode.variantId);
+  }
+  
+  const skuProduct = await prisma.product.findUnique({
+    where: { sku: scannedCode }
+  });
+  
+  if (skuProduct) {
+    return getLookupResult('SKU', scannedCode, skuProduct.id);
+  }
+  
+  const skuVariant = await prisma.productVariant.findUnique({
+    where: { sku: scannedCode }
+  });
+  
+  if (skuVariant) {
+    return getLookupResult('SKU', scannedCode, skuVariant.productId, skuVariant.id);
+  }
+  
+  const format = config.barcodes.embedded;
+  const embedded = parseEmbeddedBarcode(scannedCode, format);
+  
+  const embeddedProduct = embedded
+    ? await prisma.product.findUnique({
+      where: { id: embedded.productId }
+    })
+    : null;
+  
+  if (embeddedProduct) {
+    const result = await getLookupResult('EMBEDDED', scannedCode, embeddedProduct.id);
+    
+    if (result.product.variants.length > 0) {
+      throw new Error(`Invalid barcode: ${result.product.name} is sold in variants`);
+    }
+    
+    // The value is either the price, or the weight in grams of an item
+    // priced per kilogram
+    if (format.value === 'weight') {
+      return {
+        ...result,
+        price: roundMoney(result.product.price * embedded.value / 1000),
+        weight: embedded.value
+      };
+    }
+    
+    return {
+      ...result,
+      price: embedded.value
+    };
+  }
+  
+  throw new Error(`Product with code ${scannedCode} not found`);
 };
 
 /**
@@ -156,7 +559,7 @@ const getProductById = async (productId) => {
  * @returns {Object} Updated product
  */
 const updateProduct = async (productId, updateData, fileInfo = null) => {
-  const { name, description, price, stock, categoryId } = updateData;
+  const { name, description, price, stock, categoryId, taxRateId } = updateData;
   
   // Find the product
   const product = await prisma.product.findUnique({
@@ -167,13 +570,38 @@ const updateProduct = async (productId, updateData, fileInfo = null) => {
     throw new Error('Product not found');
   }
   
+  const cardAttributes = getCardAttributes(updateData);
+  
+  await validateCardAttributes({ ...product, ...cardAttributes }, product.id);
+  
   // Prepare update data
-  const updateFields = {};
+  const updateFields = { ...cardAttributes, ...getBuylistFields(updateData) };
   
   if (name !== undefined) updateFields.name = name;
   if (description !== undefined) updateFields.description = description;
-  if (price !== undefined) updateFields.price = parseFloat(price);
-  if (stock !== undefined) updateFields.stock = parseInt(stock, 10);
+  
+  if (updateData.sku !== undefined) {
+    updateFields.sku = normalizeSku(updateData.sku);
+    await assertSkuAvailable(prisma, updateFields.sku, { productId: product.id });
+  }
+  
+  // Barcodes given here replace the product's own barcodes; those of its
+  // variants are set on the variants
+  const barcodes = updateData.barcodes !== undefined ? parseBarcodes(updateData.barcodes) : null;
+  if (price !== undefined) updateFields.price = parseMoney(price);
+  
+  // The stock of a product with variants is the total of its variants
+  if (stock !== undefined) {
+    const variantCount = await prisma.productVariant.count({
+      where: { productId: product.id }
+    });
+    
+    if (variantCount > 0) {
+      throw new Error('Invalid stock: set the stock of this product on its variants');
+    }
+    
+    updateFields.stock = parseInt(stock, 10);
+  }
   
   // Validate and set category if provided
   if (categoryId !== undefined) {
@@ -188,31 +616,56 @@ const updateProduct = async (productId, updateData, fileInfo = null) => {
     updateFields.categoryId = parseInt(categoryId, 10);
   }
   
-  // Handle image update
-  if (fileInfo) {
-    // Delete old image if exists
-    if (product.imageUrl) {
-      const oldImagePath = path.join(__dirname, '../../', product.imageUrl);
-      if (fs.existsSync(oldImagePath)) {
-        fs.unlinkSync(oldImagePath);
-      }
-    }
-    
-    // Set new image URL
-    const relativePath = `/${config.uploads.dir}${config.uploads.products}/${fileInfo.filename}`;
-    updateFields.imageUrl = relativePath;
+  // An empty tax rate makes the product use the category or default rate again
+  if (taxRateId !== undefined) {
+    updateFields.taxRateId = await resolveTaxRateId(taxRateId);
   }
   
+  // An uploaded image is added as the new primary image; earlier images
+  // stay in the product's gallery. Its files are stored before the
+  // transaction, and removed again if the update fails.
+  const image = fileInfo ? await storeImageFiles(fileInfo) : null;
+  let replacedKey = null;
+  
   // Update product in database
-  const updatedProduct = await prisma.product.update({
-    where: { id: parseInt(productId, 10) },
-    data: updateFields,
-    include: {
-      category: true
+  let updatedProduct;
+  
+  try {
+    updatedProduct = await prisma.$transaction(async (prisma) => {
+      if (barcodes) {
+        await replaceBarcodes(prisma, product.id, null, barcodes);
+      }
+      
+      if (image) {
+        replacedKey = await attachProductImages(prisma, product.id, [image], { makePrimary: true });
+      }
+      
+      return prisma.product.update({
+        where: { id: parseInt(productId, 10) },
+        data: updateFields,
+        include: {
+          category: true,
+          taxRate: true,
+          images: {
+            orderBy: PRODUCT_IMAGE_ORDER
+          },
+          barcodes: true,
+          ...PRODUCT_VARIANT_INCLUDE
+        }
+      });
+    });
+  } catch (error) {
+    if (image) {
+      await removeImageFiles(image.storageKey);
     }
-  });
+    throw error;
+  }
   
-  return updatedProduct;
+  if (replacedKey) {
+    await storage.deleteFile(replacedKey);
+  }
+  
+  return withAvailableStock(withVariantStock(withImageUrls(updatedProduct)));
 };
 
 /**
@@ -225,7 +678,8 @@ const deleteProduct = async (productId) => {
   const product = await prisma.product.findUnique({
     where: { id: parseInt(productId, 10) },
     include: {
-      category: true
+      category: true,
+      taxRate: true
     }
   });
   
@@ -233,22 +687,21 @@ const deleteProduct = async (productId) => {
     throw new Error('Product not found');
   }
   
-  // Delete the product image if exists
-  if (product.imageUrl) {
-    const imagePath = path.join(__dirname, '../../', product.imageUrl);
-    if (fs.existsSync(imagePath)) {
-      fs.unlinkSync(imagePath);
-    }
-  }
-  
   // Delete product from database
   const deletedProduct = await prisma.product.delete({
     where: { id: parseInt(productId, 10) },
     include: {
-      category: true
+      category: true,
+      taxRate: true,
+      images: {
+        orderBy: PRODUCT_IMAGE_ORDER
+      }
     }
   });
   
+  // Delete the product images
+  await removeProductImageFiles(deletedProduct);
+  
   return deletedProduct;
 };
 
@@ -268,7 +721,7 @@ const updateProductStock = async (productId, quantity) => {
     throw new Error('Product not found');
   }
   
-  if (product.stock < quantity) {
+  if (product.stock - product.reservedStock < quantity) {
     throw new Error('Insufficient stock');
   }
   
@@ -279,7 +732,8 @@ const updateProductStock = async (productId, quantity) => {
       stock: product.stock - quantity
     },
     include: {
-      category: true
+      category: true,
+      taxRate: true
     }
   });
   
@@ -287,9 +741,12 @@ const updateProductStock = async (productId, quantity) => {
 };
 
 module.exports = {
+  CONDITION_GRADES,
+  parseCondition,
   createProduct,
   getAllProducts,
   getProductById,
+  lookupProduct,
   updateProduct,
   deleteProduct,
   updateProductStock
@@ -0,0 +1,457 @@
+// src/services/promotion.service.js
+const { prisma } = require('../config/db');
+const { roundMoney, parseMoney } = require('../utils/money');
+
+/**
+ * Build the Prisma data for a promotion from request data
+ * @param {Object} data - Promotion data from the request
+ * @returns {Object} Prisma data
+ */
+const buildPromotionData = (data) => {
+  const fields = {};
+
+  if (data.name !== undefined) fields.name = data.name;
+  if (data.description !== undefined) fields.description = data.description;
+  if (data.code !== undefined) fields.code = data.code ? String(data.code).trim().toUpperCase() : null;
+  if (data.type !== undefined) fields.type = data.type;
+  if (data.value !== undefined) fields.value = parseFloat(data.value);
+  if (data.scope !== undefined) fields.scope = data.scope;
+  if (data.productId !== undefined) fields.productId = data.productId ? parseInt(data.productId, 10) : null;
+  if (data.categoryId !== undefined) fields.categoryId = data.categoryId ? parseInt(data.categoryId, 10) : null;
+  if (data.minQuantity !== undefined) fields.minQuantity = data.minQuantity ? parseInt(data.minQuantity, 10) : null;
+  if (data.minSubtotal !== undefined) fields.minSubtotal = data.minSubtotal ? parseMoney(data.minSubtotal) : null;
+  if (data.startsAt !== undefined) fields.startsAt = data.startsAt ? new Date(data.startsAt) : null;
+  if (data.endsAt !== undefined) fields.endsAt = data.endsAt ? new Date(data.endsAt) : null;
+  if (data.usageLimit !== undefined) fields.usageLimit = data.usageLimit ? parseInt(data.usageLimit, 10) : null;
+  if (data.stackable !== undefined) fields.stackable = Boolean(data.stackable);
+  if (data.priority !== undefined) fields.priority = parseInt(data.priority, 10) || 0;
+  if (data.isActive !== undefined) fields.isActive = Boolean(data.isActive);
+
+  return fields;
+};
+
+/**
+ * Validate a promotion as it will be stored
+ * @param {Object} promotion - Promotion data
+ */
+const validatePromotion = (promotion) => {
+  if (!['PERCENTAGE', 'FIXED_AMOUNT'].includes(promotion.type)) {
+    throw new Error('Invalid promotion type');
+  }
+
+  if (isNaN(promotion.value) || promotion.value <= 0) {
+    throw new Error('Invalid promotion value');
+  }
+
+  if (promotion.type === 'PERCENTAGE' && promotion.value > 100) {
+    throw new Error('Invalid promotion value: percentage cannot exceed 100');
+  }
+
+  if (promotion.type === 'FIXED_AMOUNT' && !Number.isInteger(promotion.value)) {
+    throw new Error('Invalid promotion value: fixed amounts must be whole rupiah');
+  }
+
+  if (promotion.scope === 'PRODUCT' && !promotion.productId) {
+    throw new Error('Invalid promotion scope: a product is required');
+  }
+
+  if (promotion.scope === 'CATEGORY' && !promotion.categoryId) {
+    throw new Error('Invalid promotion scope: a category is required');
+  }
+
+  if (promotion.startsAt && promotion.endsAt && promotion.startsAt > promotion.endsAt) {
+    throw new Error('Invalid promotion window: start must be before end');
+  }
+};
+
+/**
+ * Service to create a promotion
+ * @param {Object} promotionData - Promotion data
+ * @returns {Object} Newly created promotion
+ */
+const createPromotion = async (promotionData) => {
+  const data = {
+    scope: 'ORDER',
+    ...buildPromotionData(promotionData)
+  };
+
+  validatePromotion(data);
+
+  if (data.code) {
+    const existingPromotion = await prisma.promotion.findUnique({
+      where: { code: data.code }
+    });
+
+    if (existingPromotion) {
+      throw new Error('A promotion with this code already exists');
+    }
+  }
+
+  const newPromotion = await prisma.promotion.create({
+    data,
+    include: {
+      product: true,
+      category: true
+    }
+  });
+
+  return newPromotion;
+};
+
+/**
+ * Service to get all promotions
+ * @param {Object} queryParams - Query parameters for filtering
+ * @returns {Array} List of promotions
+ */
+const getAllPromotions = async (queryParams = {}) => {
+  const { isActive, search } = queryParams;
+
+  // Build filter conditions
+  const where = {};
+
+  if (isActive !== undefined) {
+    where.isActive = isActive === 'true';
+  }
+
+  if (search) {
+    where.OR = [
+      { name: { contains: search, mode: 'insensitive' } },
+      { code: { contains: search, mode: 'insensitive' } }
+    ];
+  }
+
+  const promotions = await prisma.promotion.findMany({
+    where,
+    orderBy: [
+      { priority: 'desc' },
+      { createdAt: 'desc' }
+    ],
+    include: {
+      product: true,
+      category: true
+    }
+  });
+
+  return promotions;
+};
+
+/**
+ * Service to get a promotion by ID
+ * @param {number} promotionId - Promotion ID
+ * @returns {Object} Promotion data
+ */
+const getPromotionById = async (promotionId) => {
+  const promotion = await prisma.promotion.findUnique({
+    where: { id: parseInt(promotionId, 10) },
+    include: {
+      product: true,
+      category: true
+    }
+  });
+
+  if (!promotion) {
+    throw new Error('Promotion not found');
+  }
+
+  return promotion;
+};
+
+/**
+ * Service to update a promotion
+ * @param {number} promotionId - Promotion ID
+ * @param {Object} updateData - Data to update
+ * @returns {Object} Updated promotion
+ */
+const updatePromotion = async (promotionId, updateData) => {
+  const promotion = await prisma.promotion.findUnique({
+    where: { id: parseInt(promotionId, 10) }
+  });
+
+  if (!promotion) {
+    throw new Error('Promotion not found');
+  }
+
+  const updateFields = buildPromotionData(updateData);
+
+  validatePromotion({ ...promotion, ...updateFields });
+
+  if (updateFields.code && updateFields.code !== promotion.code) {
+    const existingPromotion = await prisma.promotion.findUnique({
+      where: { code: updateFields.code }
+    });
+
+    if (existingPromotion) {
+      throw new Error('A promotion with this code already exists');
+    }
+  }
+
+  const updatedPromotion = await prisma.promotion.update({
+    where: { id: promotion.id },
+    data: updateFields,
+    include: {
+      product: true,
+      category: true
+    }
+  });
+
+  return updatedPromotion;
+};
+
+/**
+ * Service to delete a promotion.
+ * Promotions already used on orders are deactivated instead, so order
+ * discount records keep pointing at them.
+ * @param {number} promotionId - Promotion ID
+ * @returns {Object} Deleted or deactivated promotion
+ */
+const deletePromotion = async (promotionId) => {
+  const promotion = await prisma.promotion.findUnique({
+    where: { id: parseInt(promotionId, 10) },
+    include: {
+      _count: {
+        select: { orderDiscounts: true }
+      }
+    }
+  });
+
+  if (!promotion) {
+    throw new Error('Promotion not found');
+  }
+
+  if (promotion._count.orderDiscounts > 0) {
+    return prisma.promotion.update({
+      where: { id: promotion.id },
+      data: { isActive: false }
+    });
+  }
+
+  return prisma.promotion.delete({
+    where: { id: promotion.id }
+  });
+};
+
+/**
+ * Check whether an order line falls under a promotion's scope
+ * @param {Object} promotion - Promotion
+ * @param {Object} line - Order line with productId and categoryId
+ * @returns {boolean} True if the line is eligible
+ */
+const isLineEligible = (promotion, line) => {
+  if (promotion.scope === 'PRODUCT') {
+    return line.productId === promotion.productId;
+  }
+
+  if (promotion.scope === 'CATEGORY') {
+    return line.categoryId === promotion.categoryId;
+  }
+
+  return true;
+};
+
+/**
+ * Work out the per-line discount of one promotion
+ * @param {Object} promotion - Promotion
+ * @param {Array} lines - Order lines with subtotal and the discount taken so far
+ * @returns {Object|null} Discount with total amount and per-line amounts, or null if it does not apply
+ */
+const evaluatePromotion = (promotion, lines) => {
+  const eligibleLines = lines.filter(line => isLineEligible(promotion, line));
+
+  const eligibleQuantity = eligibleLines.reduce((sum, line) => sum + line.quantity, 0);
+  const eligibleSubtotal = eligibleLines.reduce((sum, line) => sum + line.subtotal - line.discountAmount, 0);
+
+  if (eligibleLines.length === 0 || eligibleSubtotal <= 0) {
+    return null;
+  }
+
+  if (promotion.minQuantity && eligibleQuantity < promotion.minQuantity) {
+    return null;
+  }
+
+  if (promotion.minSubtotal && eligibleSubtotal < promotion.minSubtotal) {
+    return null;
+  }
+
+  const amount = roundMoney(promotion.type === 'PERCENTAGE'
+    ? eligibleSubtotal * promotion.value / 100
+    : Math.min(promotion.value, eligibleSubtotal));
+
+  if (amount <= 0) {
+    return null;
+  }
+
+  // Spread the discount over the eligible lines by their remaining amount;
+  // the last line takes the rounding remainder
+  const lineAmounts = {};
+  let allocated = 0;
+
+  eligibleLines.forEach((line, index) => {
+    const remaining = line.subtotal - line.discountAmount;
+    const share = index === eligibleLines.length - 1
+      ? roundMoney(amount - allocated)
+      : roundMoney(amount * remaining / eligibleSubtotal);
+
+    lineAmounts[line.key] = share;
+    allocated += share;
+  });
+
+  return {
+    promotion,
+    amount,
+    lineAmounts
+  };
+};
+
+/**
+ * Apply a set of promotions one after the other on the order lines
+ * @param {Array} promotions - Promotions in the order they apply
+ * @param {Array} lines - Order lines
+ * @returns {Object} Applied discounts and total discount
+ */
+const applyPromotions = (promotions, lines) => {
+  const workingLines = lines.map(line => ({ ...line, discountAmount: 0 }));
+  const discounts = [];
+
+  promotions.forEach(promotion => {
+    const discount = evaluatePromotion(promotion, workingLines);
+
+    if (!discount) {
+      return;
+    }
+
+    workingLines.forEach(line => {
+      line.discountAmount = roundMoney(line.discountAmount + (discount.lineAmounts[line.key] || 0));
+    });
+
+    discounts.push(discount);
+  });
+
+  return {
+    discounts,
+    lines: workingLines,
+    totalDiscount: roundMoney(discounts.reduce((sum, discount) => sum + discount.amount, 0))
+  };
+};
+
+/**
+ * Work out the discounts for an order.
+ * Automatic promotions and the entered coupon codes are candidates. Stackable
+ * promotions combine with each other; a non-stackable promotion only applies
+ * on its own. The combination that gives the customer the biggest discount wins.
+ * @param {Array} lines - Order lines with key, productId, categoryId, quantity and subtotal
+ * @param {Array} couponCodes - Coupon codes entered by the customer
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Object} Applied discounts, per-line discount amounts and total discount
+ */
+const calculateDiscounts = async (lines, couponCodes = [], client = prisma) => {
+  if (!Array.isArray(couponCodes)) {
+    throw new Error('Invalid coupon codes: must be a list of codes');
+  }
+
+  const now = new Date();
+  // The same code entered twice counts once
+  const codes = [...new Set(couponCodes.map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+
+  const activeWindow = {
+    isActive: true,
+    AND: [
+      { OR: [{ startsAt: null }, { startsAt: { lte: now } }] },
+      { OR: [{ endsAt: null }, { endsAt: { gte: now } }] }
+    ]
+  };
+
+  const automaticPromotions = await client.promotion.findMany({
+    where: {
+      ...activeWindow,
+      code: null
+    }
+  });
+
+  const couponPromotions = [];
+
+  for (const code of codes) {
+    const promotion = await client.promotion.findUnique({
+      where: { code }
+    });
+
+    if (!promotion || !promotion.isActive) {
+      throw new Error(`Invalid coupon code: ${code}`);
+    }
+
+    if ((promotion.startsAt && promotion.startsAt > now) || (promotion.endsAt && promotion.endsAt < now)) {
+      throw new Error(`Coupon code ${code} is not valid at this time`);
+    }
+
+    // An entered coupon that is used up is an error; used up automatic
+    // promotions are left out below
+    if (promotion.usageLimit !== null && promotion.usageCount >= promotion.usageLimit) {
+      throw new Error(`Usage limit reached for promotion: ${code}`);
+    }
+
+    couponPromotions.push(promotion);
+  }
+
+  const candidates = [
+    ...automaticPromotions.filter(promotion => promotion.usageLimit === null || promotion.usageCount < promotion.usageLimit),
+    ...couponPromotions
+  ]
+    .sort((a, b) => b.priority - a.priority || a.id - b.id);
+
+  // Option 1: every stackable promotion together
+  const options = [applyPromotions(candidates.filter(promotion => promotion.stackable), lines)];
+
+  // Option 2..n: each non-stackable promotion on its own
+  candidates
+    .filter(promotion => !promotion.stackable)
+    .forEach(promotion => options.push(applyPromotions([promotion], lines)));
+
+  return options.reduce((best, option) => (option.totalDiscount > best.totalDiscount ? option : best));
+};
+
+/**
+ * Count the use of the applied promotions, enforcing usage limits atomically
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array} discounts - Applied discounts
+ */
+const claimPromotionUsage = async (tx, discounts) => {
+  for (const { promotion } of discounts) {
+    const updated = await tx.$executeRaw`
+      UPDATE "Promotion"
+      SET "usageCount" = "usageCount" + 1,
+          "updatedAt" = NOW()
+      WHERE "id" = ${promotion.id}
+        AND ("usageLimit" IS NULL OR "usageCount" < "usageLimit")
+    `;
+
+    if (updated === 0) {
+      throw new Error(`Usage limit reached for promotion: ${promotion.code || promotion.name}`);
+    }
+  }
+};
+
+/**
+ * Give back the promotion uses of an order that was cancelled
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} orderId - Order ID
+ */
+const releasePromotionUsage = async (tx, orderId) => {
+  await tx.$executeRaw`
+    UPDATE "Promotion" p
+    SET "usageCount" = GREATEST(p."usageCount" - 1, 0),
+        "updatedAt" = NOW()
+    FROM "OrderDiscount" od
+    WHERE od."promotionId" = p."id"
+      AND od."orderId" = ${orderId}
+  `;
+};
+
+module.exports = {
+  createPromotion,
+  getAllPromotions,
+  getPromotionById,
+  updatePromotion,
+  deletePromotion,
+  calculateDiscounts,
+  claimPromotionUsage,
+  releasePromotionUsage
+};
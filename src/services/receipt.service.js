@@ -0,0 +1,266 @@
+// src/services/receipt.service.js
+const { prisma } = require('../config/db');
+const config = require('../config/app');
+const { getStoreSettings } = require('./store-settings.service');
+const { formatMoney } = require('../utils/money');
+const { renderReceiptPdf, PDF_PAPER_SIZES } = require('../utils/receipt-pdf');
+const { renderReceiptEscPos, ESCPOS_PAPER_COLUMNS } = require('../utils/escpos');
+
+// Output formats with the paper sizes they can be printed on
+const RECEIPT_FORMATS = {
+  pdf: {
+    papers: Object.keys(PDF_PAPER_SIZES),
+    defaultPaper: 'a6',
+    contentType: 'application/pdf',
+    extension: 'pdf',
+    render: renderReceiptPdf
+  },
+  escpos: {
+    papers: Object.keys(ESCPOS_PAPER_COLUMNS),
+    defaultPaper: '80mm',
+    contentType: 'application/octet-stream',
+    extension: 'bin',
+    render: renderReceiptEscPos
+  }
+};
+
+/**
+ * Reference of an order as printed on receipts, e.g. "ORD-000123"
+ * @param {Object} order - Order with id
+ * @returns {string} Order reference
+ */
+const getOrderReference = (order) => `ORD-${String(order.id).padStart(6, '0')}`;
+
+/**
+ * Format a date and time in the shop's time zone
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date
+ */
+const formatReceiptDate = (date) => {
+  return new Intl.DateTimeFormat('id-ID', {
+    dateStyle: 'medium',
+    timeStyle: 'short',
+    timeZone: config.receipts.timeZone
+  }).format(date);
+};
+
+/**
+ * Split configured text into printed lines, skipping empty ones
+ * @param {string|null} text - Configured text
+ * @param {Object} style - align, bold and large of the lines
+ * @returns {Array<Object>} Text lines
+ */
+const textLines = (text, style = {}) => {
+  return (text || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean)
+    .map(line => ({ type: 'text', text: line, ...style }));
+};
+
+/**
+ * Lay out the receipt of an order as a list of lines that each renderer
+ * draws in its own way: text, row (left text and right amount), divider,
+ * feed (blank line) and qr.
+ * @param {Object} order - Order with items, discounts, payments and cash shift
+ * @param {Object} settings - Store settings
+ * @param {Object} methodNames - Display name of each payment method
+ * @returns {Array<Object>} Receipt lines
+ */
+const buildReceiptLines = (order, settings, methodNames) => {
+  const reference = getOrderReference(order);
+  const lines = [
+    { type: 'text', text: settings.shopName, align: 'center', bold: true, large: true },
+    ...textLines(settings.shopAddress, { align: 'center' }),
+    ...textLines(settings.shopPhone, { align: 'center' }),
+    ...textLines(settings.receiptHeader, { align: 'center' }),
+    { type: 'divider' },
+    { type: 'row', left: 'Order', right: reference },
+    { type: 'row', left: 'Date', right: formatReceiptDate(order.createdAt) },
+    { type: 'row', left: 'Customer', right: order.customerName }
+  ];
+
+  if (order.cashShift && order.cashShift.admin) {
+    lines.push({ type: 'row', left: 'Cashier', right: order.cashShift.admin.username });
+  }
+
+  // A receipt printed before the order is completed must not pass for a paid one
+  if (order.status !== 'COMPLETED') {
+    lines.push({ type: 'text', text: `*** ${order.status.replace(/_/g, ' ')} ***`, align: 'center', bold: true });
+  }
+
+  lines.push({ type: 'divider' });
+
+  order.orderItems.forEach(item => {
+    lines.push(
+      { type: 'text', text: item.variant ? `${item.product.name} (${item.variant.name})` : item.product.name },
+      { type: 'row', left: `${item.quantity} x ${formatMoney(item.subtotal / item.quantity)}`, right: formatMoney(item.subtotal) }
+    );
+  });
+
+  lines.push(
+    { type: 'divider' },
+    { type: 'row', left: 'Subtotal', right: formatMoney(order.subtotalAmount) }
+  );
+
+  order.discounts.forEach(discount => {
+    lines.push({
+      type: 'row',
+      left: discount.code ? `${discount.name} (${discount.code})` : discount.name,
+      right: formatMoney(-discount.amount)
+    });
+  });
+
+  // Tax per rate; exclusive tax is added to the total, inclusive tax is
+  // already part of the prices and only shown for information
+  const taxMap = {};
+
+  order.orderItems.filter(item => item.taxName && item.taxAmount).forEach(item => {
+    const key = `${item.taxName}|${item.taxRate}|${item.taxInclusive}`;
+
+    if (!taxMap[key]) {
+      taxMap[key] = {
+        label: `${item.taxName} ${item.taxRate}%`,
+        inclusive: item.taxInclusive,
+        amount: 0
+      };
+    }
+    taxMap[key].amount += item.taxAmount;
+  });
+
+  const taxes = Object.values(taxMap);
+
+  taxes.filter(tax => !tax.inclusive).forEach(tax => {
+    lines.push({ type: 'row', left: tax.label, right: formatMoney(tax.amount) });
+  });
+
+  if (order.serviceChargeAmount) {
+    lines.push({ type: 'row', left: settings.serviceChargeName, right: formatMoney(order.serviceChargeAmount) });
+  }
+
+  if (order.pointsDiscountAmount) {
+    lines.push({ type: 'row', left: `Points (${order.pointsRedeemed} pts)`, right: formatMoney(-order.pointsDiscountAmount) });
+  }
+
+  if (order.cashRoundingAmount) {
+    lines.push({ type: 'row', left: 'Cash rounding', right: formatMoney(order.cashRoundingAmount) });
+  }
+
+  lines.push({ type: 'row', left: 'TOTAL', right: formatMoney(order.totalAmount), bold: true });
+
+  taxes.filter(tax => tax.inclusive).forEach(tax => {
+    lines.push({ type: 'row', left: `Incl. ${tax.label}`, right: formatMoney(tax.amount) });
+  });
+
+  lines.push({ type: 'divider' });
+
+  order.payments.forEach(payment => {
+    let label = methodNames[payment.method] || payment.method;
+
+    if (payment.giftCard) {
+      label = `${label} ${payment.giftCard.code.slice(-4)}`;
+    }
+
+    if (payment.status !== 'VERIFIED') {
+      label = `${label} (${payment.status.toLowerCase()})`;
+    }
+
+    lines.push({ type: 'row', left: label, right: formatMoney(payment.amount) });
+  });
+
+  if (order.cashTendered !== null) {
+    lines.push(
+      { type: 'row', left: 'Cash tendered', right: formatMoney(order.cashTendered) },
+      { type: 'row', left: 'Change', right: formatMoney(order.changeAmount), bold: true }
+    );
+  }
+
+  lines.push(
+    { type: 'feed' },
+    { type: 'qr', data: reference },
+    { type: 'text', text: reference, align: 'center' }
+  );
+
+  const footer = textLines(settings.receiptFooter, { align: 'center' });
+
+  if (footer.length > 0) {
+    lines.push({ type: 'feed' }, ...footer);
+  }
+
+  return lines;
+};
+
+/**
+ * Service to render the receipt of an order
+ * @param {number} orderId - Order ID
+ * @param {Object} options - format (pdf or escpos) and paper (a6/80mm for PDF, 58mm/80mm for ESC/POS)
+ * @returns {Object} content (Buffer), contentType and filename
+ */
+const renderReceipt = async (orderId, { format = 'pdf', paper } = {}) => {
+  const receiptFormat = Object.prototype.hasOwnProperty.call(RECEIPT_FORMATS, format) ? RECEIPT_FORMATS[format] : null;
+
+  if (!receiptFormat) {
+    throw new Error(`Invalid receipt format: ${format} (allowed: ${Object.keys(RECEIPT_FORMATS).join(', ')})`);
+  }
+
+  const paperSize = paper ? String(paper).toLowerCase() : receiptFormat.defaultPaper;
+
+  if (!receiptFormat.papers.includes(paperSize)) {
+    throw new Error(`Invalid paper for ${format} receipts: ${paper} (allowed: ${receiptFormat.papers.join(', ')})`);
+  }
+
+  const order = await prisma.order.findUnique({
+    where: { id: parseInt(orderId, 10) },
+    include: {
+      orderItems: {
+        orderBy: { id: 'asc' },
+        include: {
+          product: true,
+          variant: true
+        }
+      },
+      discounts: true,
+      payments: {
+        orderBy: { id: 'asc' },
+        include: {
+          giftCard: {
+            select: {
+              code: true
+            }
+          }
+        }
+      },
+      cashShift: {
+        include: {
+          admin: {
+            select: {
+              username: true
+            }
+          }
+        }
+      }
+    }
+  });
+
+  if (!order) {
+    throw new Error('Order not found');
+  }
+
+  const settings = await getStoreSettings();
+  const methodSettings = await prisma.paymentMethodSetting.findMany();
+  const methodNames = Object.fromEntries(methodSettings.map(setting => [setting.method, setting.name]));
+
+  const lines = buildReceiptLines(order, settings, methodNames);
+  const content = await receiptFormat.render(lines, { paper: paperSize });
+
+  return {
+    content,
+    contentType: receiptFormat.contentType,
+    filename: `receipt-${getOrderReference(order)}.${receiptFormat.extension}`
+  };
+};
+
+module.exports = {
+  getOrderReference,
+  renderReceipt
+};
@@ -0,0 +1,275 @@
+// src/services/return.service.js
+const { PaymentMethod } = require('@prisma/client');
+const { prisma } = require('../config/db');
+const { restockItems } = require('./stock.service');
+const { reverseEarnedPoints } = require('./loyalty.service');
+const { refundToGiftCard } = require('./gift-card.service');
+const { findOpenShift } = require('./cash-shift.service');
+const { parseMoney, roundMoney, shareOfAmount } = require('../utils/money');
+
+/**
+ * Service to create a full or partial return for a completed order
+ * @param {number} orderId - Order ID
+ * @param {Object} returnData - items, refundMethod, reason and fullReturn flag
+ * @param {number} adminId - ID of the admin processing the return
+ * @returns {Object} Newly created return
+ */
+const createReturn = async (orderId, returnData, adminId = null) => {
+  const { items = [], refundMethod, reason, fullReturn = false, restock = false } = returnData;
+  
+  if (!reason) {
+    throw new Error('Return reason is required');
+  }
+  
+  if (!fullReturn && (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object'))) {
+    throw new Error('Invalid return items: must be a list of order items and quantities');
+  }
+  
+  const order = await prisma.order.findUnique({
+    where: { id: parseInt(orderId, 10) },
+    include: {
+      orderItems: {
+        include: {
+          product: true,
+          variant: true
+        }
+      },
+      payments: true
+    }
+  });
+  
+  if (!order) {
+    throw new Error('Order not found');
+  }
+  
+  if (order.status !== 'COMPLETED') {
+    throw new Error('Only completed orders can be returned');
+  }
+  
+  const method = refundMethod || order.paymentMethod;
+  
+  if (!Object.values(PaymentMethod).includes(method)) {
+    throw new Error(`Invalid refund method: ${method}`);
+  }
+  
+  // A full return takes back everything that has not been returned yet
+  const requestedItems = fullReturn
+    ? order.orderItems
+      .filter(item => item.quantity > item.returnedQuantity)
+      .map(item => ({
+        orderItemId: item.id,
+        quantity: item.quantity - item.returnedQuantity,
+        restock
+      }))
+    : items;
+  
+  if (requestedItems.length === 0) {
+    throw new Error('Return must contain at least one item');
+  }
+  
+  // Part of the order may have been paid with loyalty points; only the part
+  // paid with money is refunded. Cash rounding is not part of what the items cost.
+  const paidAmount = order.totalAmount - order.cashRoundingAmount;
+  const amountBeforePoints = paidAmount + order.pointsDiscountAmount;
+  const paidShare = amountBeforePoints > 0 ? paidAmount / amountBeforePoints : 0;
+  
+  // Validate each line and work out its refund
+  const returnItems = [];
+  let refundAmount = 0;
+  
+  for (const item of requestedItems) {
+    const orderItem = order.orderItems.find(oi => oi.id === parseInt(item.orderItemId, 10));
+    
+    if (!orderItem) {
+      throw new Error(`Order item with ID ${item.orderItemId} not found in this order`);
+    }
+    
+    const quantity = parseInt(item.quantity, 10);
+    
+    if (!quantity || quantity < 1) {
+      throw new Error(`Invalid return quantity for order item ${orderItem.id}`);
+    }
+    
+    if (quantity > orderItem.quantity - orderItem.returnedQuantity) {
+      throw new Error(`Cannot return more than purchased for product: ${orderItem.product.name}`);
+    }
+    
+    // Refund defaults to what was paid for the returned units, after discounts
+    // and with exclusive tax
+    const paidAmount = roundMoney(
+      (orderItem.subtotal - orderItem.discountAmount + (orderItem.taxInclusive ? 0 : orderItem.taxAmount)) * paidShare
+    );
+    const maxRefund = shareOfAmount(paidAmount, orderItem.quantity, orderItem.returnedQuantity, quantity);
+    const itemRefund = item.refundAmount !== undefined ? parseMoney(item.refundAmount) : maxRefund;
+    
+    if (itemRefund < 0 || itemRefund > maxRefund) {
+      throw new Error(`Invalid refund amount for product: ${orderItem.product.name}`);
+    }
+    
+    refundAmount += itemRefund;
+    
+    returnItems.push({
+      orderItemId: orderItem.id,
+      productId: orderItem.productId,
+      variantId: orderItem.variantId,
+      productName: orderItem.product.name,
+      quantity,
+      refundAmount: itemRefund,
+      restock: item.restock !== undefined ? Boolean(item.restock) : Boolean(restock)
+    });
+  }
+  
+  const newReturn = await prisma.$transaction(async (prisma) => {
+    // The refund is paid out of the till of the admin processing it
+    const cashShiftId = await findOpenShift(prisma, adminId);
+    
+    if (method === 'CASH' && !cashShiftId) {
+      throw new Error('Invalid refund: open a cash shift before refunding cash');
+    }
+    
+    // Count the returned units with a conditional update so two concurrent
+    // returns cannot take back more than was sold
+    for (const item of returnItems) {
+      const updated = await prisma.$executeRaw`
+        UPDATE "OrderItem"
+        SET "returnedQuantity" = "returnedQuantity" + ${item.quantity},
+            "updatedAt" = NOW()
+        WHERE "id" = ${item.orderItemId}
+          AND "quantity" - "returnedQuantity" >= ${item.quantity}
+      `;
+      
+      if (updated === 0) {
+        throw new Error(`Cannot return more than purchased for product: ${item.productName}`);
+      }
+    }
+    
+    await restockItems(prisma, returnItems.filter(item => item.restock));
+    await reverseEarnedPoints(prisma, order, refundAmount, adminId);
+    
+    // Store credit refunds go back on the card the order was paid with, or
+    // onto a new store credit for the customer
+    const giftCardPayment = order.payments.find(payment => payment.giftCardId);
+    const giftCard = method === 'STORE_CREDIT'
+      ? await refundToGiftCard(prisma, {
+        orderId: order.id,
+        giftCardId: giftCardPayment ? giftCardPayment.giftCardId : null,
+        customerId: order.customerId
+      }, refundAmount, {
+        reason: `Return for order #${order.id}: ${reason}`,
+        adminId
+      })
+      : null;
+    
+    const orderReturn = await prisma.orderReturn.create({
+      data: {
+        orderId: order.id,
+        refundAmount,
+        refundMethod: method,
+        reason,
+        adminId,
+        cashShiftId,
+        items: {
+          create: returnItems.map(item => ({
+            orderItemId: item.orderItemId,
+            quantity: item.quantity,
+            refundAmount: item.refundAmount,
+            restock: item.restock
+          }))
+        }
+      },
+      include: {
+        items: {
+          include: {
+            orderItem: {
+              include: {
+                product: true,
+                variant: true
+              }
+            }
+          }
+        }
+      }
+    });
+    
+    return giftCard ? { ...orderReturn, giftCard } : orderReturn;
+  });
+  
+  return newReturn;
+};
+
+/**
+ * Service to get all returns of an order
+ * @param {number} orderId - Order ID
+ * @returns {Array} Returns, newest first
+ */
+const getOrderReturns = async (orderId) => {
+  const order = await prisma.order.findUnique({
+    where: { id: parseInt(orderId, 10) },
+    select: { id: true }
+  });
+  
+  if (!order) {
+    throw new Error('Order not found');
+  }
+  
+  const returns = await prisma.orderReturn.findMany({
+    where: { orderId: order.id },
+    orderBy: { createdAt: 'desc' },
+    include: {
+      admin: {
+        select: {
+          id: true,
+          username: true
+        }
+      },
+      items: {
+        include: {
+          orderItem: {
+            include: {
+              product: true,
+              variant: true
+            }
+          }
+        }
+      }
+    }
+  });
+  
+  return returns;
+};
+
+/**
+ * Service to get the returns processed in a period, for the sales reports
+ * @param {Object} createdAt - Prisma date filter for the return date
+ * @returns {Array} Returns with their items, products and categories
+ */
+const getReturnsInPeriod = async (createdAt) => {
+  return prisma.orderReturn.findMany({
+    where: { createdAt },
+    include: {
+      items: {
+        include: {
+          orderItem: {
+            include: {
+              product: {
+                include: {
+                  category: true
+                }
+              },
+              variant: true
+            }
+          }
+        }
+      }
+    },
+    orderBy: {
+      createdAt: 'asc'
+    }
+  });
+};
+
+module.exports = {
+  createReturn,
+  getOrderReturns,
+  getReturnsInPeriod
+};
@@ -0,0 +1,259 @@
+// src/services/stock.service.js
+
+/**
+ * Stock reservation helpers.
+ *
+ * Stock is held (reserved) when an order is created, released when the order
+ * is cancelled or expires, and converted into a sale when the order is
+ * completed. All helpers take the transaction client of the caller so the
+ * stock movement commits or rolls back together with the order change.
+ *
+ * Items of products sold in variants carry a variantId. Their availability is
+ * checked on the variant, and every move is repeated on the product so its
+ * stock stays the total of its variants.
+ */
+
+/**
+ * Apply a stock move of a variant to its product's totals
+ * @param {Object} tx - Prisma transaction client
+ * @param {number} productId - Product ID
+ * @param {number} stockChange - Change in stock
+ * @param {number} reservedChange - Change in reserved stock
+ */
+const moveProductTotals = async (tx, productId, stockChange, reservedChange) => {
+  await tx.$executeRaw`
+    UPDATE "Product"
+    SET "stock" = "stock" + ${stockChange},
+        "reservedStock" = GREATEST("reservedStock" + ${reservedChange}, 0),
+        "updatedAt" = NOW()
+    WHERE "id" = ${productId}
+  `;
+};
+
+/**
+ * Reserve stock for a list of order items.
+ * The availability check and the hold are a single conditional UPDATE, so two
+ * concurrent orders can never reserve the same unit.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array} items - Items with productId, optional variantId, quantity and optional name
+ */
+const reserveStock = async (tx, items) => {
+  for (const item of items) {
+    if (item.variantId) {
+      const updated = await tx.$executeRaw`
+        UPDATE "ProductVariant"
+        SET "reservedStock" = "reservedStock" + ${item.quantity},
+            "updatedAt" = NOW()
+        WHERE "id" = ${item.variantId}
+          AND "stock" - "reservedStock" >= ${item.quantity}
+      `;
+
+      if (updated === 0) {
+        throw new Error(`Insufficient stock for product: ${item.name || item.productId}`);
+      }
+
+      await moveProductTotals(tx, item.productId, 0, item.quantity);
+      continue;
+    }
+
+    const updated = await tx.$executeRaw`
+      UPDATE "Product"
+      SET "reservedStock" = "reservedStock" + ${item.quantity},
+          "updatedAt" = NOW()
+      WHERE "id" = ${item.productId}
+        AND "stock" - "reservedStock" >= ${item.quantity}
+    `;
+
+    if (updated === 0) {
+      throw new Error(`Insufficient stock for product: ${item.name || item.productId}`);
+    }
+  }
+};
+
+/**
+ * Release previously reserved stock (order cancelled or expired)
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array} items - Order items with productId, variantId and quantity
+ */
+const releaseStock = async (tx, items) => {
+  for (const item of items) {
+    if (item.variantId) {
+      await tx.$executeRaw`
+        UPDATE "ProductVariant"
+        SET "reservedStock" = GREATEST("reservedStock" - ${item.quantity}, 0),
+            "updatedAt" = NOW()
+        WHERE "id" = ${item.variantId}
+      `;
+
+      await moveProductTotals(tx, item.productId, 0, -item.quantity);
+      continue;
+    }
+
+    await tx.$executeRaw`
+      UPDATE "Product"
+      SET "reservedStock" = GREATEST("reservedStock" - ${item.quantity}, 0),
+          "updatedAt" = NOW()
+      WHERE "id" = ${item.productId}
+    `;
+  }
+};
+
+/**
+ * Take a variant's sold units off its stock and its product's totals.
+ * Like the product update in commitStock, it only succeeds while the
+ * variant's stock stays at or above zero.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} item - Order item with productId, variantId and quantity
+ * @returns {boolean} True if the stock was taken
+ */
+const commitVariantStock = async (tx, item) => {
+  const updated = await tx.$executeRaw`
+    UPDATE "ProductVariant"
+    SET "stock" = "stock" - ${item.quantity},
+        "reservedStock" = GREATEST("reservedStock" - ${item.quantity}, 0),
+        "updatedAt" = NOW()
+    WHERE "id" = ${item.variantId}
+      AND "stock" >= ${item.quantity}
+  `;
+
+  if (updated > 0) {
+    await moveProductTotals(tx, item.productId, -item.quantity, -item.quantity);
+  }
+
+  return updated > 0;
+};
+
+/**
+ * Convert reserved stock into a sale (order completed).
+ * Each decrement is a conditional UPDATE that only succeeds while stock stays
+ * at or above zero, so stock lowered after the order was placed is caught here
+ * instead of going negative.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array} items - Order items with id, productId, variantId, quantity and optional product
+ * @param {Object} options - allowBackorder sells the shortfall without stock
+ * @returns {Array} Shortages with the requested, available and backordered quantities
+ */
+const commitStock = async (tx, items, { allowBackorder = false } = {}) => {
+  const shortages = [];
+
+  for (const item of items) {
+    if (item.variantId) {
+      if (await commitVariantStock(tx, item)) {
+        continue;
+      }
+    } else {
+      const updated = await tx.$executeRaw`
+        UPDATE "Product"
+        SET "stock" = "stock" - ${item.quantity},
+            "reservedStock" = GREATEST("reservedStock" - ${item.quantity}, 0),
+            "updatedAt" = NOW()
+        WHERE "id" = ${item.productId}
+          AND "stock" >= ${item.quantity}
+      `;
+
+      if (updated > 0) {
+        continue;
+      }
+    }
+
+    // Lock the row so the available figure cannot change before we use it
+    const [stockRow] = item.variantId
+      ? await tx.$queryRaw`
+        SELECT "stock" FROM "ProductVariant" WHERE "id" = ${item.variantId} FOR UPDATE
+      `
+      : await tx.$queryRaw`
+        SELECT "stock" FROM "Product" WHERE "id" = ${item.productId} FOR UPDATE
+      `;
+    const available = Math.max(stockRow ? stockRow.stock : 0, 0);
+
+    shortages.push({
+      orderItemId: item.id,
+      productId: item.productId,
+      variantId: item.variantId || null,
+      name: item.product ? item.product.name : undefined,
+      requested: item.quantity,
+      available,
+      backordered: allowBackorder ? item.quantity - available : 0
+    });
+
+    if (!allowBackorder) {
+      continue;
+    }
+
+    // Sell what is on hand; the rest is recorded as a backorder by the caller
+    if (item.variantId) {
+      await tx.$executeRaw`
+        UPDATE "ProductVariant"
+        SET "stock" = "stock" - ${available},
+            "reservedStock" = GREATEST("reservedStock" - ${item.quantity}, 0),
+            "updatedAt" = NOW()
+        WHERE "id" = ${item.variantId}
+      `;
+
+      await moveProductTotals(tx, item.productId, -available, -item.quantity);
+    } else {
+      await tx.$executeRaw`
+        UPDATE "Product"
+        SET "stock" = "stock" - ${available},
+            "reservedStock" = GREATEST("reservedStock" - ${item.quantity}, 0),
+            "updatedAt" = NOW()
+        WHERE "id" = ${item.productId}
+      `;
+    }
+  }
+
+  return shortages;
+};
+
+/**
+ * Put returned items back into stock
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array} items - Items with productId, optional variantId and quantity
+ */
+const restockItems = async (tx, items) => {
+  for (const item of items) {
+    if (item.variantId) {
+      await tx.productVariant.update({
+        where: { id: item.variantId },
+        data: {
+          stock: {
+            increment: item.quantity
+          }
+        }
+      });
+    }
+
+    await tx.product.update({
+      where: { id: item.productId },
+      data: {
+        stock: {
+          increment: item.quantity
+        }
+      }
+    });
+  }
+};
+
+/**
+ * Add the available stock figure to a product
+ * @param {Object} product - Product record
+ * @returns {Object} Product with availableStock
+ */
+const withAvailableStock = (product) => {
+  if (!product) {
+    return product;
+  }
+
+  return {
+    ...product,
+    availableStock: Math.max(product.stock - product.reservedStock, 0)
+  };
+};
+
+module.exports = {
+  reserveStock,
+  releaseStock,
+  commitStock,
+  restockItems,
+  withAvailableStock
+};
@@ -0,0 +1,135 @@
+// src/services/store-settings.service.js
+const { prisma } = require('../config/db');
+
+// Longest shop detail or receipt header/footer text that is accepted
+const MAX_RECEIPT_TEXT_LENGTH = 500;
+
+/**
+ * Service to get the store settings.
+ * The settings are a single row that is created with its defaults on first use.
+ * @returns {Promise<Object>} Store settings
+ */
+const getStoreSettings = async () => {
+  const settings = await prisma.storeSetting.upsert({
+    where: { id: 1 },
+    update: {},
+    create: { id: 1 }
+  });
+
+  return settings;
+};
+
+/**
+ * Service to update the store settings
+ * @param {Object} data - Updated settings data
+ * @returns {Promise<Object>} Updated store settings
+ */
+const updateStoreSettings = async (data) => {
+  const updateFields = {};
+
+  if (data.serviceChargeEnabled !== undefined) updateFields.serviceChargeEnabled = Boolean(data.serviceChargeEnabled);
+  if (data.serviceChargeName !== undefined) updateFields.serviceChargeName = data.serviceChargeName;
+
+  if (data.serviceChargeRate !== undefined) {
+    const serviceChargeRate = parseFloat(data.serviceChargeRate);
+
+    if (isNaN(serviceChargeRate) || serviceChargeRate < 0 || serviceChargeRate > 100) {
+      throw new Error('Invalid service charge rate: rate must be between 0 and 100');
+    }
+
+    updateFields.serviceChargeRate = serviceChargeRate;
+  }
+
+  // Buylist percentages: the cash buy price as a share of the sell price, and
+  // the bonus on top of it for store credit payouts
+  ['buylistRate', 'buylistCreditBonus'].forEach(field => {
+    if (data[field] !== undefined) {
+      const rate = parseFloat(data[field]);
+
+      if (isNaN(rate) || rate < 0 || rate > 100) {
+        throw new Error(`Invalid ${field}: must be between 0 and 100`);
+      }
+
+      updateFields[field] = rate;
+    }
+  });
+
+  if (data.loyaltyEnabled !== undefined) updateFields.loyaltyEnabled = Boolean(data.loyaltyEnabled);
+
+  // Loyalty amounts are whole rupiah and must be positive
+  ['pointsEarnAmount', 'pointValue'].forEach(field => {
+    if (data[field] !== undefined) {
+      const amount = parseInt(data[field], 10);
+
+      if (!amount || amount < 1) {
+        throw new Error(`Invalid ${field}: must be a positive whole number`);
+      }
+
+      updateFields[field] = amount;
+    }
+  });
+
+  if (data.pointsExpiryDays !== undefined) {
+    const days = data.pointsExpiryDays === null || data.pointsExpiryDays === '' ? null : parseInt(data.pointsExpiryDays, 10);
+
+    if (days !== null && (!days || days < 1)) {
+      throw new Error('Invalid pointsExpiryDays: must be a positive whole number or empty');
+    }
+
+    updateFields.pointsExpiryDays = days;
+  }
+
+  if (data.cashRoundingUnit !== undefined) {
+    const unit = parseInt(data.cashRoundingUnit, 10);
+
+    if (!unit || unit < 1) {
+      throw new Error('Invalid cashRoundingUnit: must be a positive whole number (1 for no rounding)');
+    }
+
+    updateFields.cashRoundingUnit = unit;
+  }
+
+  if (data.cashRoundingMode !== undefined) {
+    if (!['NEAREST', 'DOWN', 'UP'].includes(data.cashRoundingMode)) {
+      throw new Error('Invalid cashRoundingMode: must be NEAREST, DOWN or UP');
+    }
+
+    updateFields.cashRoundingMode = data.cashRoundingMode;
+  }
+
+  if (data.shopName !== undefined) {
+    if (typeof data.shopName !== 'string' || !data.shopName.trim()) {
+      throw new Error('Invalid shopName: must not be empty');
+    }
+
+    updateFields.shopName = data.shopName.trim();
+  }
+
+  // Receipt texts are optional; an empty value clears them
+  ['shopAddress', 'shopPhone', 'receiptHeader', 'receiptFooter'].forEach(field => {
+    if (data[field] !== undefined) {
+      if (data[field] !== null && typeof data[field] !== 'string') {
+        throw new Error(`Invalid ${field}: must be text`);
+      }
+
+      if (data[field] && data[field].length > MAX_RECEIPT_TEXT_LENGTH) {
+        throw new Error(`Invalid ${field}: must be at most ${MAX_RECEIPT_TEXT_LENGTH} characters`);
+      }
+
+      updateFields[field] = data[field] ? data[field].trim() : null;
+    }
+  });
+
+  const settings = await prisma.storeSetting.upsert({
+    where: { id: 1 },
+    update: updateFields,
+    create: { id: 1, ...updateFields }
+  });
+
+  return settings;
+};
+
+module.exports = {
+  getStoreSettings,
+  updateStoreSettings
+};
@@ -0,0 +1,366 @@
+// src/services/tax.service.js
+const { prisma } = require('../config/db');
+const { roundMoney } = require('../utils/money');
+
+/**
+ * Build the Prisma data for a tax rate from request data
+ * @param {Object} data - Tax rate data from the request
+ * @returns {Object} Prisma data
+ */
+const buildTaxRateData = (data) => {
+  const fields = {};
+
+  if (data.name !== undefined) fields.name = data.name;
+  if (data.rate !== undefined) fields.rate = parseFloat(data.rate);
+  if (data.isInclusive !== undefined) fields.isInclusive = Boolean(data.isInclusive);
+  if (data.isDefault !== undefined) fields.isDefault = Boolean(data.isDefault);
+  if (data.isActive !== undefined) fields.isActive = Boolean(data.isActive);
+
+  return fields;
+};
+
+/**
+ * Validate a tax rate as it will be stored
+ * @param {Object} taxRate - Tax rate data
+ */
+const validateTaxRate = (taxRate) => {
+  if (!taxRate.name) {
+    throw new Error('Invalid tax rate: a name is required');
+  }
+
+  if (isNaN(taxRate.rate) || taxRate.rate < 0 || taxRate.rate > 100) {
+    throw new Error('Invalid tax rate: rate must be between 0 and 100');
+  }
+};
+
+/**
+ * Save a tax rate, making sure only one rate is the default
+ * @param {Function} save - Callback that writes the tax rate with the given client
+ * @param {Object} data - Tax rate data
+ * @param {number} taxRateId - ID of the tax rate being updated, if any
+ * @returns {Object} Saved tax rate
+ */
+const saveWithSingleDefault = async (save, data, taxRateId = null) => {
+  return prisma.$transaction(async (prisma) => {
+    if (data.isDefault) {
+      await prisma.taxRate.updateMany({
+        where: {
+          isDefault: true,
+          ...(taxRateId ? { id: { not: taxRateId } } : {})
+        },
+        data: { isDefault: false }
+      });
+    }
+
+    return save(prisma);
+  });
+};
+
+/**
+ * Service to create a tax rate
+ * @param {Object} taxRateData - Tax rate data
+ * @returns {Object} Newly created tax rate
+ */
+const createTaxRate = async (taxRateData) => {
+  const data = buildTaxRateData(taxRateData);
+
+  validateTaxRate(data);
+
+  const existingTaxRate = await prisma.taxRate.findUnique({
+    where: { name: data.name }
+  });
+
+  if (existingTaxRate) {
+    throw new Error('A tax rate with this name already exists');
+  }
+
+  return saveWithSingleDefault(prisma => prisma.taxRate.create({ data }), data);
+};
+
+/**
+ * Service to get all tax rates
+ * @returns {Array} List of tax rates with the number of products and categories using them
+ */
+const getAllTaxRates = async () => {
+  const taxRates = await prisma.taxRate.findMany({
+    orderBy: {
+      name: 'asc'
+    },
+    include: {
+      _count: {
+        select: {
+          products: true,
+          categories: true
+        }
+      }
+    }
+  });
+
+  return taxRates;
+};
+
+/**
+ * Service to get a tax rate by ID
+ * @param {number} taxRateId - Tax rate ID
+ * @returns {Object} Tax rate data
+ */
+const getTaxRateById = async (taxRateId) => {
+  const taxRate = await prisma.taxRate.findUnique({
+    where: { id: parseInt(taxRateId, 10) },
+    include: {
+      categories: {
+        select: {
+          id: true,
+          name: true
+        }
+      },
+      products: {
+        select: {
+          id: true,
+          name: true
+        }
+      }
+    }
+  });
+
+  if (!taxRate) {
+    throw new Error('Tax rate not found');
+  }
+
+  return taxRate;
+};
+
+/**
+ * Service to update a tax rate.
+ * Orders keep the name and rate they were placed with, so changing a rate
+ * only affects new orders.
+ * @param {number} taxRateId - Tax rate ID
+ * @param {Object} updateData - Data to update
+ * @returns {Object} Updated tax rate
+ */
+const updateTaxRate = async (taxRateId, updateData) => {
+  const taxRate = await prisma.taxRate.findUnique({
+    where: { id: parseInt(taxRateId, 10) }
+  });
+
+  if (!taxRate) {
+    throw new Error('Tax rate not found');
+  }
+
+  const updateFields = buildTaxRateData(updateData);
+
+  validateTaxRate({ ...taxRate, ...updateFields });
+
+  if (updateFields.name && updateFields.name !== taxRate.name) {
+    const existingTaxRate = await prisma.taxRate.findUnique({
+      where: { name: updateFields.name }
+    });
+
+    if (existingTaxRate) {
+      throw new Error('A tax rate with this name already exists');
+    }
+  }
+
+  return saveWithSingleDefault(prisma => prisma.taxRate.update({
+    where: { id: taxRate.id },
+    data: updateFields
+  }), updateFields, taxRate.id);
+};
+
+/**
+ * Service to delete a tax rate.
+ * Products and categories using it fall back to the default rate.
+ * @param {number} taxRateId - Tax rate ID
+ * @returns {Object} Deleted tax rate
+ */
+const deleteTaxRate = async (taxRateId) => {
+  const taxRate = await prisma.taxRate.findUnique({
+    where: { id: parseInt(taxRateId, 10) }
+  });
+
+  if (!taxRate) {
+    throw new Error('Tax rate not found');
+  }
+
+  return prisma.taxRate.delete({
+    where: { id: taxRate.id }
+  });
+};
+
+/**
+ * Check that a tax rate referenced by a product or category exists
+ * @param {number|null} taxRateId - Tax rate ID, or null to clear it
+ * @returns {number|null} Parsed tax rate ID
+ */
+const resolveTaxRateId = async (taxRateId) => {
+  if (taxRateId === null || taxRateId === '') {
+    return null;
+  }
+
+  const taxRate = await prisma.taxRate.findUnique({
+    where: { id: parseInt(taxRateId, 10) }
+  });
+
+  if (!taxRate) {
+    throw new Error('Selected tax rate does not exist');
+  }
+
+  return taxRate.id;
+};
+
+/**
+ * Pick the tax rate that applies to a product: its own rate, else its
+ * category's rate, else the default rate. Inactive rates are skipped.
+ * @param {Object} product - Product including taxRate and category.taxRate
+ * @param {Object|null} defaultTaxRate - The default tax rate
+ * @returns {Object|null} Applicable tax rate, or null if the product is untaxed
+ */
+const getApplicableTaxRate = (product, defaultTaxRate) => {
+  const candidates = [
+    product.taxRate,
+    product.category ? product.category.taxRate : null,
+    defaultTaxRate
+  ];
+
+  return candidates.find(taxRate => taxRate && taxRate.isActive) || null;
+};
+
+/**
+ * Work out the tax of each order line and the service charge.
+ * Tax is charged on the line amount after discounts. An inclusive rate is
+ * already part of the price and is only split out; an exclusive rate is added
+ * on top. The service charge is a percentage of the order amount after
+ * discounts, without tax.
+ * @param {Array} lines - Order lines with key, product, subtotal and discountAmount
+ * @param {Object} client - Prisma client or transaction client
+ * @returns {Object} Per-line tax fields, total tax, exclusive tax and service charge
+ */
+const calculateTaxes = async (lines, client = prisma) => {
+  const defaultTaxRate = await client.taxRate.findFirst({
+    where: {
+      isDefault: true,
+      isActive: true
+    }
+  });
+
+  const storeSetting = await client.storeSetting.findUnique({
+    where: { id: 1 }
+  });
+
+  let taxAmount = 0;
+  let exclusiveTaxAmount = 0;
+  let netAmount = 0;
+
+  const taxedLines = lines.map(line => {
+    const taxRate = getApplicableTaxRate(line.product, defaultTaxRate);
+    const lineAmount = line.subtotal - line.discountAmount;
+
+    let lineTax = 0;
+
+    if (taxRate) {
+      lineTax = roundMoney(taxRate.isInclusive
+        ? lineAmount * taxRate.rate / (100 + taxRate.rate)
+        : lineAmount * taxRate.rate / 100);
+    }
+
+    const taxInclusive = taxRate ? taxRate.isInclusive : false;
+
+    taxAmount += lineTax;
+    exclusiveTaxAmount += taxInclusive ? 0 : lineTax;
+    netAmount += taxInclusive ? lineAmount - lineTax : lineAmount;
+
+    return {
+      ...line,
+      taxName: taxRate ? taxRate.name : null,
+      taxRate: taxRate ? taxRate.rate : 0,
+      taxInclusive,
+      taxAmount: lineTax
+    };
+  });
+
+  const serviceChargeAmount = storeSetting && storeSetting.serviceChargeEnabled
+    ? roundMoney(netAmount * storeSetting.serviceChargeRate / 100)
+    : 0;
+
+  return {
+    lines: taxedLines,
+    taxAmount: roundMoney(taxAmount),
+    exclusiveTaxAmount: roundMoney(exclusiveTaxAmount),
+    serviceChargeAmount
+  };
+};
+
+/**
+ * Sum the tax of a set of orders per tax rate, net of the tax refunded with returns.
+ * Refunded tax is the refunded share of what was paid for the line.
+ * @param {Array} orders - Orders including their orderItems
+ * @param {Array} refunds - Returns with items including orderItem
+ * @returns {Array} Tax totals per tax name, rate and treatment
+ */
+const summarizeTaxes = (orders, refunds = []) => {
+  const taxMap = {};
+
+  const getTaxTotals = (item) => {
+    const key = `${item.taxName}|${item.taxRate}|${item.taxInclusive}`;
+
+    if (!taxMap[key]) {
+      taxMap[key] = {
+        name: item.taxName,
+        rate: item.taxRate,
+        inclusive: item.taxInclusive,
+        taxableAmount: 0,
+        taxAmount: 0,
+        refundedTax: 0,
+        netTaxAmount: 0
+      };
+    }
+    return taxMap[key];
+  };
+
+  orders.forEach(order => {
+    order.orderItems.forEach(item => {
+      if (!item.taxName) {
+        return;
+      }
+
+      const taxTotals = getTaxTotals(item);
+      const lineAmount = item.subtotal - item.discountAmount;
+
+      taxTotals.taxableAmount += item.taxInclusive ? lineAmount - item.taxAmount : lineAmount;
+      taxTotals.taxAmount += item.taxAmount;
+      taxTotals.netTaxAmount += item.taxAmount;
+    });
+  });
+
+  refunds.forEach(orderReturn => {
+    orderReturn.items.forEach(returnItem => {
+      const item = returnItem.orderItem;
+
+      if (!item.taxName || item.taxAmount <= 0) {
+        return;
+      }
+
+      const paidAmount = item.subtotal - item.discountAmount + (item.taxInclusive ? 0 : item.taxAmount);
+      const refundedTax = paidAmount > 0
+        ? roundMoney(item.taxAmount * returnItem.refundAmount / paidAmount)
+        : 0;
+      const taxTotals = getTaxTotals(item);
+
+      taxTotals.refundedTax += refundedTax;
+      taxTotals.netTaxAmount -= refundedTax;
+    });
+  });
+
+  return Object.values(taxMap).sort((a, b) => b.netTaxAmount - a.netTaxAmount);
+};
+
+module.exports = {
+  createTaxRate,
+  getAllTaxRates,
+  getTaxRateById,
+  updateTaxRate,
+  deleteTaxRate,
+  resolveTaxRateId,
+  calculateTaxes,
+  summarizeTaxes
+};
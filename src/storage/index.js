@@ -0,0 +1,135 @@
+// src/storage/index.js
+const crypto = require('crypto');
+const config = require('../config/app');
+const { createLocalDriver } = require('./local.driver');
+const { createS3Driver } = require('./s3.driver');
+
+/**
+ * File storage.
+ *
+ * Uploaded files are stored under a key like "products/product-....jpg"
+ * through the driver picked by STORAGE_DRIVER, so the services don't depend
+ * on where files live. Every driver has put, get, delete, getSignedUrl and
+ * getPublicUrl.
+ */
+
+const DRIVERS = {
+  local: () => createLocalDriver(config.storage.local),
+  s3: () => createS3Driver(config.storage.s3)
+};
+
+let driver = null;
+
+/**
+ * Get the configured storage driver, creating it on first use
+ * @returns {Object} Storage driver
+ */
+const getDriver = () => {
+  if (!driver) {
+    const createDriver = DRIVERS[config.storage.driver];
+
+    if (!createDriver) {
+      throw new Error(`Unknown storage driver: ${config.storage.driver}`);
+    }
+
+    driver = createDriver();
+  }
+
+  return driver;
+};
+
+/**
+ * Generate a new, unguessable key for a file
+ * @param {string} folder - Folder, e.g. "products"
+ * @param {string} prefix - File name prefix, e.g. "product"
+ * @param {string|null} extension - File extension; null for a key that
+ * several files extend
+ * @returns {string} Storage key
+ */
+const generateKey = (folder, prefix, extension = 'jpg') => {
+  const key = `${folder}/${prefix}-${Date.now()}-${crypto.randomBytes(8).toString('hex')}`;
+  return extension ? `${key}.${extension}` : key;
+};
+
+/**
+ * Store a file
+ * @param {string} key - Storage key
+ * @param {Buffer} body - File content
+ * @param {Object} options - contentType
+ * @returns {Promise<string>} Storage key
+ */
+const putFile = (key, body, options = {}) => getDriver().put(key, body, options);
+
+/**
+ * Read a file
+ * @param {string} key - Storage key
+ * @returns {Promise<Object>} body (Buffer) and contentType
+ */
+const getFile = (key) => getDriver().get(key);
+
+/**
+ * Delete a file. This is best effort: a failure is logged and leaves an
+ * orphaned file behind, but doesn't fail the request that replaced it.
+ * @param {string} key - Storage key
+ */
+const deleteFile = async (key) => {
+  try {
+    await getDriver().delete(key);
+  } catch (error) {
+    console.error(`Error deleting stored file ${key}:`, error);
+  }
+};
+
+/**
+ * Get a temporary link to a private file
+ * @param {string} key - Storage key
+ * @param {number} expiresIn - Seconds the link stays valid
+ * @returns {Promise<string>} Signed URL
+ */
+const getSignedUrl = (key, expiresIn = config.storage.signedUrlExpiresIn) => {
+  return getDriver().getSignedUrl(key, expiresIn);
+};
+
+/**
+ * Get the permanent URL of a public file
+ * @param {string} key - Storage key
+ * @returns {string} Public URL
+ */
+const getPublicUrl = (key) => getDriver().getPublicUrl(key);
+
+/**
+ * Find the key of a file from its public URL
+ * @param {string} url - Public URL as stored on a record
+ * @returns {string|null} Storage key, or null when the URL isn't one of ours
+ */
+const getKeyFromPublicUrl = (url) => {
+  const baseUrl = getPublicUrl('');
+
+  return url && url.startsWith(baseUrl) && url.length > baseUrl.length
+    ? decodeURIComponent(url.slice(baseUrl.length))
+    : null;
+};
+
+/**
+ * Check a temporary link to a file served by the application itself
+ * @param {string} key - Storage key
+ * @param {string} expires - expires query parameter
+ * @param {string} signature - signature query parameter
+ * @returns {boolean} True if the link is genuine and not expired
+ */
+const verifySignedUrl = (key, expires, signature) => {
+  const storageDriver = getDriver();
+
+  return Boolean(storageDriver.verifySignedUrl) && storageDriver.verifySignedUrl(key, expires, signature);
+};
+
+module.exports = {
+  generateKey,
+  putFile,
+  getFile,
+  deleteFile,
+  getSignedUrl,
+  getPublicUrl,
+  getKeyFromPublicUrl,
+  verifySignedUrl
+};
@@ -0,0 +1,119 @@
+// src/storage/local.driver.js
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Content types of the files we store, by extension
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf'
+};
+
+/**
+ * Create the local disk storage driver.
+ * Files are kept under one directory. Public files are served by express
+ * static from publicBaseUrl; private files only through a signed link to
+ * GET /api/files/<key>.
+ * @param {Object} options - dir, publicBaseUrl and signingSecret
+ * @returns {Object} Storage driver
+ */
+const createLocalDriver = ({ dir, publicBaseUrl, signingSecret }) => {
+  /**
+   * Path of a key on disk; keys can't point outside the storage directory
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  const resolvePath = (key) => {
+    const filePath = path.resolve(dir, key);
+
+    if (!filePath.startsWith(dir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return filePath;
+  };
+
+  /**
+   * Signature of a temporary link to a file
+   * @param {string} key - Storage key
+   * @param {number} expires - Expiry as a unix timestamp
+   * @returns {string} Hex signature
+   */
+  const sign = (key, expires) => {
+    return crypto.createHmac('sha256', signingSecret).update(`${key}:${expires}`).digest('hex');
+  };
+
+  return {
+    name: 'local',
+
+    put: async (key, body) => {
+      const filePath = resolvePath(key);
+
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, body);
+
+      return key;
+    },
+
+    get: async (key) => {
+      try {
+        return {
+          body: await fs.promises.readFile(resolvePath(key)),
+          contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream'
+        };
+      } catch (error) {
+        if (error.code === 'ENOENT') {
+          throw new Error(`File not found: ${key}`);
+        }
+        throw error;
+      }
+    },
+
+    delete: async (key) => {
+      try {
+        await fs.promises.unlink(resolvePath(key));
+      } catch (error) {
+        // Already gone
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    },
+
+    getSignedUrl: async (key, expiresIn) => {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+      return `/api/files/${encodedKey}?expires=${expires}&signature=${sign(key, expires)}`;
+    },
+
+    getPublicUrl: (key) => `${publicBaseUrl}/${key}`,
+
+    /**
+     * Check a temporary link made by getSignedUrl
+     * @param {string} key - Storage key from the link
+     * @param {string} expires - expires query parameter
+     * @param {string} signature - signature query parameter
+     * @returns {boolean} True if the link is genuine and not expired
+     */
+    verifySignedUrl: (key, expires, signature) => {
+      const expiresAt = parseInt(expires, 10);
+
+      if (!expiresAt || expiresAt < Date.now() / 1000 || typeof signature !== 'string') {
+        return false;
+      }
+
+      const expected = Buffer.from(sign(key, expiresAt));
+      const given = Buffer.from(signature);
+
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+  };
+};
+
+module.exports = {
+  createLocalDriver
+};
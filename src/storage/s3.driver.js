@@ -0,0 +1,91 @@
+// src/storage/s3.driver.js
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * Create the S3-compatible storage driver (AWS S3, MinIO, ...).
+ * Public files are read straight from the bucket, so the bucket needs a
+ * policy that allows anonymous reads of the public folders (products/, qris/).
+ * Private files are only reachable through presigned links.
+ * @param {Object} options - endpoint, region, bucket, credentials, forcePathStyle and publicBaseUrl
+ * @returns {Object} Storage driver
+ */
+const createS3Driver = ({ endpoint, region, bucket, accessKeyId, secretAccessKey, forcePathStyle, publicBaseUrl }) => {
+  if (!bucket) {
+    throw new Error('S3_BUCKET is required for the s3 storage driver');
+  }
+
+  const client = new S3Client({
+    endpoint: endpoint || undefined,
+    region,
+    forcePathStyle,
+    credentials: accessKeyId && secretAccessKey
+      ? { accessKeyId, secretAccessKey }
+      : undefined
+  });
+
+  // Path-style bucket URL on a custom endpoint, otherwise the AWS bucket host
+  const baseUrl = (publicBaseUrl || (endpoint
+    ? `${endpoint.replace(/\/$/, '')}/${bucket}`
+    : `https://${bucket}.s3.${region}.amazonaws.com`)).replace(/\/$/, '');
+
+  return {
+    name: 's3',
+
+    put: async (key, body, { contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType
+      }));
+
+      return key;
+    },
+
+    get: async (key) => {
+      try {
+        const object = await client.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: key
+        }));
+
+        return {
+          body: Buffer.from(await object.Body.transformToByteArray()),
+          contentType: object.ContentType || 'application/octet-stream'
+        };
+      } catch (error) {
+        if (error.name === 'NoSuchKey') {
+          throw new Error(`File not found: ${key}`);
+        }
+        throw error;
+      }
+    },
+
+    // S3 deletes succeed for keys that don't exist
+    delete: async (key) => {
+      await client.send(new DeleteObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }));
+    },
+
+    getSignedUrl: async (key, expiresIn) => {
+      return getSignedUrl(client, new GetObjectCommand({
+        Bucket: bucket,
+        Key: key
+      }), { expiresIn });
+    },
+
+    getPublicUrl: (key) => `${baseUrl}/${key}`
+  };
+};
+
+module.exports = {
+  createS3Driver
+};
@@ -0,0 +1,120 @@
+// src/utils/barcode.js
+
+/**
+ * Barcode helpers.
+ *
+ * Manufacturer barcodes are GTINs: EAN-8, UPC-A (12 digits) and EAN-13,
+ * each ending in a check digit. Our own labels for weighed or loose items use
+ * price-embedded EAN-13 codes: a prefix digit, the product ID, the price (or
+ * weight) and the check digit, e.g. 2 000123 15000 c. The value is counted
+ * in steps of valueUnit rupiah or grams, so five value digits hold up to
+ * 99999 × valueUnit.
+ */
+
+// Digit counts of the GTIN formats that carry a check digit
+const GTIN_LENGTHS = [8, 12, 13];
+
+/**
+ * Calculate the GS1 check digit for the digits before it
+ * @param {string} digits - Code without its check digit
+ * @returns {number} Check digit
+ */
+const calculateCheckDigit = (digits) => {
+  const sum = digits
+    .split('')
+    .reverse()
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+
+  return (10 - (sum % 10)) % 10;
+};
+
+/**
+ * Check whether a code is a GTIN (EAN-8, UPC-A or EAN-13) by its length
+ * @param {string} code - Barcode
+ * @returns {boolean} True for an all-digit code of a GTIN length
+ */
+const isGtin = (code) => /^\d+$/.test(code) && GTIN_LENGTHS.includes(code.length);
+
+/**
+ * Check the check digit of a GTIN
+ * @param {string} code - EAN-8, UPC-A or EAN-13 code
+ * @returns {boolean} True if the check digit matches
+ */
+const hasValidCheckDigit = (code) => {
+  return calculateCheckDigit(code.slice(0, -1)) === Number(code.slice(-1));
+};
+
+/**
+ * The forms a scanned code can be stored in: scanners report UPC-A codes
+ * either as 12 digits or as an EAN-13 with a leading zero
+ * @param {string} code - Scanned code
+ * @returns {Array<string>} Codes to look up
+ */
+const getCodeVariants = (code) => {
+  if (/^\d{12}$/.test(code)) {
+    return [code, `0${code}`];
+  }
+
+  if (/^0\d{12}$/.test(code)) {
+    return [code, code.slice(1)];
+  }
+
+  return [code];
+};
+
+/**
+ * Read a price-embedded barcode
+ * @param {string} code - Scanned code
+ * @param {Object} format - prefix, itemDigits, valueDigits and valueUnit
+ * @returns {Object|null} productId and value (in whole rupiah or grams), or
+ * null if the code is not one of ours
+ */
+const parseEmbeddedBarcode = (code, { prefix, itemDigits, valueDigits, valueUnit = 1 }) => {
+  if (code.length !== prefix.length + itemDigits + valueDigits + 1 ||
+      !/^\d+$/.test(code) ||
+      !code.startsWith(prefix) ||
+      !hasValidCheckDigit(code)) {
+    return null;
+  }
+
+  const itemStart = prefix.length;
+  const valueStart = itemStart + itemDigits;
+
+  return {
+    productId: parseInt(code.slice(itemStart, valueStart), 10),
+    value: parseInt(code.slice(valueStart, valueStart + valueDigits), 10) * valueUnit
+  };
+};
+
+/**
+ * Build a price-embedded barcode
+ * @param {number} productId - Product ID
+ * @param {number} value - Price in whole rupiah, or weight in grams
+ * @param {Object} format - prefix, itemDigits, valueDigits and valueUnit
+ * @returns {string} EAN-13 code
+ */
+const buildEmbeddedBarcode = (productId, value, { prefix, itemDigits, valueDigits, valueUnit = 1 }) => {
+  const item = String(productId).padStart(itemDigits, '0');
+  const amount = String(value / valueUnit).padStart(valueDigits, '0');
+
+  if (item.length > itemDigits) {
+    throw new Error(`Invalid barcode: product ${productId} does not fit an embedded barcode`);
+  }
+
+  if (!Number.isInteger(value / valueUnit) || value < 0 || amount.length > valueDigits) {
+    throw new Error(`Invalid barcode: value ${value} must be a multiple of ${valueUnit} up to ${(10 ** valueDigits - 1) * valueUnit} to fit an embedded barcode`);
+  }
+
+  const digits = `${prefix}${item}${amount}`;
+
+  return `${digits}${calculateCheckDigit(digits)}`;
+};
+
+module.exports = {
+  calculateCheckDigit,
+  isGtin,
+  hasValidCheckDigit,
+  getCodeVariants,
+  parseEmbeddedBarcode,
+  buildEmbeddedBarcode
+};
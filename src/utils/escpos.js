@@ -0,0 +1,190 @@
+// src/utils/escpos.js
+
+/**
+ * ESC/POS receipt renderer.
+ *
+ * Turns the receipt lines built by the receipt service into the raw byte
+ * stream understood by common 58mm and 80mm thermal printers. Text is sent
+ * as plain ASCII in the printer's default font A, and the QR code is drawn by
+ * the printer itself (GS ( k), so no image has to be rasterized here.
+ */
+
+const ESC = 0x1b;
+const GS = 0x1d;
+
+// Characters per line in font A
+const ESCPOS_PAPER_COLUMNS = {
+  '58mm': 32,
+  '80mm': 48
+};
+
+// QR module size (dots) that gives a code of about 25mm on each paper
+const QR_MODULE_SIZES = {
+  '58mm': 5,
+  '80mm': 6
+};
+
+const ALIGNMENTS = {
+  left: 0,
+  center: 1,
+  right: 2
+};
+
+const commands = {
+  init: () => [ESC, 0x40],
+  align: (align) => [ESC, 0x61, ALIGNMENTS[align] || 0],
+  bold: (on) => [ESC, 0x45, on ? 1 : 0],
+  // Double width and height, or back to normal
+  size: (large) => [GS, 0x21, large ? 0x11 : 0x00],
+  feed: (lines) => [ESC, 0x64, lines],
+  // Feed to the cutter and make a partial cut
+  cut: () => [GS, 0x56, 0x42, 0x03]
+};
+
+/**
+ * Make text printable in the default code page: accents are dropped and
+ * anything else outside printable ASCII becomes "?"
+ * @param {string} text - Text to print
+ * @returns {string} Printable text
+ */
+const toPrintable = (text) => {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e\n]/g, '?');
+};
+
+/**
+ * Break text into lines of at most `width` characters, on spaces where possible
+ * @param {string} text - Text to wrap
+ * @param {number} width - Characters per line
+ * @returns {Array<string>} Lines
+ */
+const wrapText = (text, width) => {
+  const lines = [];
+
+  toPrintable(text).split('\n').forEach(paragraph => {
+    let current = '';
+
+    paragraph.split(' ').forEach(word => {
+      // Words longer than a line are broken hard
+      while (word.length > width) {
+        if (current) {
+          lines.push(current);
+          current = '';
+        }
+        lines.push(word.slice(0, width));
+        word = word.slice(width);
+      }
+
+      if (!current) {
+        current = word;
+      } else if (current.length + 1 + word.length <= width) {
+        current = `${current} ${word}`;
+      } else {
+        lines.push(current);
+        current = word;
+      }
+    });
+
+    lines.push(current);
+  });
+
+  return lines;
+};
+
+/**
+ * Lay out a row with text on the left and an amount on the right.
+ * A left part that doesn't fit next to the amount wraps above it.
+ * @param {string} left - Left text
+ * @param {string} right - Right text
+ * @param {number} width - Characters per line
+ * @returns {Array<string>} Lines
+ */
+const formatRow = (left, right, width) => {
+  const rightText = toPrintable(right);
+  const leftLines = wrapText(left, Math.max(width - rightText.length - 1, 1));
+  const last = leftLines.pop();
+
+  return [
+    ...leftLines,
+    `${last}${' '.repeat(Math.max(width - last.length - rightText.length, 1))}${rightText}`
+  ];
+};
+
+/**
+ * Commands that print a QR code (model 2, error correction M)
+ * @param {string} data - Content of the QR code
+ * @param {number} moduleSize - Size of one module in dots
+ * @returns {Array<number>} Command bytes
+ */
+const qrCode = (data, moduleSize) => {
+  const bytes = Buffer.from(toPrintable(data), 'ascii');
+  const storeLength = bytes.length + 3;
+
+  return [
+    GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00,
+    GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, moduleSize,
+    GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31,
+    GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30, ...bytes,
+    GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30
+  ];
+};
+
+/**
+ * Render receipt lines to an ESC/POS byte stream
+ * @param {Array<Object>} lines - Receipt lines (text, row, divider, feed, qr)
+ * @param {Object} options - paper: 58mm or 80mm
+ * @returns {Promise<Buffer>} Bytes to send to the printer
+ */
+const renderReceiptEscPos = async (lines, { paper = '80mm' } = {}) => {
+  const width = ESCPOS_PAPER_COLUMNS[paper];
+
+  if (!width) {
+    throw new Error(`Invalid paper for ESC/POS receipts: ${paper}`);
+  }
+
+  const bytes = [...commands.init()];
+
+  const print = (text) => {
+    bytes.push(...Buffer.from(`${text}\n`, 'ascii'));
+  };
+
+  lines.forEach(line => {
+    switch (line.type) {
+      case 'text':
+        bytes.push(...commands.align(line.align), ...commands.bold(line.bold), ...commands.size(line.large));
+        // Large text is twice as wide, so half as many characters fit
+        wrapText(line.text, line.large ? Math.floor(width / 2) : width).forEach(print);
+        bytes.push(...commands.size(false), ...commands.bold(false), ...commands.align('left'));
+        break;
+      case 'row':
+        bytes.push(...commands.bold(line.bold));
+        formatRow(line.left, line.right, width).forEach(print);
+        bytes.push(...commands.bold(false));
+        break;
+      case 'divider':
+        print('-'.repeat(width));
+        break;
+      case 'feed':
+        print('');
+        break;
+      case 'qr':
+        bytes.push(...commands.align('center'), ...qrCode(line.data, QR_MODULE_SIZES[paper]));
+        print('');
+        bytes.push(...commands.align('left'));
+        break;
+      default:
+        throw new Error(`Unknown receipt line type: ${line.type}`);
+    }
+  });
+
+  bytes.push(...commands.feed(3), ...commands.cut());
+
+  return Buffer.from(bytes);
+};
+
+module.exports = {
+  ESCPOS_PAPER_COLUMNS,
+  renderReceiptEscPos
+};
@@ -1,55 +1,12 @@
 // src/utils/file-upload.js
 const multer = require('multer');
 const path = require('path');
-const fs = require('fs');
 const sharp = require('sharp');
 const config = require('../config/app');
 
-// Ensure the upload directory exists
-const createUploadDir = (dir) => {
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-};
-
-// Configure storage for payment proofs
-const paymentProofStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../uploads/payment-proofs');
-    createUploadDir(uploadDir);
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, `payment-proof-${uniqueSuffix}.jpg`); // We'll convert all images to JPG
-  }
-});
-
-// Configure storage for product images
-const productImageStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../uploads/products');
-    createUploadDir(uploadDir);
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, `product-${uniqueSuffix}.jpg`); // We'll convert all images to JPG
-  }
-});
-
-// Configure storage for QRIS images
-const qrisImageStorage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const uploadDir = path.join(__dirname, '../../uploads/qris');
-    createUploadDir(uploadDir);
-    cb(null, uploadDir);
-  },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    cb(null, `qris-${uniqueSuffix}.jpg`); // We'll convert all images to JPG
-  }
-});
+// Uploads are kept in memory until they are compressed; the services then
+// save them through the storage driver
+const memoryStorage = multer.memoryStorage();
 
 // File filter to accept only images
 const imageFilter = (req, file, cb) => {
@@ -66,20 +23,31 @@ const imageFilter = (req, file, cb) => {
 
 // Create multer upload instances
 const uploadPaymentProof = multer({
-  storage: paymentProofStorage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  storage: memoryStorage,
+  limits: { fileSize: config.uploads.maxSize.paymentProof },
   fileFilter: imageFilter
 });
 
 const uploadProductImage = multer({
-  storage: productImageStorage,
-  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  storage: memoryStorage,
+  limits: { fileSize: config.uploads.maxSize.productImage },
+  fileFilter: imageFilter
+});
+
+// Product images are stored in several sizes by the product image service,
+// so they are kept as uploaded instead of being compressed here
+const uploadProductImages = multer({
+  storage: memoryStorage,
+  limits: {
+    fileSize: config.uploads.maxSize.productImage,
+    files: config.uploads.maxProductImages
+  },
   fileFilter: imageFilter
 });
 
 const uploadQrisImage = multer({
-  storage: qrisImageStorage,
-  limits: { fileSize: 2 * 1024 * 1024 }, // 2MB limit
+  storage: memoryStorage,
+  limits: { fileSize: config.uploads.maxSize.qrisImage },
   fileFilter: imageFilter
 });
 
@@ -90,45 +58,16 @@ const compressPaymentProof = async (req, res, next) => {
   }
 
   try {
-    const imagePath = req.file.path;
-    
     // Compress and resize the image
-    await sharp(imagePath)
+    req.file.buffer = await sharp(req.file.buffer)
       .resize(800) // Resize to max width of 800px (maintains aspect ratio)
       .jpeg({ quality: 70 }) // Convert to JPEG with 70% quality
-      .toBuffer()
-      .then(buffer => {
-        fs.writeFileSync(imagePath, buffer); // Overwrite the original file
-      });
-    
-    next();
-  } catch (error) {
-    console.error('Error compressing payment proof:', error);
-    next(error);
-  }
-};
+      .toBuffer();
+    req.file.mimetype = 'image/jpeg';
 
-// Compress product image
-const compressProductImage = async (req, res, next) => {
-  if (!req.file) {
-    return next();
-  }
-
-  try {
-    const imagePath = req.file.path;
-    
-    // Compress and resize the image
-    await sharp(imagePath)
-      .resize(1200) // Resize to max width of 1200px (maintains aspect ratio)
-      .jpeg({ quality: 80 }) // Convert to JPEG with 80% quality
-      .toBuffer()
-      .then(buffer => {
-        fs.writeFileSync(imagePath, buffer); // Overwrite the original file
-      });
-    
     next();
   } catch (error) {
-    console.error('Error compressing product image:', error);
+    console.error('Error compressing payment proof:', error);
     next(error);
   }
 };
@@ -140,17 +79,13 @@ const compressQrisImage = async (req, res, next) => {
   }
 
   try {
-    const imagePath = req.file.path;
-    
     // Compress and resize the image
-    await sharp(imagePath)
+    req.file.buffer = await sharp(req.file.buffer)
       .resize(1000) // Resize to max width of 1000px (maintains aspect ratio)
       .jpeg({ quality: 80 }) // Convert to JPEG with 80% quality
-      .toBuffer()
-      .then(buffer => {
-        fs.writeFileSync(imagePath, buffer); // Overwrite the original file
-      });
-    
+      .toBuffer();
+    req.file.mimetype = 'image/jpeg';
+
     next();
   } catch (error) {
     console.error('Error compressing QRIS image:', error);
@@ -161,8 +96,8 @@ const compressQrisImage = async (req, res, next) => {
 module.exports = {
   uploadPaymentProof,
   uploadProductImage,
+  uploadProductImages,
   uploadQrisImage,
   compressPaymentProof,
-  compressProductImage,
   compressQrisImage
-};
\ No newline at end of file
+};
@@ -0,0 +1,65 @@
+// src/utils/image-variants.js
+const sharp = require('sharp');
+
+// Widths of the generated sizes; smaller uploads are not enlarged
+const IMAGE_VARIANTS = {
+  thumbnail: 200,
+  medium: 600,
+  full: 1200
+};
+
+// WebP for browsers that support it, JPEG as the fallback
+const IMAGE_FORMATS = {
+  webp: { extension: 'webp', contentType: 'image/webp', options: { quality: 80 } },
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg', options: { quality: 80 } }
+};
+
+/**
+ * Storage key of one variant of an image
+ * @param {string} baseKey - Storage key the variants share
+ * @param {string} variant - thumbnail, medium or full
+ * @param {string} format - webp or jpeg
+ * @returns {string} Storage key
+ */
+const getVariantKey = (baseKey, variant, format) => {
+  return `${baseKey}-${variant}.${IMAGE_FORMATS[format].extension}`;
+};
+
+/**
+ * Generate every size and format of an uploaded image
+ * @param {Buffer} buffer - Uploaded image
+ * @returns {Promise<Array<Object>>} Files with variant, format, contentType, body, width and height
+ */
+const createImageVariants = async (buffer) => {
+  // Turn phone photos upright before the orientation tag is dropped
+  const source = sharp(buffer).rotate();
+  const files = [];
+
+  for (const [variant, width] of Object.entries(IMAGE_VARIANTS)) {
+    for (const [format, { contentType, options }] of Object.entries(IMAGE_FORMATS)) {
+      const { data, info } = await source
+        .clone()
+        .resize({ width, withoutEnlargement: true })
+        .toFormat(format, options)
+        .toBuffer({ resolveWithObject: true });
+
+      files.push({
+        variant,
+        format,
+        contentType,
+        body: data,
+        width: info.width,
+        height: info.height
+      });
+    }
+  }
+
+  return files;
+};
+
+module.exports = {
+  IMAGE_VARIANTS,
+  IMAGE_FORMATS,
+  getVariantKey,
+  createImageVariants
+};
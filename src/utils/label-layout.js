@@ -0,0 +1,74 @@
+// src/utils/label-layout.js
+const bwipjs = require('bwip-js');
+
+/**
+ * Product label layout.
+ *
+ * A label has the product name, a detail line (set and condition, or the
+ * variant), the price and a barcode with its digits underneath. Positions are
+ * worked out in millimetres from the label size, so the PDF and ZPL renderers
+ * print the same label.
+ */
+
+// Blank modules either side of a barcode so scanners find its edges
+const BARCODE_QUIET_ZONE = 10;
+
+/**
+ * Work out where the parts of a label go
+ * @param {Object} template - Label template with width and height in mm
+ * @returns {Object} padding, width, and the top and text size of name,
+ * detail, price, barcode and barcodeText, all in mm
+ */
+const getLabelLayout = (template) => {
+  const padding = Math.min(2, template.height * 0.07);
+  const textSize = Math.min(4, Math.max(2.2, template.height * 0.11));
+
+  const name = { top: padding, size: textSize };
+  const detail = { top: name.top + name.size * 1.2, size: textSize * 0.85 };
+  const price = { top: detail.top + detail.size * 1.2, size: textSize * 1.2 };
+  const barcodeText = { size: textSize * 0.8 };
+  const barcodeTop = price.top + price.size * 1.25;
+  const barcodeHeight = template.height - padding - barcodeTop - barcodeText.size * 1.2;
+
+  return {
+    padding,
+    width: template.width - padding * 2,
+    name,
+    detail,
+    price,
+    barcode: { top: barcodeTop, height: barcodeHeight },
+    barcodeText: { ...barcodeText, top: barcodeTop + barcodeHeight + barcodeText.size * 0.2 }
+  };
+};
+
+/**
+ * Encode a barcode into bar and space widths
+ * @param {Object} barcode - type (ean13 or code128) and text
+ * @returns {Object} widths (bar, space, bar, ... in modules) and modules,
+ * the total width including the quiet zones
+ */
+const encodeBarcode = (barcode) => {
+  const [{ sbs }] = bwipjs.raw(barcode.type, barcode.text);
+  const barWidth = sbs.reduce((total, width) => total + width, 0);
+
+  return {
+    widths: sbs,
+    modules: barWidth + BARCODE_QUIET_ZONE * 2
+  };
+};
+
+/**
+ * Expand labels into one entry per printed label
+ * @param {Array<Object>} labels - Labels with quantity
+ * @returns {Array<Object>} Labels, each repeated quantity times
+ */
+const expandLabels = (labels) => {
+  return labels.flatMap(label => Array.from({ length: label.quantity }, () => label));
+};
+
+module.exports = {
+  BARCODE_QUIET_ZONE,
+  getLabelLayout,
+  encodeBarcode,
+  expandLabels
+};
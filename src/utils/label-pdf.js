@@ -0,0 +1,143 @@
+// src/utils/label-pdf.js
+const PDFDocument = require('pdfkit');
+const { collectOutput } = require('./receipt-pdf');
+const {
+  BARCODE_QUIET_ZONE,
+  getLabelLayout,
+  encodeBarcode,
+  expandLabels
+} = require('./label-layout');
+
+/**
+ * PDF label renderer.
+ *
+ * Sheet templates place labels in rows and columns on A4 label sheets; roll
+ * templates get one label per page, sized to the label.
+ */
+
+/**
+ * Convert millimetres to points (1/72 inch)
+ * @param {number} mm - Millimetres
+ * @returns {number} Points
+ */
+const mmToPoints = (mm) => mm * 72 / 25.4;
+
+/**
+ * Draw one line of text, cut short with an ellipsis when it doesn't fit
+ * @param {Object} doc - PDF document
+ * @param {string} text - Text
+ * @param {Object} position - x, y and width in points
+ * @param {Object} style - size in mm, bold and align
+ */
+const drawTextLine = (doc, text, { x, y, width }, { size, bold = false, align = 'left' }) => {
+  const fontSize = mmToPoints(size);
+
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+    .fontSize(fontSize)
+    .text(text, x, y, { width, height: fontSize * 1.2, align, ellipsis: true, lineBreak: false });
+};
+
+/**
+ * Draw a barcode as vector bars, centred in its box
+ * @param {Object} doc - PDF document
+ * @param {Object} barcode - type and text
+ * @param {Object} box - x, y, width and height in points
+ */
+const drawBarcode = (doc, barcode, { x, y, width, height }) => {
+  const { widths, modules } = encodeBarcode(barcode);
+  const moduleWidth = width / modules;
+  let barX = x + BARCODE_QUIET_ZONE * moduleWidth;
+
+  widths.forEach((barWidth, index) => {
+    // Even entries are bars, odd entries the spaces between them
+    if (index % 2 === 0) {
+      doc.rect(barX, y, barWidth * moduleWidth, height);
+    }
+    barX += barWidth * moduleWidth;
+  });
+
+  doc.fill('black');
+};
+
+/**
+ * Draw a label with its top left corner at a position
+ * @param {Object} doc - PDF document
+ * @param {Object} label - name, detail, price and barcode
+ * @param {Object} layout - Label layout in mm
+ * @param {number} left - Left of the label in points
+ * @param {number} top - Top of the label in points
+ */
+const drawLabel = (doc, label, layout, left, top) => {
+  const x = left + mmToPoints(layout.padding);
+  const width = mmToPoints(layout.width);
+  const at = (part) => ({ x, y: top + mmToPoints(part.top), width });
+
+  drawTextLine(doc, label.name, at(layout.name), { size: layout.name.size, bold: true });
+
+  if (label.detail) {
+    drawTextLine(doc, label.detail, at(layout.detail), { size: layout.detail.size });
+  }
+
+  drawTextLine(doc, label.price, at(layout.price), { size: layout.price.size, bold: true });
+
+  drawBarcode(doc, label.barcode, {
+    ...at(layout.barcode),
+    height: mmToPoints(layout.barcode.height)
+  });
+
+  drawTextLine(doc, label.barcode.text, at(layout.barcodeText), {
+    size: layout.barcodeText.size,
+    align: 'center'
+  });
+};
+
+/**
+ * Render labels to a PDF
+ * @param {Array<Object>} labels - Labels with name, detail, price, barcode
+ * (type and text) and quantity
+ * @param {Object} template - Label template from config.labels.templates
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderLabelsPdf = async (labels, template) => {
+  const layout = getLabelLayout(template);
+  const { sheet } = template;
+  const pageSize = sheet
+    ? [mmToPoints(sheet.width), mmToPoints(sheet.height)]
+    : [mmToPoints(template.width), mmToPoints(template.height)];
+  const perPage = sheet ? sheet.columns * sheet.rows : 1;
+
+  const doc = new PDFDocument({ size: pageSize, margin: 0, autoFirstPage: false });
+  const output = collectOutput(doc);
+
+  expandLabels(labels).forEach((label, index) => {
+    const position = index % perPage;
+
+    if (position === 0) {
+      doc.addPage({ size: pageSize, margin: 0 });
+    }
+
+    if (!sheet) {
+      drawLabel(doc, label, layout, 0, 0);
+      return;
+    }
+
+    const column = position % sheet.columns;
+    const row = Math.floor(position / sheet.columns);
+
+    drawLabel(
+      doc,
+      label,
+      layout,
+      mmToPoints(sheet.marginLeft + column * (template.width + sheet.gapX)),
+      mmToPoints(sheet.marginTop + row * (template.height + sheet.gapY))
+    );
+  });
+
+  doc.end();
+
+  return output;
+};
+
+module.exports = {
+  renderLabelsPdf
+};
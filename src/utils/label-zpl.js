@@ -0,0 +1,89 @@
+// src/utils/label-zpl.js
+const { BARCODE_QUIET_ZONE, getLabelLayout, encodeBarcode } = require('./label-layout');
+
+/**
+ * ZPL label renderer.
+ *
+ * Builds one ZPL format per product for Zebra-compatible label printers; the
+ * printer repeats it with ^PQ, so large quantities stay small to send.
+ */
+
+// Average width of a character of the scalable font (^A0) relative to its height
+const CHARACTER_WIDTH = 0.55;
+
+/**
+ * Escape field data for ^FH, where _ starts a hex code
+ * @param {string} text - Text
+ * @returns {string} Field data
+ */
+const escapeField = (text) => String(text).replace(/[\^~_]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Cut text short with an ellipsis to about the number of characters that fit
+ * @param {string} text - Text
+ * @param {number} width - Available width in dots
+ * @param {number} height - Font height in dots
+ * @returns {string} Text that fits
+ */
+const fitText = (text, width, height) => {
+  const maxLength = Math.max(1, Math.floor(width / (height * CHARACTER_WIDTH)));
+
+  return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+};
+
+/**
+ * Render labels to ZPL
+ * @param {Array<Object>} labels - Labels with name, detail, price, barcode
+ * (type and text) and quantity
+ * @param {Object} template - Label template from config.labels.templates
+ * @param {Object} options - dotsPerMm of the printer
+ * @returns {Buffer} ZPL commands
+ */
+const renderLabelsZpl = (labels, template, { dotsPerMm }) => {
+  const layout = getLabelLayout(template);
+  const dots = (mm) => Math.round(mm * dotsPerMm);
+  const left = dots(layout.padding);
+  const width = dots(layout.width);
+
+  const textField = (text, part, { align = 'L' } = {}) => {
+    const height = dots(part.size);
+    const fitted = align === 'L' ? fitText(text, width, height) : text;
+
+    return `^FO${left},${dots(part.top)}^A0N,${height},${height}^FB${width},1,0,${align},0^FH^FD${escapeField(fitted)}^FS`;
+  };
+
+  const formats = labels.map(label => {
+    const { modules } = encodeBarcode(label.barcode);
+    const moduleWidth = Math.min(10, Math.max(1, Math.floor(width / modules)));
+    const barcodeLeft = left + Math.max(0, Math.floor((width - modules * moduleWidth) / 2)) + BARCODE_QUIET_ZONE * moduleWidth;
+    const barcodeHeight = dots(layout.barcode.height);
+
+    // EAN-13 takes the 12 digits before the check digit; Code 128 picks its
+    // subsets automatically
+    const barcodeField = label.barcode.type === 'ean13'
+      ? `^BEN,${barcodeHeight},N,N^FD${label.barcode.text.slice(0, 12)}^FS`
+      : `^BCN,${barcodeHeight},N,N,N,A^FH^FD${escapeField(label.barcode.text)}^FS`;
+
+    return [
+      '^XA',
+      '^CI28',
+      `^PW${dots(template.width)}`,
+      `^LL${dots(template.height)}`,
+      '^LH0,0',
+      textField(label.name, layout.name),
+      label.detail ? textField(label.detail, layout.detail) : null,
+      textField(label.price, layout.price),
+      `^BY${moduleWidth}`,
+      `^FO${barcodeLeft},${dots(layout.barcode.top)}${barcodeField}`,
+      textField(label.barcode.text, layout.barcodeText, { align: 'C' }),
+      `^PQ${label.quantity}`,
+      '^XZ'
+    ].filter(Boolean).join('\n');
+  });
+
+  return Buffer.from(`${formats.join('\n')}\n`, 'utf8');
+};
+
+module.exports = {
+  renderLabelsZpl
+};
@@ -0,0 +1,92 @@
+// src/utils/money.js
+
+/**
+ * Money helpers.
+ *
+ * All amounts are whole rupiah stored as integers, so sums are exact and the
+ * API always returns money as plain integers. Calculated amounts (percentages,
+ * shares) are rounded to the rupiah as soon as they are worked out.
+ */
+
+/**
+ * Round a calculated amount to whole rupiah
+ * @param {number} amount - Amount to round
+ * @returns {number} Rounded amount
+ */
+const roundMoney = (amount) => Math.round(amount);
+
+/**
+ * Parse a money amount from request data
+ * @param {number|string} value - Amount as a number or numeric string
+ * @returns {number} Amount in whole rupiah
+ */
+const parseMoney = (value) => {
+  const amount = typeof value === 'string' ? Number(value.trim()) : Number(value);
+
+  if (value === null || value === '' || !Number.isFinite(amount)) {
+    throw new Error(`Invalid money amount: ${value}`);
+  }
+
+  return roundMoney(amount);
+};
+
+/**
+ * Sum a list of amounts
+ * @param {Array<number>} amounts - Amounts in whole rupiah
+ * @returns {number} Total
+ */
+const sumMoney = (amounts) => amounts.reduce((sum, amount) => sum + (amount || 0), 0);
+
+/**
+ * The part of an amount that belongs to some units of a line.
+ * Rounding is done on the running total, so the parts of several partial
+ * returns always add up to exactly the line amount.
+ * @param {number} amount - Line amount
+ * @param {number} quantity - Line quantity
+ * @param {number} from - Units already taken
+ * @param {number} units - Units to take now
+ * @returns {number} Share of the amount for the units
+ */
+const shareOfAmount = (amount, quantity, from, units) => {
+  return roundMoney(amount * (from + units) / quantity) - roundMoney(amount * from / quantity);
+};
+
+/**
+ * Round a cash amount to the smallest unit that can be paid in coins/notes
+ * @param {number} amount - Amount in whole rupiah
+ * @param {number} unit - Rounding unit, e.g. 100; 1 means no rounding
+ * @param {string} mode - NEAREST, DOWN or UP
+ * @returns {number} Rounded amount
+ */
+const roundCash = (amount, unit = 1, mode = 'NEAREST') => {
+  if (!unit || unit <= 1) {
+    return amount;
+  }
+
+  const rounders = {
+    NEAREST: Math.round,
+    DOWN: Math.floor,
+    UP: Math.ceil
+  };
+
+  return rounders[mode](amount / unit) * unit;
+};
+
+/**
+ * Format an amount for display, e.g. "Rp 150.000"
+ * @param {number} amount - Amount in whole rupiah
+ * @returns {string} Formatted amount
+ */
+const formatMoney = (amount) => {
+  const formatted = new Intl.NumberFormat('id-ID', { maximumFractionDigits: 0 }).format(Math.abs(amount));
+  return `${amount < 0 ? '-' : ''}Rp ${formatted}`;
+};
+
+module.exports = {
+  roundMoney,
+  parseMoney,
+  sumMoney,
+  shareOfAmount,
+  roundCash,
+  formatMoney
+};
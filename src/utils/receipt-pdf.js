@@ -0,0 +1,162 @@
+// src/utils/receipt-pdf.js
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+/**
+ * PDF receipt renderer.
+ *
+ * Draws the receipt lines built by the receipt service on an A6 page, or on
+ * an 80mm wide page that is exactly as long as the receipt for roll printers.
+ */
+
+// Sizes in points (1/72 inch); a null height grows with the receipt
+const PDF_PAPER_SIZES = {
+  a6: { width: 297.64, height: 419.53, margin: 18, fontSize: 9, qrSize: 96 },
+  '80mm': { width: 226.77, height: null, margin: 10, fontSize: 8, qrSize: 84 }
+};
+
+const LINE_GAP = 2;
+const DIVIDER_HEIGHT = 8;
+const COLUMN_GAP = 6;
+
+/**
+ * Set the font of a text line on the document
+ * @param {Object} doc - PDF document
+ * @param {Object} line - Receipt line with bold and large
+ * @param {number} fontSize - Base font size
+ */
+const useFont = (doc, line, fontSize) => {
+  doc.font(line.bold ? 'Helvetica-Bold' : 'Helvetica')
+    .fontSize(line.large ? fontSize * 1.5 : fontSize);
+};
+
+/**
+ * Work out how tall a line is, and draw it when a position is given
+ * @param {Object} doc - PDF document
+ * @param {Object} line - Receipt line
+ * @param {Object} layout - Paper size, content width and QR images
+ * @param {number} [y] - Top of the line; the line is only measured without it
+ * @returns {number} Height of the line
+ */
+const placeLine = (doc, line, { size, width, qrImages }, y) => {
+  const x = size.margin;
+  const draw = y !== undefined;
+
+  switch (line.type) {
+    case 'text': {
+      useFont(doc, line, size.fontSize);
+      const options = { width, align: line.align || 'left', lineGap: LINE_GAP };
+
+      if (draw) doc.text(line.text, x, y, options);
+      return doc.heightOfString(line.text, options);
+    }
+    case 'row': {
+      useFont(doc, line, size.fontSize);
+      const rightWidth = doc.widthOfString(line.right);
+      const leftOptions = { width: width - rightWidth - COLUMN_GAP, lineGap: LINE_GAP };
+
+      if (draw) {
+        doc.text(line.left, x, y, leftOptions);
+        doc.text(line.right, x, y, { width, align: 'right', lineBreak: false });
+      }
+      return doc.heightOfString(line.left, leftOptions);
+    }
+    case 'divider':
+      if (draw) {
+        doc.save()
+          .moveTo(x, y + DIVIDER_HEIGHT / 2)
+          .lineTo(x + width, y + DIVIDER_HEIGHT / 2)
+          .lineWidth(0.5)
+          .dash(2, { space: 2 })
+          .stroke()
+          .restore();
+      }
+      return DIVIDER_HEIGHT;
+    case 'feed':
+      return size.fontSize;
+    case 'qr':
+      if (draw) {
+        doc.image(qrImages.get(line), x + (width - size.qrSize) / 2, y, { width: size.qrSize });
+      }
+      return size.qrSize + LINE_GAP * 2;
+    default:
+      throw new Error(`Unknown receipt line type: ${line.type}`);
+  }
+};
+
+/**
+ * Collect the output of a PDF document into a buffer
+ * @param {Object} doc - PDF document
+ * @returns {Promise<Buffer>} PDF file, once the document is ended
+ */
+const collectOutput = (doc) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+};
+
+/**
+ * Render receipt lines to a PDF
+ * @param {Array<Object>} lines - Receipt lines (text, row, divider, feed, qr)
+ * @param {Object} options - paper: a6 or 80mm
+ * @returns {Promise<Buffer>} PDF file
+ */
+const renderReceiptPdf = async (lines, { paper = 'a6' } = {}) => {
+  const size = PDF_PAPER_SIZES[paper];
+
+  if (!size) {
+    throw new Error(`Invalid paper for PDF receipts: ${paper}`);
+  }
+
+  const qrImages = new Map();
+
+  for (const line of lines.filter(l => l.type === 'qr')) {
+    qrImages.set(line, await QRCode.toBuffer(line.data, { type: 'png', margin: 0, width: 300 }));
+  }
+
+  const layout = { size, width: size.width - size.margin * 2, qrImages };
+
+  // A roll receipt is measured first so its page fits it exactly
+  let pageHeight = size.height;
+
+  if (!pageHeight) {
+    const measureDoc = new PDFDocument({ size: [size.width, 10000], margin: size.margin });
+    pageHeight = size.margin * 2 + LINE_GAP + lines.reduce((height, line) => height + placeLine(measureDoc, line, layout), 0);
+  }
+
+  const doc = new PDFDocument({
+    size: [size.width, pageHeight],
+    margin: size.margin,
+    info: { Title: 'Receipt' }
+  });
+  const output = collectOutput(doc);
+
+  let y = size.margin;
+
+  lines.forEach(line => {
+    const height = placeLine(doc, line, layout);
+
+    // Lines that don't fit on a fixed size page go to the next page
+    if (y + height > pageHeight - size.margin && y > size.margin) {
+      doc.addPage({ size: [size.width, pageHeight], margin: size.margin });
+      y = size.margin;
+    }
+
+    placeLine(doc, line, layout, y);
+    y += height;
+  });
+
+  doc.end();
+
+  return output;
+};
+
+module.exports = {
+  PDF_PAPER_SIZES,
+  collectOutput,
+  renderReceiptPdf
+};
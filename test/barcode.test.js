@@ -0,0 +1,60 @@
+// test/barcode.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  calculateCheckDigit,
+  hasValidCheckDigit,
+  getCodeVariants,
+  parseEmbeddedBarcode,
+  buildEmbeddedBarcode
+} = require('../src/utils/barcode');
+
+const FORMAT = { prefix: '2', itemDigits: 6, valueDigits: 5 };
+
+describe('check digits', () => {
+  it('calculates the GS1 check digit', () => {
+    assert.equal(calculateCheckDigit('400638133393'), 1);
+    assert.equal(hasValidCheckDigit('4006381333931'), true);
+    assert.equal(hasValidCheckDigit('4006381333932'), false);
+  });
+
+  it('looks up UPC-A codes with and without a leading zero', () => {
+    assert.deepEqual(getCodeVariants('036000291452'), ['036000291452', '0036000291452']);
+    assert.deepEqual(getCodeVariants('0036000291452'), ['0036000291452', '036000291452']);
+    assert.deepEqual(getCodeVariants('SKU-1'), ['SKU-1']);
+  });
+});
+
+describe('embedded barcodes', () => {
+  it('reads back the product and value it was built with', () => {
+    const code = buildEmbeddedBarcode(123, 15000, FORMAT);
+
+    assert.equal(code.length, 13);
+    assert.equal(code.slice(0, 12), '200012315000');
+    assert.equal(hasValidCheckDigit(code), true);
+    assert.deepEqual(parseEmbeddedBarcode(code, FORMAT), { productId: 123, value: 15000 });
+  });
+
+  it('scales the value by the value unit', () => {
+    const format = { ...FORMAT, valueUnit: 100 };
+    const code = buildEmbeddedBarcode(7, 250000, format);
+
+    assert.equal(code.slice(7, 12), '02500');
+    assert.deepEqual(parseEmbeddedBarcode(code, format), { productId: 7, value: 250000 });
+  });
+
+  it('rejects values that do not fit', () => {
+    assert.throws(() => buildEmbeddedBarcode(1, 100000, FORMAT), /Invalid barcode/);
+    assert.throws(() => buildEmbeddedBarcode(1, 250050, { ...FORMAT, valueUnit: 100 }), /Invalid barcode/);
+    assert.throws(() => buildEmbeddedBarcode(1234567, 100, FORMAT), /Invalid barcode/);
+  });
+
+  it('ignores codes that are not ours', () => {
+    const code = buildEmbeddedBarcode(123, 15000, FORMAT);
+    const wrongCheckDigit = `${code.slice(0, 12)}${(Number(code[12]) + 1) % 10}`;
+
+    assert.equal(parseEmbeddedBarcode(wrongCheckDigit, FORMAT), null);
+    assert.equal(parseEmbeddedBarcode('4006381333931', FORMAT), null);
+    assert.equal(parseEmbeddedBarcode('SKU-1', FORMAT), null);
+  });
+});
@@ -0,0 +1,29 @@
+// test/helpers/fake-db.js
+
+/**
+ * Put a stand-in for src/config/db in the require cache, so services can be
+ * loaded without a Prisma client or database. Services that take a client
+ * argument are then tested with a fake client passed in directly.
+ * @param {Object} prisma - Object returned as the prisma client
+ * @returns {Object} The stand-in prisma client
+ */
+const useFakeDb = (prisma = {}) => {
+  const filename = require.resolve('../../src/config/db');
+
+  require.cache[filename] = {
+    id: filename,
+    filename,
+    loaded: true,
+    exports: {
+      prisma,
+      connectDB: async () => prisma,
+      disconnectDB: async () => {}
+    }
+  };
+
+  return prisma;
+};
+
+module.exports = {
+  useFakeDb
+};
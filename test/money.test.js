@@ -0,0 +1,62 @@
+// test/money.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseMoney, roundCash, shareOfAmount, formatMoney } = require('../src/utils/money');
+
+describe('roundCash', () => {
+  it('rounds to the nearest unit by default', () => {
+    assert.equal(roundCash(12349, 100), 12300);
+    assert.equal(roundCash(12350, 100), 12400);
+  });
+
+  it('rounds down and up', () => {
+    assert.equal(roundCash(12399, 100, 'DOWN'), 12300);
+    assert.equal(roundCash(12301, 100, 'UP'), 12400);
+    assert.equal(roundCash(12300, 100, 'UP'), 12300);
+  });
+
+  it('leaves the amount alone without a rounding unit', () => {
+    assert.equal(roundCash(12345, 1), 12345);
+    assert.equal(roundCash(12345, 0), 12345);
+    assert.equal(roundCash(12345), 12345);
+  });
+});
+
+describe('shareOfAmount', () => {
+  it('splits an amount by units', () => {
+    assert.equal(shareOfAmount(30000, 3, 0, 1), 10000);
+    assert.equal(shareOfAmount(30000, 3, 0, 3), 30000);
+  });
+
+  it('makes partial shares add up to the whole amount', () => {
+    const shares = [
+      shareOfAmount(10000, 3, 0, 1),
+      shareOfAmount(10000, 3, 1, 1),
+      shareOfAmount(10000, 3, 2, 1)
+    ];
+
+    assert.deepEqual(shares, [3333, 3334, 3333]);
+    assert.equal(shares.reduce((sum, share) => sum + share, 0), 10000);
+  });
+});
+
+describe('parseMoney', () => {
+  it('parses numbers and numeric strings to whole rupiah', () => {
+    assert.equal(parseMoney(15000), 15000);
+    assert.equal(parseMoney(' 15000 '), 15000);
+    assert.equal(parseMoney('1500.6'), 1501);
+  });
+
+  it('rejects amounts that are not numbers', () => {
+    for (const value of ['', null, 'abc', Infinity]) {
+      assert.throws(() => parseMoney(value), /Invalid money amount/);
+    }
+  });
+});
+
+describe('formatMoney', () => {
+  it('formats rupiah with thousands separators', () => {
+    assert.equal(formatMoney(150000), 'Rp 150.000');
+    assert.equal(formatMoney(-2500), '-Rp 2.500');
+  });
+});
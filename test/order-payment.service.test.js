@@ -0,0 +1,69 @@
+// test/order-payment.service.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fake-db');
+
+useFakeDb();
+
+const { getPaymentStatus, applyCashRounding, calculateChange } = require('../src/services/order-payment.service');
+
+const ORDER = { totalAmount: 100000 };
+
+describe('getPaymentStatus', () => {
+  it('is verified once verified payments cover the total', () => {
+    const status = getPaymentStatus(ORDER, [
+      { status: 'VERIFIED', amount: 60000 },
+      { status: 'VERIFIED', amount: 40000 }
+    ]);
+
+    assert.equal(status, 'PAYMENT_VERIFIED');
+  });
+
+  it('waits for the rest while verified payments fall short', () => {
+    assert.equal(getPaymentStatus(ORDER, [
+      { status: 'VERIFIED', amount: 60000 },
+      { status: 'PENDING', amount: 40000 }
+    ]), 'PENDING');
+  });
+
+  it('puts an uploaded proof before a rejected one', () => {
+    assert.equal(getPaymentStatus(ORDER, [
+      { status: 'REJECTED', amount: 50000 },
+      { status: 'UPLOADED', amount: 50000 }
+    ]), 'PAYMENT_UPLOADED');
+
+    assert.equal(getPaymentStatus(ORDER, [
+      { status: 'REJECTED', amount: 50000 },
+      { status: 'PENDING', amount: 50000 }
+    ]), 'PAYMENT_REJECTED');
+  });
+
+  it('is pending without payments to review', () => {
+    assert.equal(getPaymentStatus(ORDER, [{ status: 'PENDING', amount: 100000 }]), 'PENDING');
+  });
+});
+
+describe('applyCashRounding', () => {
+  it('rounds only the cash line and returns the difference', () => {
+    const result = applyCashRounding([
+      { method: 'BANK_TRANSFER', amount: 50040 },
+      { method: 'CASH', amount: 12340 }
+    ], { cashRoundingUnit: 100, cashRoundingMode: 'NEAREST' });
+
+    assert.deepEqual(result.lines.map(line => line.amount), [50040, 12300]);
+    assert.equal(result.roundingAmount, -40);
+  });
+});
+
+describe('calculateChange', () => {
+  it('works out the change for the cash line', () => {
+    assert.deepEqual(calculateChange('50000', [{ method: 'CASH', amount: 42300 }]), {
+      cashTendered: 50000,
+      changeAmount: 7700
+    });
+  });
+
+  it('rejects cash that does not cover the cash line', () => {
+    assert.throws(() => calculateChange(40000, [{ method: 'CASH', amount: 42300 }]), /Invalid cash tendered/);
+  });
+});
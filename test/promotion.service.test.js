@@ -0,0 +1,124 @@
+// test/promotion.service.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fake-db');
+
+useFakeDb();
+
+const { calculateDiscounts } = require('../src/services/promotion.service');
+
+const LINES = [
+  { key: 'a', productId: 1, categoryId: 10, quantity: 2, subtotal: 60000 },
+  { key: 'b', productId: 2, categoryId: 20, quantity: 1, subtotal: 40000 }
+];
+
+/**
+ * Promotion with defaults for the fields a test doesn't care about
+ * @param {Object} fields - Fields to set
+ * @returns {Object} Promotion
+ */
+const promotion = (fields) => ({
+  id: 1,
+  code: null,
+  scope: 'ORDER',
+  type: 'PERCENTAGE',
+  value: 10,
+  priority: 0,
+  stackable: true,
+  minQuantity: null,
+  minSubtotal: null,
+  usageLimit: null,
+  usageCount: 0,
+  isActive: true,
+  startsAt: null,
+  endsAt: null,
+  ...fields
+});
+
+/**
+ * Fake client holding a set of promotions
+ * @param {Array} promotions - Promotions
+ * @returns {Object} Client for calculateDiscounts
+ */
+const promotionClient = (promotions) => ({
+  promotion: {
+    findMany: async () => promotions.filter(p => p.code === null),
+    findUnique: async ({ where }) => promotions.find(p => p.code === where.code) || null
+  }
+});
+
+describe('calculateDiscounts', () => {
+  it('spreads a discount over the eligible lines', async () => {
+    const result = await calculateDiscounts(LINES, [], promotionClient([promotion({ type: 'FIXED_AMOUNT', value: 10000 })]));
+
+    assert.equal(result.totalDiscount, 10000);
+    assert.deepEqual(result.lines.map(line => line.discountAmount), [6000, 4000]);
+  });
+
+  it('only discounts lines in the promotion scope', async () => {
+    const result = await calculateDiscounts(LINES, [], promotionClient([promotion({ scope: 'CATEGORY', categoryId: 20 })]));
+
+    assert.equal(result.totalDiscount, 4000);
+    assert.deepEqual(result.lines.map(line => line.discountAmount), [0, 4000]);
+  });
+
+  it('applies stacked promotions by priority on what is left after the earlier ones', async () => {
+    const result = await calculateDiscounts(LINES, [], promotionClient([
+      promotion({ id: 1, value: 10 }),
+      promotion({ id: 2, type: 'FIXED_AMOUNT', value: 50000, priority: 1 })
+    ]));
+
+    assert.deepEqual(result.discounts.map(discount => discount.promotion.id), [2, 1]);
+    assert.equal(result.totalDiscount, 55000);
+  });
+
+  it('picks the stacked promotions when they give more', async () => {
+    const client = promotionClient([
+      promotion({ id: 1, value: 10 }),
+      promotion({ id: 2, value: 5 }),
+      promotion({ id: 3, value: 12, stackable: false })
+    ]);
+
+    const result = await calculateDiscounts(LINES, [], client);
+
+    assert.deepEqual(result.discounts.map(discount => discount.promotion.id), [1, 2]);
+    assert.equal(result.totalDiscount, 14500);
+  });
+
+  it('picks a non-stackable promotion when it gives more on its own', async () => {
+    const client = promotionClient([
+      promotion({ id: 1, value: 10 }),
+      promotion({ id: 2, code: 'BIG', value: 20, stackable: false })
+    ]);
+
+    const result = await calculateDiscounts(LINES, [' big '], client);
+
+    assert.deepEqual(result.discounts.map(discount => discount.promotion.id), [2]);
+    assert.equal(result.totalDiscount, 20000);
+  });
+
+  it('applies a coupon entered twice only once', async () => {
+    const client = promotionClient([promotion({ code: 'SAVE10', value: 10 })]);
+
+    const result = await calculateDiscounts(LINES, ['SAVE10', 'save10'], client);
+
+    assert.equal(result.discounts.length, 1);
+    assert.equal(result.totalDiscount, 10000);
+  });
+
+  it('leaves out used up automatic promotions', async () => {
+    const client = promotionClient([promotion({ usageLimit: 5, usageCount: 5 })]);
+
+    const result = await calculateDiscounts(LINES, [], client);
+
+    assert.equal(result.totalDiscount, 0);
+  });
+
+  it('rejects unknown and used up coupon codes', async () => {
+    const client = promotionClient([promotion({ code: 'USED', usageLimit: 1, usageCount: 1 })]);
+
+    await assert.rejects(calculateDiscounts(LINES, ['NOPE'], client), /Invalid coupon code: NOPE/);
+    await assert.rejects(calculateDiscounts(LINES, ['USED'], client), /Usage limit reached/);
+    await assert.rejects(calculateDiscounts(LINES, 'USED', client), /Invalid coupon codes/);
+  });
+});
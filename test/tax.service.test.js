@@ -0,0 +1,77 @@
+// test/tax.service.test.js
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { useFakeDb } = require('./helpers/fake-db');
+
+useFakeDb();
+
+const { calculateTaxes } = require('../src/services/tax.service');
+
+const VAT_INCLUSIVE = { name: 'PPN', rate: 11, isInclusive: true, isActive: true };
+const VAT_EXCLUSIVE = { name: 'PPN', rate: 11, isInclusive: false, isActive: true };
+
+/**
+ * Fake client returning a default tax rate and store settings
+ * @param {Object|null} defaultTaxRate - Default tax rate
+ * @param {Object|null} storeSetting - Store settings
+ * @returns {Object} Client for calculateTaxes
+ */
+const taxClient = (defaultTaxRate, storeSetting = null) => ({
+  taxRate: { findFirst: async () => defaultTaxRate },
+  storeSetting: { findUnique: async () => storeSetting }
+});
+
+/**
+ * Order line without its own tax rate
+ * @param {number} subtotal - Line subtotal
+ * @param {number} discountAmount - Discount on the line
+ * @returns {Object} Order line
+ */
+const line = (subtotal, discountAmount = 0) => ({
+  key: 'p1',
+  product: { taxRate: null, category: null },
+  subtotal,
+  discountAmount
+});
+
+describe('calculateTaxes', () => {
+  it('splits inclusive tax out of the price', async () => {
+    const result = await calculateTaxes([line(111000)], taxClient(VAT_INCLUSIVE));
+
+    assert.equal(result.taxAmount, 11000);
+    assert.equal(result.exclusiveTaxAmount, 0);
+    assert.equal(result.lines[0].taxInclusive, true);
+  });
+
+  it('adds exclusive tax on top of the price', async () => {
+    const result = await calculateTaxes([line(100000)], taxClient(VAT_EXCLUSIVE));
+
+    assert.equal(result.taxAmount, 11000);
+    assert.equal(result.exclusiveTaxAmount, 11000);
+    assert.equal(result.lines[0].taxAmount, 11000);
+  });
+
+  it('taxes the line amount after discounts', async () => {
+    const result = await calculateTaxes([line(120000, 20000)], taxClient(VAT_EXCLUSIVE));
+
+    assert.equal(result.taxAmount, 11000);
+  });
+
+  it('prefers the product rate over the category and default rates', async () => {
+    const product = {
+      taxRate: { name: 'Zero', rate: 0, isInclusive: false, isActive: true },
+      category: { taxRate: VAT_INCLUSIVE }
+    };
+    const result = await calculateTaxes([{ ...line(100000), product }], taxClient(VAT_EXCLUSIVE));
+
+    assert.equal(result.lines[0].taxName, 'Zero');
+    assert.equal(result.taxAmount, 0);
+  });
+
+  it('charges service on the amount without tax', async () => {
+    const settings = { serviceChargeEnabled: true, serviceChargeRate: 5 };
+    const result = await calculateTaxes([line(111000)], taxClient(VAT_INCLUSIVE, settings));
+
+    assert.equal(result.serviceChargeAmount, 5000);
+  });
+});